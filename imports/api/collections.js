@@ -2,40 +2,175 @@ import { Mongo } from 'meteor/mongo';
 
 /**
  * Daily Transactions Collection
- * Stores historical snapshots of daily transaction counts
- * Document: { date, count, timestamp, updatedAt }
+ * Stores historical snapshots of daily transaction counts (one per network and date)
+ * Document: { network, date, count, timestamp, updatedAt }
  */
 export const DailyTransactionsCollection = new Mongo.Collection('dailyTransactions');
 
 /**
  * Weekly Active Addresses Collection
- * Stores historical snapshots of unique active addresses in rolling 7-day windows
- * Document: { date, count, timestamp, updatedAt }
+ * Stores historical snapshots of unique active addresses in rolling 7-day windows (one per network and date)
+ * Document: { network, date, count, timestamp, updatedAt }
  */
 export const WeeklyActiveAddressesCollection = new Mongo.Collection('weeklyActiveAddresses');
 
+/**
+ * Active Addresses Collection
+ * Stores daily DAU/WAU/MAU snapshots over 1/7/30-day windows ending on each date (one per network and date)
+ * Document: { network, date, dau, wau, mau, stickiness (DAU/MAU percent), timestamp, updatedAt }
+ */
+export const ActiveAddressesCollection = new Mongo.Collection('activeAddresses');
+
 /**
  * TVL Collection
- * Stores historical snapshots of Total Value Locked over time
- * Document: { timestamp, tvlInETH, tvlInUSD, updatedAt }
+ * Stores historical snapshots of Total Value Locked over time (one per network and timestamp)
+ * Document: { network, timestamp, tvlInETH, tvlInUSD, assets: [{ symbol, address, amount, priceUSD, valueUSD }], updatedAt }
+ * tvlInETH is the ETH held by the L1 escrows, tvlInUSD the total across priced assets
  */
 export const TvlCollection = new Mongo.Collection('tvl');
 
 /**
  * Bridge Activity Collection
- * Stores L1 deposit/withdrawal events
+ * Stores L1 deposit/withdrawal events, keyed by network + txHash + logIndex (null for transaction-level events)
+ * Document: { network, txHash, logIndex, type, from, to, value, timestamp, blockNumber, l2TxHash }
+ * Token deposits/withdrawals through the configured gateways are keyed by log and have value 0, plus
+ *   { token (L2), l1Token, gateway, amountRaw, amount (token units, null without decimals) }
+ * Withdrawals also track their L2→L1 lifecycle (see server/withdrawals.js):
+ *   { status: 'initiated' | 'claimable' | 'executed', position, destination, l1BlockNumber, claimableAt,
+ *     executedAt, l1ExecutionTxHash, claimSeconds, lastCheckedAt, lastError }
  */
 export const BridgeActivityCollection = new Mongo.Collection('bridgeActivity');
 
+/**
+ * Retryables Collection
+ * L1→L2 retryable tickets (deposits) read from the L1 Bridge/Inbox, one per network and message index
+ * ticketId is the hash of the ticket's type-105 submission transaction on L2
+ * Document: { network, messageIndex, ticketId, l1TxHash, l1BlockNumber, l1Timestamp, sender, to, deposit, l2CallValue, gasLimit,
+ *   status: 'pending' | 'auto-redeemed' | 'needs-redeem' | 'redeemed' | 'failed' | 'expired',
+ *   l2BlockNumber, l2Timestamp, latencySeconds, autoRedeemTxHash, expiresAt, createdAt, lastCheckedAt, lastError }
+ */
+export const RetryablesCollection = new Mongo.Collection('retryables');
+
+/**
+ * Whale Events Collection
+ * Bridge deposits/withdrawals and native transfers above the thresholds in settings hpp.whaleThresholds,
+ * keyed like their source row by network + txHash + logIndex (null for ETH rows)
+ * Document: { network, txHash, logIndex, kind: 'deposit' | 'withdrawal' | 'transfer', address, to, asset, token,
+ *   amount, amountUSD, explorerUrl, blockNumber, timestamp, detectedAt }
+ */
+export const WhaleEventsCollection = new Mongo.Collection('whaleEvents');
+
 /**
  * Transactions Collection
- * Stores raw transaction data for analysis
+ * Stores every ingested transaction with its receipt outcome, keyed by network + hash
+ * Document: { network, hash, blockNumber, transactionIndex, timestamp, from, to, value (ETH), valueWei, type, nonce,
+ *   gasLimit, gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasUsed, effectiveGasPrice, gasUsedForL1,
+ *   fee, l1Fee (ETH), status (1 success, 0 reverted, null if unknown), selector }
  */
 export const TransactionsCollection = new Mongo.Collection('transactions');
 
+/**
+ * Contract Deployments Collection
+ * Stores every successful contract creation transaction, keyed by network + txHash
+ * Document: { network, txHash, address, deployer, blockNumber, timestamp, bytecodeSize (bytes, null if unknown) }
+ */
+export const ContractDeploymentsCollection = new Mongo.Collection('contractDeployments');
+
+/**
+ * Tokens Collection
+ * Cached token contract metadata (one per network and contract address)
+ * Document: { network, address, standard, name, symbol, decimals, fetchedAt }
+ */
+export const TokensCollection = new Mongo.Collection('tokens');
+
+/**
+ * Token Transfers Collection
+ * Stores ERC-20 Transfer events, keyed by network + txHash + logIndex
+ * Document: { network, txHash, logIndex, token, from, to, value (raw, string), amount (token units), blockNumber, timestamp }
+ */
+export const TokenTransfersCollection = new Mongo.Collection('tokenTransfers');
+
+/**
+ * Token Balances Collection
+ * Balances derived from indexed transfers (one per network, token and holder)
+ * Document: { network, token, holder, balance (token units) }
+ */
+export const TokenBalancesCollection = new Mongo.Collection('tokenBalances');
+
+/**
+ * NFT Transfers Collection
+ * Stores ERC-721 Transfer and ERC-1155 TransferSingle/TransferBatch movements, one per token id,
+ * keyed by network + txHash + logIndex + batchIndex (position within a batch, 0 otherwise)
+ * Document: { network, txHash, logIndex, batchIndex, collection, standard, operator, from, to, tokenId (string), amount,
+ *   isMint, isBurn, blockNumber, timestamp }
+ */
+export const NftTransfersCollection = new Mongo.Collection('nftTransfers');
+
+/**
+ * NFT Balances Collection
+ * Holdings derived from indexed NFT transfers (one per network, collection, token id and holder)
+ * Document: { network, collection, tokenId, holder, balance }
+ */
+export const NftBalancesCollection = new Mongo.Collection('nftBalances');
+
 /**
  * Address Activity Collection
- * Tracks each address activity with timestamp for efficient time-based queries
- * Document: { address, timestamp, blockNumber }
+ * Tracks each address activity with timestamp for efficient time-based queries (one per network and transaction)
+ * `address` is the sender, `to` the destination (null for contract creations)
+ * Document: { network, txHash, address, to, timestamp, blockNumber }
  */
 export const AddressActivityCollection = new Mongo.Collection('addressActivity');
+
+/**
+ * Top Contracts Collection
+ * Latest ranking of transaction destinations per network and period (days)
+ * Document: { network, days, totalTransactions, contracts: [{ address, calls, uniqueCallers, share, previousCalls, change, isContract, trend }], updatedAt }
+ */
+export const TopContractsCollection = new Mongo.Collection('topContracts');
+
+/**
+ * Address Registry Collection
+ * First and last activity of every address ever seen (one per network and address)
+ * Document: { network, address, firstSeen, firstBlock, lastSeen, lastBlock }
+ */
+export const AddressRegistryCollection = new Mongo.Collection('addressRegistry');
+
+/**
+ * Indexer Checkpoints Collection
+ * Tracks block ingestion progress per network
+ * Document: { _id: network, lastProcessedBlock, gaps: [{ from, to }], failedBlocks: [{ blockNumber, error, attempts, failedAt }], lastReorg, reorgCount, createdAt, updatedAt }
+ * lastL1MessageBlock is the last L1 block scanned for retryable tickets (see server/retryables.js)
+ */
+export const IndexerCheckpointsCollection = new Mongo.Collection('indexerCheckpoints');
+
+/**
+ * Blocks Collection
+ * Stores the header of every ingested block so the indexer can detect chain reorganizations (one per network and number)
+ * and block production metrics can be derived from it
+ * Document: { network, number, hash, parentHash, timestamp, gasUsed, gasLimit, txCount, userTxCount, indexedAt }
+ */
+export const BlocksCollection = new Mongo.Collection('blocks');
+
+/**
+ * Backfill Jobs Collection
+ * Persisted backfill runs: the block ranges to scan, how far the job got and what it found
+ * Document: { network, ranges: [{ from, to }], rangeIndex, cursor, totalBlocks, status, source, stats, errors: [{ blockNumber, error, at }], lastError, blocksPerSecond, owner, lockedUntil, createdAt, startedAt, updatedAt, finishedAt }
+ * status: 'queued' | 'running' | 'paused' | 'completed' | 'cancelled' | 'failed'
+ * owner/lockedUntil: the instance running the job and when its lease runs out (null while no instance runs it)
+ */
+export const BackfillJobsCollection = new Mongo.Collection('backfillJobs');
+
+/**
+ * Job Locks Collection
+ * Schedule state and lock for each scheduled job, shared by every server instance (one per network and job)
+ * Document: { _id: 'network:job', owner, lockedUntil, nextRunAt, lastStartedAt, lastFinishedAt }
+ */
+export const JobLocksCollection = new Mongo.Collection('jobLocks');
+
+/**
+ * Job Runs Collection
+ * History of scheduled job runs
+ * Document: { job, network, instanceId, status, error, startedAt, finishedAt, durationMs }
+ * status: 'running' | 'success' | 'failed' | 'skipped'
+ */
+export const JobRunsCollection = new Mongo.Collection('jobRuns');
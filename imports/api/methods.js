@@ -1,5 +1,12 @@
 import { Meteor } from 'meteor/meteor';
-import { getNetworkInfo, getBlockNumber } from '../../server/blockchain.js';
+import {
+  getNetworkInfo,
+  getBlockNumber,
+  getNetworkConfig,
+  getTrackedNetworkIds,
+  getActiveNetworkId,
+  resolveNetworkId
+} from '../../server/blockchain.js';
 import {
   getTodayTransactions,
   updateDailyTransactionCount,
@@ -12,86 +19,374 @@ import {
   calculateBridgeVolume,
   getDailyTransactionsHistory,
   getWeeklyActiveAddressesHistory,
+  getActiveAddressesHistory,
+  backfillActiveAddressHistory,
   getTvlHistory,
   getBridgeActivityHistory,
   getBridgeVolumeHistory,
+  getBridgeActivityByAsset,
+  getTopBridgers,
   backfillDailyTransactionHistory,
   backfillWeeklyActiveAddressHistory,
   backfillTvlHistory,
   backfillBridgeActivity,
   backfillDepositAmounts
 } from '../../server/kpis.js';
+import {
+  getGasUsedHistory,
+  getFeeHistory,
+  getL1FeeShareHistory,
+  getGasPerBlockHistory
+} from '../../server/gasKpis.js';
+import { getNewAddressesHistory, getCohortRetention, rebuildAddressRegistry } from '../../server/addressRegistry.js';
+import { getDeploymentsHistory, getWeeklyDeployersHistory } from '../../server/deployments.js';
+import { getTopContracts } from '../../server/topContracts.js';
+import { getTransactionStatusHistory, getTopRevertingContracts } from '../../server/txStatus.js';
+import { getBlockProductionHistory, getBlockProductionStatus } from '../../server/blockKpis.js';
+import { getTokenList, getTokenDetails } from '../../server/tokens.js';
+import { getNftActivityHistory, getNftCollections } from '../../server/nfts.js';
+import { getWithdrawalSummary } from '../../server/withdrawals.js';
+import { getRetryableSummary } from '../../server/retryables.js';
+import { getCheckpoint } from '../../server/indexer.js';
+import { getHeadFollowerStatus } from '../../server/headFollower.js';
+import {
+  createBackfillJob,
+  runBackfillJob,
+  pauseBackfillJob,
+  resumeBackfillJob,
+  cancelBackfillJob
+} from '../../server/backfillJobs.js';
+import { getJobRunHistory, getJobNames } from '../../server/scheduler.js';
+
+/**
+ * Validate a block number argument (optional unless required is set)
+ */
+function validateBlockNumber(value, name, required = false) {
+  if (value === undefined || value === null) {
+    if (required) {
+      throw new Meteor.Error('invalid-argument', `${name} is required`);
+    }
+    return;
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Meteor.Error('invalid-argument', `${name} must be a non-negative integer`);
+  }
+}
+
+/**
+ * Validate the period (days) of a history or ranking method
+ */
+function validateDays(days) {
+  if (!Number.isInteger(days) || days < 1 || days > 90) {
+    throw new Meteor.Error('invalid-argument', 'days must be an integer between 1 and 90');
+  }
+}
+
+/**
+ * Validate the number of rows a ranking method returns
+ */
+function validateLimit(limit) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new Meteor.Error('invalid-argument', 'limit must be an integer between 1 and 100');
+  }
+}
+
+/**
+ * Validate a backfill job id argument
+ */
+function validateJobId(jobId) {
+  if (typeof jobId !== 'string' || jobId.length === 0) {
+    throw new Meteor.Error('invalid-argument', 'jobId must be a string');
+  }
+}
 
 Meteor.methods({
+  /**
+   * List the networks this instance tracks, with the default selection
+   * Returns: { defaultNetwork, networks: [{ id, name, chainId, explorer }] }
+   */
+  async 'blockchain.getNetworks'() {
+    if (!this.isSimulation) {
+      return {
+        defaultNetwork: getActiveNetworkId(),
+        networks: getTrackedNetworkIds().map(id => {
+          const config = getNetworkConfig(id);
+          return {
+            id,
+            name: config.networkName,
+            chainId: config.chainId,
+            explorer: config.blockExplorer
+          };
+        })
+      };
+    }
+  },
+
   /**
    * Get current blockchain network information
    */
-  async 'blockchain.getNetworkInfo'() {
+  async 'blockchain.getNetworkInfo'(network) {
+    if (!this.isSimulation) {
+      return await getNetworkInfo(resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get how long ago the latest block was produced and whether production has stalled
+   */
+  async 'blockchain.getBlockProductionStatus'(network) {
     if (!this.isSimulation) {
-      return await getNetworkInfo();
+      return await getBlockProductionStatus(resolveNetworkId(network));
     }
   },
 
   /**
    * Get current block number
    */
-  async 'blockchain.getBlockNumber'() {
+  async 'blockchain.getBlockNumber'(network) {
+    if (!this.isSimulation) {
+      return await getBlockNumber(resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get block ingestion checkpoint (last processed block, gaps, failed blocks)
+   */
+  async 'indexer.getCheckpoint'(network) {
     if (!this.isSimulation) {
-      return await getBlockNumber();
+      return await getCheckpoint(resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get real-time head follower state (websocket, polling or reconnecting)
+   */
+  async 'indexer.getHeadFollowerStatus'(network) {
+    if (!this.isSimulation) {
+      return getHeadFollowerStatus(resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get scheduled job run history, newest first
+   * Options: { network, job, status, limit }
+   */
+  async 'scheduler.getRunHistory'(options = {}) {
+    if (!this.isSimulation) {
+      const { network, job, status, limit = 50 } = options;
+      if (job !== undefined && !getJobNames().includes(job)) {
+        throw new Meteor.Error('invalid-argument', `Unknown job '${job}'`);
+      }
+      if (status !== undefined && !['running', 'success', 'failed', 'skipped'].includes(status)) {
+        throw new Meteor.Error('invalid-argument', `Unknown status '${status}'`);
+      }
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Meteor.Error('invalid-argument', 'limit must be a positive integer');
+      }
+
+      return await getJobRunHistory({ network: resolveNetworkId(network), job, status, limit });
     }
   },
 
   /**
    * Get today's transaction count (from Blockscout API)
    */
-  async 'kpis.getTodayTransactions'() {
+  async 'kpis.getTodayTransactions'(network) {
     if (!this.isSimulation) {
-      return await getTodayTransactions();
+      return await getTodayTransactions(resolveNetworkId(network));
     }
   },
 
   /**
    * Manually trigger KPI update from Blockscout (for testing)
    */
-  async 'kpis.updateDailyTransactionCount'() {
+  async 'kpis.updateDailyTransactionCount'(network) {
     if (!this.isSimulation) {
-      return await updateDailyTransactionCount();
+      return await updateDailyTransactionCount(resolveNetworkId(network));
     }
   },
 
   /**
    * Get transactions in last 24 hours
    */
-  async 'kpis.get24hTransactions'() {
+  async 'kpis.get24hTransactions'(network) {
     if (!this.isSimulation) {
-      return await calculate24hTransactions();
+      return await calculate24hTransactions(resolveNetworkId(network));
     }
   },
 
   /**
    * Get weekly active addresses count
    */
-  async 'kpis.getWeeklyActiveAddresses'() {
+  async 'kpis.getWeeklyActiveAddresses'(network) {
     if (!this.isSimulation) {
-      return await getWeeklyActiveAddresses();
+      return await getWeeklyActiveAddresses(resolveNetworkId(network));
     }
   },
 
   /**
    * Get detailed list of weekly active addresses
    */
-  async 'kpis.getWeeklyActiveAddressDetails'() {
+  async 'kpis.getWeeklyActiveAddressDetails'(network) {
+    if (!this.isSimulation) {
+      return await getWeeklyActiveAddressDetails(resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get the latest DAU/WAU/MAU snapshot, with DAU/MAU stickiness
+   */
+  async 'kpis.getActiveAddresses'(network) {
+    if (!this.isSimulation) {
+      const [latest] = await getActiveAddressesHistory(1, resolveNetworkId(network));
+      return latest || null;
+    }
+  },
+
+  /**
+   * Get new vs returning active addresses per day
+   */
+  async 'kpis.getNewAddressesHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      validateDays(days);
+      return await getNewAddressesHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get weekly cohort retention of first-time addresses
+   */
+  async 'kpis.getCohortRetention'(weeks = 8, network) {
+    if (!this.isSimulation) {
+      if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+        throw new Meteor.Error('invalid-argument', 'weeks must be an integer between 1 and 52');
+      }
+      return await getCohortRetention(weeks, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get contracts deployed per day
+   */
+  async 'kpis.getDeploymentsHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      validateDays(days);
+      return await getDeploymentsHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get unique contract deployers per week
+   */
+  async 'kpis.getWeeklyDeployersHistory'(weeks = 8, network) {
+    if (!this.isSimulation) {
+      return await getWeeklyDeployersHistory(weeks, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Rank transaction destinations by calls over the last N days
+   */
+  async 'kpis.getTopContracts'(days = 7, limit = 10, network) {
+    if (!this.isSimulation) {
+      validateDays(days);
+      validateLimit(limit);
+      return await getTopContracts(days, limit, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get block time, TPS, gas utilization and empty block rate per hour or day
+   */
+  async 'kpis.getBlockProductionHistory'(resolution = 'daily', periods = 7, network) {
+    if (!this.isSimulation) {
+      if (resolution !== 'hourly' && resolution !== 'daily') {
+        throw new Meteor.Error('invalid-argument', "resolution must be 'hourly' or 'daily'");
+      }
+      const maxPeriods = resolution === 'hourly' ? 168 : 90;
+      if (!Number.isInteger(periods) || periods < 1 || periods > maxPeriods) {
+        throw new Meteor.Error('invalid-argument', `periods must be an integer between 1 and ${maxPeriods}`);
+      }
+      return await getBlockProductionHistory(resolution, periods, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get successful versus failed transactions per day
+   */
+  async 'kpis.getTransactionStatusHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      return await getTransactionStatusHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Rank transaction destinations by reverted calls over the last N days
+   */
+  async 'kpis.getTopRevertingContracts'(days = 7, limit = 10, network) {
+    if (!this.isSimulation) {
+      validateDays(days);
+      validateLimit(limit);
+      return await getTopRevertingContracts(days, limit, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get the most active ERC-20 tokens over the last N days
+   */
+  async 'tokens.getList'(days = 7, network) {
+    if (!this.isSimulation) {
+      validateDays(days);
+      return await getTokenList(days, 25, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get one token's KPIs, daily history and top holders
+   */
+  async 'tokens.getDetails'(address, days = 7, network) {
+    if (!this.isSimulation) {
+      if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        throw new Meteor.Error('invalid-argument', 'address must be a 0x-prefixed 20-byte hex string');
+      }
+      return await getTokenDetails(address.toLowerCase(), days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get NFT mints, transfers and active collections per day
+   */
+  async 'kpis.getNftActivityHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      return await getNftActivityHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get the most active NFT collections over the last N days
+   */
+  async 'nfts.getCollections'(days = 7, network) {
     if (!this.isSimulation) {
-      return await getWeeklyActiveAddressDetails();
+      validateDays(days);
+      return await getNftCollections(days, 25, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Rebuild the first-seen address registry from stored address activity
+   */
+  async 'kpis.rebuildAddressRegistry'(network) {
+    if (!this.isSimulation) {
+      return await rebuildAddressRegistry(resolveNetworkId(network));
     }
   },
 
   /**
    * Calculate Total Value Locked (TVL)
    */
-  async 'kpis.calculateTVL'() {
+  async 'kpis.calculateTVL'(network) {
     if (!this.isSimulation) {
-      return await calculateTVL();
+      return await calculateTVL(resolveNetworkId(network));
     }
   },
 
@@ -99,100 +394,255 @@ Meteor.methods({
    * Calculate bridge activity (deposits/withdrawals in 24h)
    * Now uses actual bridge transactions instead of TVL changes
    */
-  async 'kpis.getBridgeActivity'() {
+  async 'kpis.getBridgeActivity'(network) {
     if (!this.isSimulation) {
-      return await calculateBridgeActivityFromTransactions();
+      return await calculateBridgeActivityFromTransactions(resolveNetworkId(network));
     }
   },
 
   /**
    * Calculate 24h bridge volume in USD
    */
-  async 'kpis.getBridgeVolume'() {
+  async 'kpis.getBridgeVolume'(network) {
     if (!this.isSimulation) {
-      return await calculateBridgeVolume();
+      return await calculateBridgeVolume(resolveNetworkId(network));
     }
   },
 
   /**
    * Get historical daily transactions data
    */
-  async 'kpis.getDailyTransactionsHistory'(days = 7) {
+  async 'kpis.getDailyTransactionsHistory'(days = 7, network) {
     if (!this.isSimulation) {
-      return await getDailyTransactionsHistory(days);
+      return await getDailyTransactionsHistory(days, resolveNetworkId(network));
     }
   },
 
   /**
    * Get historical weekly active addresses data
    */
-  async 'kpis.getWeeklyActiveAddressesHistory'(days = 7) {
+  async 'kpis.getWeeklyActiveAddressesHistory'(days = 7, network) {
     if (!this.isSimulation) {
-      return await getWeeklyActiveAddressesHistory(days);
+      return await getWeeklyActiveAddressesHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get historical DAU/WAU/MAU and stickiness data
+   */
+  async 'kpis.getActiveAddressesHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      return await getActiveAddressesHistory(days, resolveNetworkId(network));
     }
   },
 
   /**
    * Get historical TVL data
    */
-  async 'kpis.getTvlHistory'(days = 7) {
+  async 'kpis.getTvlHistory'(days = 7, network) {
     if (!this.isSimulation) {
-      return await getTvlHistory(days);
+      return await getTvlHistory(days, resolveNetworkId(network));
     }
   },
 
   /**
    * Get historical bridge activity data (calculated from TVL changes)
    */
-  async 'kpis.getBridgeActivityHistory'(days = 7) {
+  async 'kpis.getBridgeActivityHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      return await getBridgeActivityHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get total gas used per day
+   */
+  async 'kpis.getGasUsedHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      return await getGasUsedHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get average and percentile transaction fees per day
+   */
+  async 'kpis.getFeeHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      validateDays(days);
+      return await getFeeHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get the L1 data fee share of total fees per day
+   */
+  async 'kpis.getL1FeeShareHistory'(days = 7, network) {
     if (!this.isSimulation) {
-      return await getBridgeActivityHistory(days);
+      return await getL1FeeShareHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get average gas used per block per day
+   */
+  async 'kpis.getGasPerBlockHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      return await getGasPerBlockHistory(days, resolveNetworkId(network));
     }
   },
 
   /**
    * Get historical bridge volume data in USD
    */
-  async 'kpis.getBridgeVolumeHistory'(days = 7) {
+  async 'kpis.getBridgeVolumeHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      return await getBridgeVolumeHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get bridge deposits, withdrawals and USD volume per asset (ETH and gateway tokens)
+   */
+  async 'kpis.getBridgeActivityByAsset'(days = 7, network) {
+    if (!this.isSimulation) {
+      validateDays(days);
+      return await getBridgeActivityByAsset(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Rank bridge users by deposits and withdrawals over the last N days, with net flow and top-10 concentration
+   */
+  async 'kpis.getTopBridgers'(days = 7, limit = 10, network) {
+    if (!this.isSimulation) {
+      validateDays(days);
+      validateLimit(limit);
+      return await getTopBridgers(days, limit, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get L1→L2 retryable deposits by status, the latency distribution and tickets needing attention
+   */
+  async 'kpis.getRetryableSummary'(days = 7, network) {
     if (!this.isSimulation) {
-      return await getBridgeVolumeHistory(days);
+      validateDays(days);
+      return await getRetryableSummary(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Get pending vs claimed withdrawal counts and amounts, with the median time to claim
+   */
+  async 'kpis.getWithdrawalSummary'(network) {
+    if (!this.isSimulation) {
+      return await getWithdrawalSummary(resolveNetworkId(network));
     }
   },
 
   /**
    * Backfill historical data for daily transactions
    */
-  async 'kpis.backfillDailyTransactionHistory'(days = 7) {
+  async 'kpis.backfillDailyTransactionHistory'(days = 7, network) {
     if (!this.isSimulation) {
-      return await backfillDailyTransactionHistory(days);
+      return await backfillDailyTransactionHistory(days, resolveNetworkId(network));
     }
   },
 
   /**
    * Backfill historical data for weekly active addresses
    */
-  async 'kpis.backfillWeeklyActiveAddressHistory'(days = 7) {
+  async 'kpis.backfillWeeklyActiveAddressHistory'(days = 7, network) {
+    if (!this.isSimulation) {
+      return await backfillWeeklyActiveAddressHistory(days, resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Backfill DAU/WAU/MAU snapshots from stored address activity
+   */
+  async 'kpis.backfillActiveAddressHistory'(days = 30, network) {
     if (!this.isSimulation) {
-      return await backfillWeeklyActiveAddressHistory(days);
+      return await backfillActiveAddressHistory(days, resolveNetworkId(network));
     }
   },
 
   /**
    * Backfill historical data for TVL (uses current value)
    */
-  async 'kpis.backfillTvlHistory'(days = 7) {
+  async 'kpis.backfillTvlHistory'(days = 7, network) {
     if (!this.isSimulation) {
-      return await backfillTvlHistory(days);
+      return await backfillTvlHistory(days, resolveNetworkId(network));
     }
   },
 
   /**
    * Backfill bridge activity by scanning historical blocks
    * Scans all processed blocks for type 105 deposits and ArbSys withdrawals
+   * Runs as a managed backfill job and waits for it; use backfill.start to get a job id back immediately
+   */
+  async 'kpis.backfillBridgeActivity'(network) {
+    if (!this.isSimulation) {
+      return await backfillBridgeActivity(resolveNetworkId(network));
+    }
+  },
+
+  /**
+   * Start a managed backfill job and return its id without waiting for it
+   * Options: { network, blockCount } (-1 = checkpoint to head plus gaps and failed blocks, N = last N blocks)
+   *       or { network, fromBlock, toBlock } (toBlock defaults to head)
+   * Progress is published through backfillJobs.recent
+   */
+  async 'backfill.start'(options = {}) {
+    if (!this.isSimulation) {
+      const { network, blockCount, fromBlock, toBlock } = options;
+      if (blockCount !== undefined && blockCount !== -1 && !(Number.isInteger(blockCount) && blockCount > 0)) {
+        throw new Meteor.Error('invalid-argument', 'blockCount must be -1 or a positive integer');
+      }
+      if (blockCount === undefined) {
+        validateBlockNumber(fromBlock, 'fromBlock', true);
+        validateBlockNumber(toBlock, 'toBlock');
+      }
+
+      const jobId = await createBackfillJob({
+        network: resolveNetworkId(network),
+        blockCount,
+        fromBlock,
+        toBlock,
+        source: 'manual'
+      });
+      runBackfillJob(jobId).catch(error => console.error(`❌ Backfill job ${jobId} crashed:`, error.message));
+      return jobId;
+    }
+  },
+
+  /**
+   * Pause a backfill job (a running job stops after its current block)
+   */
+  async 'backfill.pause'(jobId) {
+    if (!this.isSimulation) {
+      validateJobId(jobId);
+      return await pauseBackfillJob(jobId);
+    }
+  },
+
+  /**
+   * Resume a paused or failed backfill job from where it stopped
+   */
+  async 'backfill.resume'(jobId) {
+    if (!this.isSimulation) {
+      validateJobId(jobId);
+      return await resumeBackfillJob(jobId);
+    }
+  },
+
+  /**
+   * Cancel a backfill job
    */
-  async 'kpis.backfillBridgeActivity'() {
+  async 'backfill.cancel'(jobId) {
     if (!this.isSimulation) {
-      return await backfillBridgeActivity();
+      validateJobId(jobId);
+      return await cancelBackfillJob(jobId);
     }
   },
 
@@ -200,9 +650,9 @@ Meteor.methods({
    * Backfill deposit amounts from internal transactions
    * Fetches actual ETH amounts for deposits that have value=0
    */
-  async 'kpis.backfillDepositAmounts'() {
+  async 'kpis.backfillDepositAmounts'(network) {
     if (!this.isSimulation) {
-      return await backfillDepositAmounts();
+      return await backfillDepositAmounts(resolveNetworkId(network));
     }
   },
 });
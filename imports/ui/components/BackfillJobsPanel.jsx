@@ -0,0 +1,130 @@
+import React from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+import { BackfillJobsCollection } from '../../api/collections';
+import { Card } from './ui/card';
+import { History, Pause, Play, X } from 'lucide-react';
+
+const STATUS_COLORS = {
+  queued: '#888',
+  running: '#3b82f6',
+  paused: '#f59e0b',
+  completed: '#10b981',
+  cancelled: '#888',
+  failed: '#ef4444'
+};
+
+/**
+ * Live list of backfill jobs for a network, with pause/resume/cancel controls
+ */
+export const BackfillJobsPanel = ({ network }) => {
+  const { jobs, isLoading } = useTracker(() => {
+    if (!network) {
+      return { jobs: [], isLoading: true };
+    }
+
+    const sub = Meteor.subscribe('backfillJobs.recent', 10, network);
+    return {
+      jobs: BackfillJobsCollection.find({ network }, { sort: { createdAt: -1 } }).fetch(),
+      isLoading: !sub.ready()
+    };
+  }, [network]);
+
+  const callJobMethod = async (method, jobId) => {
+    try {
+      await Meteor.callAsync(method, jobId);
+    } catch (error) {
+      console.error(`Error calling ${method}:`, error);
+    }
+  };
+
+  const startFullBackfill = async () => {
+    try {
+      await Meteor.callAsync('backfill.start', { network, blockCount: -1 });
+    } catch (error) {
+      console.error('Error starting backfill:', error);
+    }
+  };
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <History className="kpi-icon" />
+        </div>
+        <div style={{ flex: 1 }}>
+          <h3 className="kpi-title">Backfill Jobs</h3>
+          <p className="kpi-description">Historical block ingestion</p>
+        </div>
+        <button className="job-button" onClick={startFullBackfill} disabled={!network}>
+          Start backfill
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="kpi-description">Loading...</div>
+      ) : jobs.length === 0 ? (
+        <div className="kpi-description">No backfill jobs yet</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>Started</th>
+              <th>Status</th>
+              <th>Progress</th>
+              <th>Speed</th>
+              <th>Found</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {jobs.map((job) => {
+              const percent = job.totalBlocks > 0
+                ? Math.min(100, (job.stats.blocksScanned / job.totalBlocks) * 100)
+                : 100;
+
+              return (
+                <tr key={job._id}>
+                  <td>{new Date(job.createdAt).toLocaleString()}</td>
+                  <td style={{ color: STATUS_COLORS[job.status] }} title={job.lastError || ''}>
+                    {job.status}
+                  </td>
+                  <td>
+                    <div className="job-progress">
+                      <div className="job-progress-bar" style={{ width: `${percent}%` }} />
+                    </div>
+                    <span className="kpi-description">
+                      {job.stats.blocksScanned.toLocaleString()} / {job.totalBlocks.toLocaleString()} blocks
+                      {job.stats.blocksFailed > 0 && ` (${job.stats.blocksFailed} failed)`}
+                    </span>
+                  </td>
+                  <td>{job.blocksPerSecond ? `${job.blocksPerSecond.toFixed(1)} blocks/s` : '---'}</td>
+                  <td className="kpi-description">
+                    {job.stats.addressesAdded} addresses, {job.stats.deploymentsFound || 0} deployments, {job.stats.tokenTransfersFound || 0} token transfers, {job.stats.nftTransfersFound || 0} NFT transfers, {job.stats.depositsFound} deposits, {job.stats.withdrawalsFound} withdrawals
+                  </td>
+                  <td style={{ whiteSpace: 'nowrap' }}>
+                    {(job.status === 'running' || job.status === 'queued') && (
+                      <button className="job-button" title="Pause" onClick={() => callJobMethod('backfill.pause', job._id)}>
+                        <Pause size={14} />
+                      </button>
+                    )}
+                    {(job.status === 'paused' || job.status === 'failed') && (
+                      <button className="job-button" title="Resume" onClick={() => callJobMethod('backfill.resume', job._id)}>
+                        <Play size={14} />
+                      </button>
+                    )}
+                    {['queued', 'running', 'paused', 'failed'].includes(job.status) && (
+                      <button className="job-button" title="Cancel" onClick={() => callJobMethod('backfill.cancel', job._id)}>
+                        <X size={14} />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
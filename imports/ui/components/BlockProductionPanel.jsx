@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { Card } from './ui/card';
+import { Blocks } from 'lucide-react';
+
+// Resolutions offered by the selector and how many buckets each shows
+const RESOLUTIONS = [
+  { key: 'hourly', label: '24h', periods: 24 },
+  { key: 'daily', label: '7d', periods: 7 }
+];
+
+const formatPercent = value => (value === null ? '---' : `${value.toFixed(value < 1 ? 3 : 1)}%`);
+
+/**
+ * Format a number of seconds as seconds or minutes
+ */
+const formatSeconds = seconds => (seconds < 120 ? `${seconds}s` : `${(seconds / 60).toFixed(0)}m`);
+
+/**
+ * Block production and throughput per hour or day, with an alert when the chain stops producing blocks
+ */
+export const BlockProductionPanel = ({ network }) => {
+  const [resolution, setResolution] = useState('hourly');
+  const [history, setHistory] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!network) return;
+
+    const { periods } = RESOLUTIONS.find(option => option.key === resolution);
+    const fetchHistory = async () => {
+      try {
+        const result = await Meteor.callAsync('kpis.getBlockProductionHistory', resolution, periods, network);
+        setHistory(result || []);
+      } catch (error) {
+        console.error('Error fetching block production history:', error);
+      }
+    };
+
+    setHistory(null);
+    fetchHistory();
+
+    const interval = setInterval(fetchHistory, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [network, resolution]);
+
+  useEffect(() => {
+    if (!network) return;
+
+    const fetchStatus = async () => {
+      try {
+        setStatus(await Meteor.callAsync('blockchain.getBlockProductionStatus', network));
+      } catch (error) {
+        console.error('Error fetching block production status:', error);
+      }
+    };
+
+    setStatus(null);
+    fetchStatus();
+
+    const interval = setInterval(fetchStatus, 30 * 1000);
+    return () => clearInterval(interval);
+  }, [network]);
+
+  // Newest bucket first
+  const rows = history ? [...history].reverse() : [];
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <Blocks className="kpi-icon" />
+        </div>
+        <div style={{ flex: 1 }}>
+          <h3 className="kpi-title">Block Production</h3>
+          <p className="kpi-description" style={{ color: status?.stalled ? '#ef4444' : undefined }}>
+            {!status
+              ? 'Block time, throughput and gas utilization'
+              : status.stalled
+                ? `⚠️ Block production stalled: no new block for ${formatSeconds(status.secondsSinceLastBlock)} (last block ${status.blockNumber.toLocaleString()})`
+                : `Latest block ${status.blockNumber.toLocaleString()} produced ${formatSeconds(status.secondsSinceLastBlock)} ago`}
+          </p>
+        </div>
+        {RESOLUTIONS.map(({ key, label }) => (
+          <button
+            key={key}
+            className={`job-button${key === resolution ? ' job-button-active' : ''}`}
+            onClick={() => setResolution(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {!history ? (
+        <div className="kpi-description">Loading...</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>{resolution === 'hourly' ? 'Hour (UTC)' : 'Day (UTC)'}</th>
+              <th>Blocks</th>
+              <th>Block Time</th>
+              <th>TPS</th>
+              <th>Gas Utilization</th>
+              <th>Empty Blocks</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.bucket}>
+                <td>{row.bucket.replace('T', ' ')}</td>
+                <td>{row.blockCount.toLocaleString()}</td>
+                <td>{row.avgBlockTime === null ? '---' : `${row.avgBlockTime.toFixed(2)}s`}</td>
+                <td>{row.tps === null ? '---' : row.tps.toFixed(2)}</td>
+                <td>{formatPercent(row.gasUtilization)}</td>
+                <td>{formatPercent(row.emptyBlockRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { Card } from './ui/card';
+import { Coins } from 'lucide-react';
+
+const formatAmount = amount => amount.toLocaleString(undefined, { maximumFractionDigits: 4 });
+
+const formatUSD = amount => `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Bridge deposits, withdrawals and volume per asset (ETH and gateway tokens)
+ */
+export const BridgeAssetsPanel = ({ network }) => {
+  const [assets, setAssets] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!network) return;
+
+    const fetchAssets = async () => {
+      try {
+        const result = await Meteor.callAsync('kpis.getBridgeActivityByAsset', 7, network);
+        setAssets(result || []);
+      } catch (error) {
+        console.error('Error fetching bridge activity by asset:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    setIsLoading(true);
+    fetchAssets();
+
+    const interval = setInterval(fetchAssets, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [network]);
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <Coins className="kpi-icon" />
+        </div>
+        <div>
+          <h3 className="kpi-title">Bridge Assets</h3>
+          <p className="kpi-description">Deposits and withdrawals per asset (7d)</p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="kpi-description">Loading...</div>
+      ) : assets.length === 0 ? (
+        <div className="kpi-description">No bridge activity in this period</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>Asset</th>
+              <th>Deposits</th>
+              <th>Withdrawals</th>
+              <th>Volume</th>
+              <th>Volume (USD)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {assets.map((asset) => (
+              <tr key={asset.asset}>
+                <td>{asset.symbol || `${asset.asset.slice(0, 6)}...${asset.asset.slice(-4)}`}</td>
+                <td>{asset.depositCount.toLocaleString()} ({formatAmount(asset.deposits)})</td>
+                <td>{asset.withdrawalCount.toLocaleString()} ({formatAmount(asset.withdrawals)})</td>
+                <td>{formatAmount(asset.volume)} {asset.symbol || ''}</td>
+                <td>{asset.volumeUSD === null ? 'no price' : formatUSD(asset.volumeUSD)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
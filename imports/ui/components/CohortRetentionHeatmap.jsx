@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { Card } from './ui/card';
+import { Grid3x3 } from 'lucide-react';
+
+const COHORT_WEEKS = 8;
+
+/**
+ * Weekly cohort retention heatmap: rows are first-seen weeks, columns are weeks since first seen
+ */
+export const CohortRetentionHeatmap = ({ network }) => {
+  const [cohorts, setCohorts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!network) return;
+
+    const fetchRetention = async () => {
+      try {
+        const result = await Meteor.callAsync('kpis.getCohortRetention', COHORT_WEEKS, network);
+        setCohorts(result || []);
+      } catch (error) {
+        console.error('Error fetching cohort retention:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    setIsLoading(true);
+    fetchRetention();
+
+    // Cohorts change slowly; refresh with the other KPIs
+    const interval = setInterval(fetchRetention, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [network]);
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <Grid3x3 className="kpi-icon" />
+        </div>
+        <div>
+          <h3 className="kpi-title">Cohort Retention</h3>
+          <p className="kpi-description">Share of each week's new addresses active again N weeks later</p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="kpi-description">Loading...</div>
+      ) : cohorts.every(cohort => cohort.size === 0) ? (
+        <div className="kpi-description">No new addresses in the last {COHORT_WEEKS} weeks</div>
+      ) : (
+        <table className="address-table cohort-table">
+          <thead>
+            <tr>
+              <th>First seen (week of)</th>
+              <th>Addresses</th>
+              {cohorts.map((_, offset) => (
+                <th key={offset}>Week {offset}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {cohorts.map((cohort) => (
+              <tr key={cohort.week}>
+                <td>{cohort.week}</td>
+                <td>{cohort.size.toLocaleString()}</td>
+                {cohorts.map((_, offset) => {
+                  const percent = cohort.retention[offset];
+                  if (percent === undefined || cohort.size === 0) {
+                    return <td key={offset} className="cohort-cell" />;
+                  }
+                  return (
+                    <td
+                      key={offset}
+                      className="cohort-cell"
+                      style={{ background: `rgba(139, 92, 246, ${0.1 + (percent / 100) * 0.9})` }}
+                      title={`${cohort.retained[offset]} of ${cohort.size} addresses`}
+                    >
+                      {percent.toFixed(0)}%
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
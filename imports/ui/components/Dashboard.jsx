@@ -1,19 +1,48 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Meteor } from 'meteor/meteor';
 import { useTracker } from 'meteor/react-meteor-data';
 import {
   DailyTransactionsCollection,
   WeeklyActiveAddressesCollection,
+  ActiveAddressesCollection,
   TvlCollection
 } from '../../api/collections';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
-import { TrendingUp, Users, DollarSign, ArrowUpDown } from 'lucide-react';
+import { TrendingUp, Users, UserCheck, UserPlus, CalendarDays, Magnet, Hammer, HardHat, DollarSign, ArrowUpDown, Fuel, Receipt, Layers, Boxes, Sparkles, Image, LayoutGrid, CircleX } from 'lucide-react';
 import { KpiRow } from './KpiRow';
+import { BackfillJobsPanel } from './BackfillJobsPanel';
+import { CohortRetentionHeatmap } from './CohortRetentionHeatmap';
+import { RecentDeploymentsTable } from './RecentDeploymentsTable';
+import { TopContractsPanel } from './TopContractsPanel';
+import { TokensPanel } from './TokensPanel';
+import { NftCollectionsPanel } from './NftCollectionsPanel';
+import { WithdrawalLifecyclePanel } from './WithdrawalLifecyclePanel';
+import { BridgeAssetsPanel } from './BridgeAssetsPanel';
+import { RetryablesPanel } from './RetryablesPanel';
+import { RevertingContractsPanel } from './RevertingContractsPanel';
+import { BlockProductionPanel } from './BlockProductionPanel';
+import { WhaleFeedPanel } from './WhaleFeedPanel';
+import { TopBridgersPanel } from './TopBridgersPanel';
+
+// Colors of the TVL composition chart, assigned to assets in order
+const TVL_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6'];
+
+// Today's failure rate is flagged when it is this many times the previous days' average (and at least 1 point above it)
+const FAILURE_SPIKE_FACTOR = 2;
 
 export const Dashboard = () => {
-  // Get settings from public config
-  const blockExplorer = Meteor.settings.public?.blockExplorer || 'https://explorer.hpp.io';
-  const networkName = Meteor.settings.public?.networkName || 'HPP';
+  // Tracked networks and the one being viewed (defaults to the server's active network)
+  const [networks, setNetworks] = useState([]);
+  const [network, setNetwork] = useState(null);
+  const selectedNetwork = networks.find(n => n.id === network);
+
+  // Network the on-demand fetches are for; replies that arrive after switching away are dropped
+  const fetchNetworkRef = useRef(null);
+  const isStale = () => fetchNetworkRef.current !== network;
+
+  // Get settings from the selected network, falling back to public config
+  const blockExplorer = selectedNetwork?.explorer || Meteor.settings.public?.blockExplorer || 'https://explorer.hpp.io';
+  const networkName = selectedNetwork?.name || Meteor.settings.public?.networkName || 'HPP';
 
   // Modal state
   const [showAddressModal, setShowAddressModal] = useState(false);
@@ -21,6 +50,10 @@ export const Dashboard = () => {
 
   // 24h transactions state
   const [transactions24h, setTransactions24h] = useState('---');
+  const [failedTransactions24h, setFailedTransactions24h] = useState(null);
+
+  // Successful vs failed transactions per day
+  const [txStatusHistory, setTxStatusHistory] = useState([]);
 
   // Network info state
   const [networkInfo, setNetworkInfo] = useState(null);
@@ -33,39 +66,73 @@ export const Dashboard = () => {
   const [bridgeActivityHistory, setBridgeActivityHistory] = useState([]);
   const [bridgeVolumeHistory, setBridgeVolumeHistory] = useState([]);
 
+  // New vs returning addresses (from the first-seen registry)
+  const [newAddressesHistory, setNewAddressesHistory] = useState([]);
+
+  // Contract deployment history
+  const [deploymentsHistory, setDeploymentsHistory] = useState([]);
+  const [weeklyDeployersHistory, setWeeklyDeployersHistory] = useState([]);
+
+  // NFT mints, transfers and active collections per day
+  const [nftActivityHistory, setNftActivityHistory] = useState([]);
+
+  // Gas and fee history (aggregated from ingested transactions)
+  const [gasUsedHistory, setGasUsedHistory] = useState([]);
+  const [feeHistory, setFeeHistory] = useState([]);
+  const [l1FeeShareHistory, setL1FeeShareHistory] = useState([]);
+  const [gasPerBlockHistory, setGasPerBlockHistory] = useState([]);
+
   // Reactive data from subscriptions
-  const { dailyTransactions, weeklyActiveAddresses, tvl, txHistory, addressHistory, tvlHistory, isLoading } = useTracker(() => {
+  const { dailyTransactions, weeklyActiveAddresses, tvl, txHistory, addressHistory, tvlHistory, activeHistory, isLoading } = useTracker(() => {
     const days = 7;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
-    const dailyTxSub = Meteor.subscribe('dailyTransactions.latest');
-    const weeklyAddrSub = Meteor.subscribe('weeklyActiveAddresses.latest');
-    const tvlSub = Meteor.subscribe('tvl.latest');
-    const txHistorySub = Meteor.subscribe('dailyTransactions.history', days);
-    const addrHistorySub = Meteor.subscribe('weeklyActiveAddresses.history', days);
-    const tvlHistorySub = Meteor.subscribe('tvl.history', days);
+    if (!network) {
+      return {
+        dailyTransactions: '---',
+        weeklyActiveAddresses: '---',
+        tvl: '---',
+        txHistory: [],
+        addressHistory: [],
+        tvlHistory: [],
+        activeHistory: [],
+        isLoading: true
+      };
+    }
+
+    const dailyTxSub = Meteor.subscribe('dailyTransactions.latest', network);
+    const weeklyAddrSub = Meteor.subscribe('weeklyActiveAddresses.latest', network);
+    const tvlSub = Meteor.subscribe('tvl.latest', network);
+    const txHistorySub = Meteor.subscribe('dailyTransactions.history', days, network);
+    const addrHistorySub = Meteor.subscribe('weeklyActiveAddresses.history', days, network);
+    const tvlHistorySub = Meteor.subscribe('tvl.history', days, network);
+    const activeHistorySub = Meteor.subscribe('activeAddresses.history', days, network);
 
     const isLoading = !dailyTxSub.ready() || !weeklyAddrSub.ready() || !tvlSub.ready();
 
     // Get latest records
-    const latestDailyTx = DailyTransactionsCollection.findOne({}, { sort: { updatedAt: -1 } });
-    const latestWeeklyAddr = WeeklyActiveAddressesCollection.findOne({}, { sort: { updatedAt: -1 } });
-    const latestTvl = TvlCollection.findOne({}, { sort: { timestamp: -1 } });
+    const latestDailyTx = DailyTransactionsCollection.findOne({ network }, { sort: { updatedAt: -1 } });
+    const latestWeeklyAddr = WeeklyActiveAddressesCollection.findOne({ network }, { sort: { updatedAt: -1 } });
+    const latestTvl = TvlCollection.findOne({ network }, { sort: { timestamp: -1 } });
 
     // Get historical data (matching the publication filters)
     const txHistoryData = DailyTransactionsCollection.find(
-      { date: { $gte: startDate } },
+      { network, date: { $gte: startDate } },
       { sort: { date: 1 }, limit: days }
     ).fetch();
     const addrHistoryData = WeeklyActiveAddressesCollection.find(
-      {},
+      { network },
       { sort: { updatedAt: -1 }, limit: days }
     ).fetch().reverse(); // Reverse to get chronological order
     const tvlHistoryData = TvlCollection.find(
-      {},
+      { network },
       { sort: { timestamp: -1 }, limit: days }
     ).fetch().reverse(); // Reverse to get chronological order
+    const activeHistoryData = ActiveAddressesCollection.find(
+      { network },
+      { sort: { date: -1 }, limit: days }
+    ).fetch().reverse(); // Reverse to get chronological order
 
     return {
       dailyTransactions: latestDailyTx?.count?.toLocaleString() || '---',
@@ -76,33 +143,66 @@ export const Dashboard = () => {
       txHistory: txHistoryData,
       addressHistory: addrHistoryData,
       tvlHistory: tvlHistoryData,
+      activeHistory: activeHistoryData,
       isLoading
     };
+  }, [network]);
+
+  useEffect(() => {
+    // Load the tracked networks once and select the default one
+    Meteor.callAsync('blockchain.getNetworks').then((result) => {
+      setNetworks(result.networks);
+      setNetwork(result.defaultNetwork);
+    }).catch(console.error);
   }, []);
 
   useEffect(() => {
+    if (!network) return;
+
     // Set page title based on network
     document.title = `PartyHouse Analytics - ${networkName}`;
 
-    // Fetch network info
-    Meteor.callAsync('blockchain.getNetworkInfo').then(setNetworkInfo).catch(console.error);
+    // Fetch network info, ignoring replies for a network that is no longer selected
+    let cancelled = false;
+    const fetchNetworkInfo = () => {
+      Meteor.callAsync('blockchain.getNetworkInfo', network).then((info) => {
+        if (!cancelled) setNetworkInfo(info);
+      }).catch(console.error);
+    };
+
+    setNetworkInfo(null);
+    fetchNetworkInfo();
 
     // Update network info every 30 seconds
-    const networkInterval = setInterval(() => {
-      Meteor.callAsync('blockchain.getNetworkInfo').then(setNetworkInfo).catch(console.error);
-    }, 30000);
+    const networkInterval = setInterval(fetchNetworkInfo, 30000);
 
     return () => {
+      cancelled = true;
       clearInterval(networkInterval);
     };
-  }, [networkName]);
+  }, [network, networkName]);
 
   useEffect(() => {
+    if (!network) return;
+
+    fetchNetworkRef.current = network;
+
+    // Reset values from the previously selected network
+    setTransactions24h('---');
+    setFailedTransactions24h(null);
+    setBridgeActivity('---');
+    setBridgeVolume('---');
+
     // Fetch 24h transactions, bridge activity and volume (these are calculated on-demand, not stored in DB)
     fetch24hTransactions();
     fetchBridgeActivity();
     fetchBridgeVolume();
     fetchBridgeHistoricalData();
+    fetchGasHistoricalData();
+    fetchNewAddressesHistory();
+    fetchDeploymentsHistory();
+    fetchNftActivityHistory();
+    fetchTxStatusHistory();
 
     // Update metrics every 5 minutes (matches server-side calculation schedule)
     const metricsInterval = setInterval(() => {
@@ -110,19 +210,26 @@ export const Dashboard = () => {
       fetchBridgeActivity();
       fetchBridgeVolume();
       fetchBridgeHistoricalData();
+      fetchGasHistoricalData();
+      fetchNewAddressesHistory();
+      fetchDeploymentsHistory();
+      fetchNftActivityHistory();
+      fetchTxStatusHistory();
     }, 5 * 60 * 1000);
 
     return () => {
+      fetchNetworkRef.current = null;
       clearInterval(metricsInterval);
     };
-  }, []);
+  }, [network]);
 
   const fetchBridgeHistoricalData = async () => {
     try {
       const [bridgeData, volumeData] = await Promise.all([
-        Meteor.callAsync('kpis.getBridgeActivityHistory', 7),
-        Meteor.callAsync('kpis.getBridgeVolumeHistory', 7)
+        Meteor.callAsync('kpis.getBridgeActivityHistory', 7, network),
+        Meteor.callAsync('kpis.getBridgeVolumeHistory', 7, network)
       ]);
+      if (isStale()) return;
 
       setBridgeActivityHistory(bridgeData || []);
       setBridgeVolumeHistory(volumeData || []);
@@ -131,48 +238,165 @@ export const Dashboard = () => {
     }
   };
 
+  const fetchNewAddressesHistory = async () => {
+    try {
+      const result = await Meteor.callAsync('kpis.getNewAddressesHistory', 7, network);
+      if (isStale()) return;
+      setNewAddressesHistory(result || []);
+    } catch (error) {
+      console.error('Error fetching new address history:', error);
+    }
+  };
+
+  const fetchDeploymentsHistory = async () => {
+    try {
+      const [dailyData, weeklyData] = await Promise.all([
+        Meteor.callAsync('kpis.getDeploymentsHistory', 7, network),
+        Meteor.callAsync('kpis.getWeeklyDeployersHistory', 8, network)
+      ]);
+      if (isStale()) return;
+
+      setDeploymentsHistory(dailyData || []);
+      setWeeklyDeployersHistory(weeklyData || []);
+    } catch (error) {
+      console.error('Error fetching deployment history:', error);
+    }
+  };
+
+  const fetchNftActivityHistory = async () => {
+    try {
+      const result = await Meteor.callAsync('kpis.getNftActivityHistory', 7, network);
+      if (isStale()) return;
+      setNftActivityHistory(result || []);
+    } catch (error) {
+      console.error('Error fetching NFT activity history:', error);
+    }
+  };
+
+  const fetchTxStatusHistory = async () => {
+    try {
+      const result = await Meteor.callAsync('kpis.getTransactionStatusHistory', 7, network);
+      if (isStale()) return;
+      setTxStatusHistory(result || []);
+    } catch (error) {
+      console.error('Error fetching transaction status history:', error);
+    }
+  };
+
+  const fetchGasHistoricalData = async () => {
+    try {
+      const [gasData, feeData, l1ShareData, perBlockData] = await Promise.all([
+        Meteor.callAsync('kpis.getGasUsedHistory', 7, network),
+        Meteor.callAsync('kpis.getFeeHistory', 7, network),
+        Meteor.callAsync('kpis.getL1FeeShareHistory', 7, network),
+        Meteor.callAsync('kpis.getGasPerBlockHistory', 7, network)
+      ]);
+      if (isStale()) return;
+
+      setGasUsedHistory(gasData || []);
+      setFeeHistory(feeData || []);
+      setL1FeeShareHistory(l1ShareData || []);
+      setGasPerBlockHistory(perBlockData || []);
+    } catch (error) {
+      console.error('Error fetching gas historical data:', error);
+    }
+  };
+
   const fetchBridgeActivity = async () => {
     try {
       setIsLoadingBridge(true);
-      const result = await Meteor.callAsync('kpis.getBridgeActivity');
+      const result = await Meteor.callAsync('kpis.getBridgeActivity', network);
+      if (isStale()) return;
       if (result && result.depositCount !== undefined) {
         setBridgeActivity(`${result.depositCount} deposits, ${result.withdrawalCount} withdrawals`);
       }
     } catch (error) {
       console.error('Error fetching bridge activity:', error);
     } finally {
-      setIsLoadingBridge(false);
+      if (!isStale()) setIsLoadingBridge(false);
     }
   };
 
   const fetchBridgeVolume = async () => {
     try {
       setIsLoadingVolume(true);
-      const result = await Meteor.callAsync('kpis.getBridgeVolume');
+      const result = await Meteor.callAsync('kpis.getBridgeVolume', network);
+      if (isStale()) return;
       if (result && result.volumeUSD !== undefined) {
         setBridgeVolume(`$${result.volumeUSD.toLocaleString(undefined, {minimumFractionDigits: 0, maximumFractionDigits: 0})}`);
       }
     } catch (error) {
       console.error('Error fetching bridge volume:', error);
     } finally {
-      setIsLoadingVolume(false);
+      if (!isStale()) setIsLoadingVolume(false);
     }
   };
 
   const fetch24hTransactions = async () => {
     try {
-      const result = await Meteor.callAsync('kpis.get24hTransactions');
+      const result = await Meteor.callAsync('kpis.get24hTransactions', network);
+      if (isStale()) return;
       if (result && result.count !== undefined) {
         setTransactions24h(result.count.toLocaleString());
+        setFailedTransactions24h(result.failed ?? null);
       }
     } catch (error) {
       console.error('Error fetching 24h transactions:', error);
     }
   };
 
+  // Today's DAU/WAU/MAU snapshot and new vs returning split
+  const latestActive = activeHistory[activeHistory.length - 1];
+  const latestNewAddresses = newAddressesHistory[newAddressesHistory.length - 1];
+
+  // Today's deployments and this week's deployers
+  const latestDeployments = deploymentsHistory[deploymentsHistory.length - 1];
+  const latestDeployers = weeklyDeployersHistory[weeklyDeployersHistory.length - 1];
+
+  // TVL per asset for the composition chart (snapshots from before the breakdown count as ETH)
+  const tvlAssetHistory = tvlHistory.map(snapshot => {
+    const assets = snapshot.assets?.length ? snapshot.assets : [{ symbol: 'ETH', valueUSD: snapshot.tvlInUSD }];
+    return Object.fromEntries([
+      ['timestamp', snapshot.timestamp],
+      ...assets.map(asset => [asset.symbol, asset.valueUSD || 0])
+    ]);
+  });
+  const tvlSeries = [...new Set(tvlHistory.flatMap(snapshot => (snapshot.assets?.length ? snapshot.assets : [{ symbol: 'ETH' }]).map(asset => asset.symbol)))]
+    .map((symbol, i) => ({ key: symbol, label: symbol, color: TVL_COLORS[i % TVL_COLORS.length] }));
+  const latestTvlSnapshot = tvlHistory[tvlHistory.length - 1];
+  const tvlComposition = latestTvlSnapshot?.assets?.length && latestTvlSnapshot.tvlInUSD > 0
+    ? latestTvlSnapshot.assets
+      .filter(asset => asset.valueUSD)
+      .map(asset => `${asset.symbol} ${((asset.valueUSD / latestTvlSnapshot.tvlInUSD) * 100).toFixed(0)}%`)
+      .join(' • ')
+    : null;
+
+  // Today's failure rate against the average of the previous days that had transactions
+  const latestTxStatus = txStatusHistory[txStatusHistory.length - 1];
+  const previousTxStatus = txStatusHistory.slice(0, -1).filter(day => day.total > 0);
+  const baselineFailureRate = previousTxStatus.length > 0
+    ? previousTxStatus.reduce((sum, day) => sum + day.failureRate, 0) / previousTxStatus.length
+    : null;
+  const isFailureSpike = Boolean(latestTxStatus?.total) && baselineFailureRate !== null &&
+    latestTxStatus.failureRate >= baselineFailureRate * FAILURE_SPIKE_FACTOR &&
+    latestTxStatus.failureRate - baselineFailureRate >= 1;
+
+  // Today's NFT activity
+  const latestNft = nftActivityHistory[nftActivityHistory.length - 1];
+
+  // Latest day of each gas history (today, possibly partial)
+  const latestGas = gasUsedHistory[gasUsedHistory.length - 1];
+  const latestFee = feeHistory[feeHistory.length - 1];
+  const latestL1Share = l1FeeShareHistory[l1FeeShareHistory.length - 1];
+  const latestGasPerBlock = gasPerBlockHistory[gasPerBlockHistory.length - 1];
+
+  const formatGas = gas => (gas >= 1e6 ? `${(gas / 1e6).toFixed(2)}M` : gas.toLocaleString());
+  const formatGwei = gwei => gwei.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
   const handleAddressCardClick = async () => {
     try {
-      const details = await Meteor.callAsync('kpis.getWeeklyActiveAddressDetails');
+      const details = await Meteor.callAsync('kpis.getWeeklyActiveAddressDetails', network);
+      if (isStale()) return;
       setAddressDetails(details);
       setShowAddressModal(true);
     } catch (error) {
@@ -184,11 +408,23 @@ export const Dashboard = () => {
     <div className="dashboard">
       <div className="dashboard-header">
         <h2>Dashboard</h2>
+        {networks.length > 1 && (
+          <select
+            className="network-select"
+            value={network || ''}
+            onChange={(e) => setNetwork(e.target.value)}
+          >
+            {networks.map((n) => (
+              <option key={n.id} value={n.id}>{n.name}</option>
+            ))}
+          </select>
+        )}
         <p>
           Real-time KPI monitoring for {networkName}
           {networkInfo && (
             <span style={{ marginLeft: '12px', color: '#888', fontSize: '0.9em' }}>
               • Block {networkInfo.blockNumber?.toLocaleString()} • Chain ID {networkInfo.chainId}
+              {networkInfo.rpcUrl && ` • RPC ${networkInfo.rpcUrl}`}
             </span>
           )}
         </p>
@@ -198,7 +434,7 @@ export const Dashboard = () => {
         <KpiRow
           title="Transactions (24h)"
           value={transactions24h}
-          description="Transactions in last 24 hours"
+          description={`Transactions in last 24 hours${failedTransactions24h !== null ? ` • ${failedTransactions24h.toLocaleString()} failed` : ''}`}
           icon={TrendingUp}
           isLoading={false}
           chartData={txHistory}
@@ -207,6 +443,22 @@ export const Dashboard = () => {
           chartTitle="Transaction History (7d)"
         />
 
+        <KpiRow
+          title="Failure Rate"
+          value={latestTxStatus ? `${latestTxStatus.failureRate.toFixed(1)}%` : '---'}
+          description={isFailureSpike
+            ? `⚠️ Reverted transactions today, up from a ${baselineFailureRate.toFixed(1)}% average`
+            : `Reverted transactions today${latestTxStatus ? ` (${latestTxStatus.failed.toLocaleString()} of ${latestTxStatus.total.toLocaleString()})` : ''}`}
+          icon={CircleX}
+          isLoading={false}
+          chartData={txStatusHistory}
+          chartDataKey="failureRate"
+          chartColor="#ef4444"
+          chartTitle="Failure Rate (%, 7d)"
+        />
+
+        <RevertingContractsPanel network={network} blockExplorer={blockExplorer} />
+
         <KpiRow
           title="Weekly Active Addresses"
           value={weeklyActiveAddresses}
@@ -221,16 +473,67 @@ export const Dashboard = () => {
           chartTitle="Active Address Trend (7d)"
         />
 
+        <KpiRow
+          title="Daily Active Addresses"
+          value={latestActive ? latestActive.dau.toLocaleString() : '---'}
+          description="Unique addresses today"
+          icon={UserCheck}
+          isLoading={isLoading}
+          chartData={activeHistory}
+          chartDataKey="dau"
+          chartColor="#22c55e"
+          chartTitle="DAU (7d)"
+        />
+
+        <KpiRow
+          title="Monthly Active Addresses"
+          value={latestActive ? latestActive.mau.toLocaleString() : '---'}
+          description={latestActive ? `Unique addresses (30d) • WAU ${latestActive.wau.toLocaleString()}` : 'Unique addresses (30d)'}
+          icon={CalendarDays}
+          isLoading={isLoading}
+          chartData={activeHistory}
+          chartDataKey="mau"
+          chartColor="#0ea5e9"
+          chartTitle="MAU (7d)"
+        />
+
+        <KpiRow
+          title="Stickiness"
+          value={latestActive ? `${latestActive.stickiness.toFixed(1)}%` : '---'}
+          description="DAU / MAU"
+          icon={Magnet}
+          isLoading={isLoading}
+          chartData={activeHistory}
+          chartDataKey="stickiness"
+          chartColor="#a855f7"
+          chartTitle="Stickiness (%, 7d)"
+        />
+
+        <KpiRow
+          title="New Addresses"
+          value={latestNewAddresses ? latestNewAddresses.newAddresses.toLocaleString() : '---'}
+          description={latestNewAddresses
+            ? `First seen today • ${latestNewAddresses.returningAddresses.toLocaleString()} returning`
+            : 'First seen today'}
+          icon={UserPlus}
+          isLoading={false}
+          chartData={newAddressesHistory}
+          chartDataKey="newAddresses"
+          chartColor="#f97316"
+          chartTitle="New Addresses per Day (7d)"
+        />
+
+        <CohortRetentionHeatmap network={network} />
+
         <KpiRow
           title="Bridge TVL"
           value={tvl}
-          description="Total value locked (USD)"
+          description={tvlComposition ? `Total value locked (USD): ${tvlComposition}` : 'Total value locked (USD)'}
           icon={DollarSign}
           isLoading={isLoading}
-          chartData={tvlHistory}
-          chartDataKey="tvlInUSD"
-          chartColor="#3b82f6"
-          chartTitle="TVL History (7d)"
+          chartData={tvlAssetHistory}
+          chartSeries={tvlSeries}
+          chartTitle="TVL Composition (USD)"
         />
 
         <KpiRow
@@ -256,6 +559,138 @@ export const Dashboard = () => {
           chartColor="#ec4899"
           chartTitle="Bridge Volume (7d)"
         />
+
+        <BridgeAssetsPanel network={network} />
+
+        <TopBridgersPanel network={network} blockExplorer={blockExplorer} />
+
+        <WhaleFeedPanel network={network} blockExplorer={blockExplorer} />
+
+        <WithdrawalLifecyclePanel network={network} />
+
+        <RetryablesPanel network={network} blockExplorer={blockExplorer} />
+
+        <BlockProductionPanel network={network} />
+
+        <KpiRow
+          title="Gas Used"
+          value={latestGas ? formatGas(latestGas.totalGas) : '---'}
+          description={latestGas ? `Total gas today (${latestGas.txCount.toLocaleString()} txs)` : 'Total gas today'}
+          icon={Fuel}
+          isLoading={false}
+          chartData={gasUsedHistory}
+          chartDataKey="totalGas"
+          chartColor="#ef4444"
+          chartTitle="Gas Used per Day (7d)"
+        />
+
+        <KpiRow
+          title="Transaction Fees"
+          value={latestFee ? `${formatGwei(latestFee.avgFeeGwei)} gwei` : '---'}
+          description={latestFee
+            ? `Avg fee today • p50 ${formatGwei(latestFee.p50FeeGwei)} • p90 ${formatGwei(latestFee.p90FeeGwei)} • p99 ${formatGwei(latestFee.p99FeeGwei)} gwei`
+            : 'Avg fee per transaction today'}
+          icon={Receipt}
+          isLoading={false}
+          chartData={feeHistory}
+          chartDataKey="avgFeeGwei"
+          chartColor="#14b8a6"
+          chartTitle="Average Fee (gwei, 7d)"
+        />
+
+        <KpiRow
+          title="L1 Data Fee Share"
+          value={latestL1Share ? `${latestL1Share.l1FeeShare.toFixed(1)}%` : '---'}
+          description="Share of fees paid for L1 data vs L2 execution (today)"
+          icon={Layers}
+          isLoading={false}
+          chartData={l1FeeShareHistory}
+          chartDataKey="l1FeeShare"
+          chartColor="#6366f1"
+          chartTitle="L1 Fee Share (%, 7d)"
+        />
+
+        <KpiRow
+          title="Gas per Block"
+          value={latestGasPerBlock ? formatGas(latestGasPerBlock.gasPerBlock) : '---'}
+          description="Average gas used per block (today)"
+          icon={Boxes}
+          isLoading={false}
+          chartData={gasPerBlockHistory}
+          chartDataKey="gasPerBlock"
+          chartColor="#84cc16"
+          chartTitle="Gas per Block (7d)"
+        />
+
+        <KpiRow
+          title="Contracts Deployed"
+          value={latestDeployments ? latestDeployments.deployments.toLocaleString() : '---'}
+          description="New contracts today"
+          icon={Hammer}
+          isLoading={false}
+          chartData={deploymentsHistory}
+          chartDataKey="deployments"
+          chartColor="#eab308"
+          chartTitle="Deployments per Day (7d)"
+        />
+
+        <KpiRow
+          title="Unique Deployers"
+          value={latestDeployers ? latestDeployers.uniqueDeployers.toLocaleString() : '---'}
+          description="Addresses deploying contracts this week"
+          icon={HardHat}
+          isLoading={false}
+          chartData={weeklyDeployersHistory}
+          chartDataKey="uniqueDeployers"
+          chartColor="#d946ef"
+          chartTitle="Unique Deployers per Week (8w)"
+        />
+
+        <RecentDeploymentsTable network={network} blockExplorer={blockExplorer} />
+
+        <TopContractsPanel network={network} blockExplorer={blockExplorer} />
+
+        <TokensPanel network={network} blockExplorer={blockExplorer} />
+
+        <KpiRow
+          title="NFT Mints"
+          value={latestNft ? latestNft.mints.toLocaleString() : '---'}
+          description="ERC-721/ERC-1155 tokens minted today"
+          icon={Sparkles}
+          isLoading={false}
+          chartData={nftActivityHistory}
+          chartDataKey="mints"
+          chartColor="#f43f5e"
+          chartTitle="NFT Mints per Day (7d)"
+        />
+
+        <KpiRow
+          title="NFT Transfers"
+          value={latestNft ? latestNft.transfers.toLocaleString() : '---'}
+          description="NFT transfers and burns today (excluding mints)"
+          icon={Image}
+          isLoading={false}
+          chartData={nftActivityHistory}
+          chartDataKey="transfers"
+          chartColor="#0ea5e9"
+          chartTitle="NFT Transfers per Day (7d)"
+        />
+
+        <KpiRow
+          title="Active NFT Collections"
+          value={latestNft ? latestNft.activeCollections.toLocaleString() : '---'}
+          description="Collections with mints or transfers today"
+          icon={LayoutGrid}
+          isLoading={false}
+          chartData={nftActivityHistory}
+          chartDataKey="activeCollections"
+          chartColor="#a855f7"
+          chartTitle="Active Collections per Day (7d)"
+        />
+
+        <NftCollectionsPanel network={network} blockExplorer={blockExplorer} />
+
+        <BackfillJobsPanel network={network} />
       </div>
 
       {/* Address Details Modal */}
@@ -103,6 +103,80 @@ const SimpleLineChart = ({ data, dataKey, color = '#8b5cf6', title = 'Last 7 day
   );
 };
 
+/**
+ * Stacked area chart of several series (e.g. TVL per asset), with a legend
+ * series: [{ key, label, color }], stacked in order from the bottom
+ */
+const StackedAreaChart = ({ data, series, title = 'Last 7 days' }) => {
+  if (!data || data.length === 0 || series.length === 0) {
+    return (
+      <div className="chart-placeholder" style={{ height: '120px', display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#666' }}>
+        No data yet
+      </div>
+    );
+  }
+
+  const width = 300;
+  const height = 120;
+  const padding = { top: 25, right: 15, bottom: 25, left: 40 };
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+
+  // Running totals per point, bottom series first
+  const stacks = data.map(d => {
+    let total = 0;
+    return series.map(({ key }) => (total += d[key] || 0));
+  });
+  const max = Math.max(...stacks.map(stack => stack[stack.length - 1]), 1);
+
+  const x = i => padding.left + (data.length > 1 ? (i / (data.length - 1)) * chartWidth : chartWidth / 2);
+  const y = value => padding.top + chartHeight - (value / max) * chartHeight;
+
+  const formatYAxisLabel = (value) => {
+    if (value >= 1000000) {
+      return `${(value / 1000000).toFixed(1)}M`;
+    } else if (value >= 1000) {
+      return `${(value / 1000).toFixed(0)}K`;
+    }
+    return Math.round(value).toLocaleString();
+  };
+
+  return (
+    <svg width={width} height={height + 14} style={{ display: 'block' }}>
+      <text x={width / 2} y={15} textAnchor="middle" fill="#888" fontSize="11" fontWeight="500">
+        {title}
+      </text>
+
+      <line x1={padding.left} y1={padding.top} x2={padding.left} y2={height - padding.bottom} stroke="#333" strokeWidth="1" />
+      <line x1={padding.left} y1={height - padding.bottom} x2={width - padding.right} y2={height - padding.bottom} stroke="#333" strokeWidth="1" />
+
+      <text x={padding.left - 5} y={padding.top + 5} textAnchor="end" fill="#666" fontSize="10">
+        {formatYAxisLabel(max)}
+      </text>
+      <text x={padding.left - 5} y={height - padding.bottom} textAnchor="end" fill="#666" fontSize="10">
+        0
+      </text>
+
+      {/* One band per series, between its running total and the one below */}
+      {series.map(({ key, color }, s) => {
+        const top = data.map((_, i) => `${x(i)},${y(stacks[i][s])}`);
+        const bottom = data.map((_, i) => `${x(i)},${y(s > 0 ? stacks[i][s - 1] : 0)}`).reverse();
+        return (
+          <polygon key={key} points={[...top, ...bottom].join(' ')} fill={color} fillOpacity="0.7" stroke={color} strokeWidth="1" />
+        );
+      })}
+
+      {/* Legend */}
+      {series.map(({ key, label, color }, s) => (
+        <g key={key} transform={`translate(${padding.left + s * 60}, ${height})`}>
+          <rect width="8" height="8" y="-7" fill={color} />
+          <text x="11" fill="#888" fontSize="9">{label}</text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
 export const KpiRow = ({
   title,
   value,
@@ -113,6 +187,7 @@ export const KpiRow = ({
   chartDataKey = 'count',
   chartColor = '#8b5cf6',
   chartTitle,
+  chartSeries,
   onClick,
   clickable
 }) => {
@@ -132,7 +207,9 @@ export const KpiRow = ({
           <div className="kpi-value-large">{value}</div>
         </div>
         <div className="kpi-chart">
-          <SimpleLineChart data={chartData} dataKey={chartDataKey} color={chartColor} title={chartTitle} />
+          {chartSeries
+            ? <StackedAreaChart data={chartData} series={chartSeries} title={chartTitle} />
+            : <SimpleLineChart data={chartData} dataKey={chartDataKey} color={chartColor} title={chartTitle} />}
         </div>
       </div>
     </Card>
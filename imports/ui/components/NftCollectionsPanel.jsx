@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { Card } from './ui/card';
+import { Trophy } from 'lucide-react';
+
+const STANDARD_LABELS = { erc721: 'ERC-721', erc1155: 'ERC-1155' };
+
+/**
+ * Leaderboard of the most active NFT collections, linking to the block explorer
+ */
+export const NftCollectionsPanel = ({ network, blockExplorer }) => {
+  const [collections, setCollections] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!network) return;
+
+    const fetchCollections = async () => {
+      try {
+        const result = await Meteor.callAsync('nfts.getCollections', 7, network);
+        setCollections(result || []);
+      } catch (error) {
+        console.error('Error fetching NFT collections:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    setIsLoading(true);
+    fetchCollections();
+
+    const interval = setInterval(fetchCollections, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [network]);
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <Trophy className="kpi-icon" />
+        </div>
+        <div>
+          <h3 className="kpi-title">NFT Collections</h3>
+          <p className="kpi-description">Most active collections by mints and transfers (7d)</p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="kpi-description">Loading...</div>
+      ) : collections.length === 0 ? (
+        <div className="kpi-description">No NFT transfers indexed yet</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Collection</th>
+              <th>Standard</th>
+              <th>Mints</th>
+              <th>Transfers</th>
+              <th>Holders</th>
+            </tr>
+          </thead>
+          <tbody>
+            {collections.map((collection, index) => (
+              <tr key={collection.address}>
+                <td>{index + 1}</td>
+                <td className="address-cell">
+                  <a href={`${blockExplorer}/token/${collection.address}`} target="_blank" rel="noopener noreferrer">
+                    {collection.name || `${collection.address.slice(0, 6)}...${collection.address.slice(-4)}`}
+                  </a>
+                  {collection.symbol && <span className="kpi-description"> {collection.symbol}</span>}
+                </td>
+                <td>{STANDARD_LABELS[collection.standard] || collection.standard}</td>
+                <td>{collection.mints.toLocaleString()}</td>
+                <td>{collection.transfers.toLocaleString()}</td>
+                <td>{collection.holders.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+import { ContractDeploymentsCollection } from '../../api/collections';
+import { Card } from './ui/card';
+import { FileCode } from 'lucide-react';
+
+const shortenAddress = address => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * Live list of the most recent contract deployments, linked to the block explorer
+ */
+export const RecentDeploymentsTable = ({ network, blockExplorer }) => {
+  const { deployments, isLoading } = useTracker(() => {
+    if (!network) {
+      return { deployments: [], isLoading: true };
+    }
+
+    const sub = Meteor.subscribe('contractDeployments.recent', 20, network);
+    return {
+      deployments: ContractDeploymentsCollection.find({ network }, { sort: { blockNumber: -1 } }).fetch(),
+      isLoading: !sub.ready()
+    };
+  }, [network]);
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <FileCode className="kpi-icon" />
+        </div>
+        <div>
+          <h3 className="kpi-title">Recent Deployments</h3>
+          <p className="kpi-description">Latest contracts created on {network}</p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="kpi-description">Loading...</div>
+      ) : deployments.length === 0 ? (
+        <div className="kpi-description">No contract deployments indexed yet</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>Contract</th>
+              <th>Deployer</th>
+              <th>Block</th>
+              <th>Time</th>
+              <th>Bytecode</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deployments.map((deployment) => (
+              <tr key={deployment._id}>
+                <td className="address-cell">
+                  <a href={`${blockExplorer}/address/${deployment.address}`} target="_blank" rel="noopener noreferrer">
+                    {shortenAddress(deployment.address)}
+                  </a>
+                </td>
+                <td className="address-cell">
+                  <a href={`${blockExplorer}/address/${deployment.deployer}`} target="_blank" rel="noopener noreferrer">
+                    {shortenAddress(deployment.deployer)}
+                  </a>
+                </td>
+                <td className="address-cell">
+                  <a href={`${blockExplorer}/tx/${deployment.txHash}`} target="_blank" rel="noopener noreferrer">
+                    {deployment.blockNumber.toLocaleString()}
+                  </a>
+                </td>
+                <td>{new Date(deployment.timestamp).toLocaleString()}</td>
+                <td>{deployment.bytecodeSize === null ? '---' : `${deployment.bytecodeSize.toLocaleString()} bytes`}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { Card } from './ui/card';
+import { Ticket } from 'lucide-react';
+
+// Display order and labels of retryable statuses
+const STATUSES = [
+  { key: 'pending', label: 'Pending on L2' },
+  { key: 'auto-redeemed', label: 'Auto-redeemed' },
+  { key: 'redeemed', label: 'Redeemed manually' },
+  { key: 'needs-redeem', label: 'Needs manual redeem' },
+  { key: 'failed', label: 'Failed' },
+  { key: 'expired', label: 'Expired' }
+];
+
+const STATUS_COLORS = { 'needs-redeem': '#eab308', failed: '#ef4444', expired: '#ef4444' };
+
+/**
+ * Format a latency in seconds as seconds or minutes
+ */
+const formatLatency = seconds => (seconds === null ? '---' : seconds < 120 ? `${Math.round(seconds)}s` : `${(seconds / 60).toFixed(1)}m`);
+
+/**
+ * L1→L2 retryable deposits: status breakdown, latency distribution and tickets needing attention
+ */
+export const RetryablesPanel = ({ network, blockExplorer }) => {
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    if (!network) return;
+
+    const fetchSummary = async () => {
+      try {
+        const result = await Meteor.callAsync('kpis.getRetryableSummary', 7, network);
+        setSummary(result || null);
+      } catch (error) {
+        console.error('Error fetching retryable summary:', error);
+      }
+    };
+
+    setSummary(null);
+    fetchSummary();
+
+    const interval = setInterval(fetchSummary, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [network]);
+
+  if (!summary) {
+    return (
+      <Card className="kpi-row">
+        <div className="kpi-description">Loading retryables...</div>
+      </Card>
+    );
+  }
+
+  const { statuses, latency, attention } = summary;
+  const maxBucket = Math.max(...latency.buckets.map(bucket => bucket.count), 1);
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <Ticket className="kpi-icon" />
+        </div>
+        <div>
+          <h3 className="kpi-title">L1→L2 Deposits</h3>
+          <p className="kpi-description">
+            Retryable tickets by status (7d) • latency p50 {formatLatency(latency.p50)}, p90 {formatLatency(latency.p90)}, p99 {formatLatency(latency.p99)}
+          </p>
+        </div>
+      </div>
+
+      <table className="address-table">
+        <thead>
+          <tr>
+            <th>Status</th>
+            <th>Tickets</th>
+            <th>Deposited</th>
+          </tr>
+        </thead>
+        <tbody>
+          {STATUSES.map(({ key, label }) => (
+            <tr key={key}>
+              <td style={{ color: STATUS_COLORS[key] }}>{label}</td>
+              <td>{(statuses[key]?.count || 0).toLocaleString()}</td>
+              <td>{(statuses[key]?.deposit || 0).toLocaleString(undefined, { maximumFractionDigits: 4 })} ETH</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {latency.count > 0 && (
+        <>
+          <h3 className="kpi-title" style={{ margin: '1rem 0 0.5rem' }}>L1→L2 Latency</h3>
+          <table className="address-table">
+            <tbody>
+              {latency.buckets.map(({ label, count }) => (
+                <tr key={label}>
+                  <td style={{ width: '5rem' }}>{label}</td>
+                  <td>
+                    <div style={{ width: `${(count / maxBucket) * 100}%`, minWidth: count > 0 ? '2px' : 0, height: '0.75rem', background: '#8b5cf6', borderRadius: '2px' }} />
+                  </td>
+                  <td style={{ width: '4rem' }}>{count.toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {attention.length > 0 && (
+        <>
+          <h3 className="kpi-title" style={{ margin: '1rem 0 0.5rem' }}>Needs Attention</h3>
+          <table className="address-table">
+            <thead>
+              <tr>
+                <th>Ticket</th>
+                <th>Status</th>
+                <th>Sender</th>
+                <th>Deposit</th>
+                <th>Submitted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {attention.map((retryable) => (
+                <tr key={retryable.ticketId}>
+                  <td className="address-cell">
+                    <a href={`${blockExplorer}/tx/${retryable.ticketId}`} target="_blank" rel="noopener noreferrer">
+                      {retryable.ticketId.slice(0, 10)}...
+                    </a>
+                  </td>
+                  <td style={{ color: STATUS_COLORS[retryable.status] }}>
+                    {STATUSES.find(status => status.key === retryable.status)?.label}
+                    {retryable.status === 'needs-redeem' && retryable.expiresAt && ` (expires ${new Date(retryable.expiresAt).toLocaleDateString()})`}
+                  </td>
+                  <td className="address-cell">{retryable.sender.slice(0, 6)}...{retryable.sender.slice(-4)}</td>
+                  <td>{retryable.deposit.toLocaleString(undefined, { maximumFractionDigits: 4 })} ETH</td>
+                  <td>{new Date(retryable.l1Timestamp).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { Card } from './ui/card';
+import { OctagonAlert } from 'lucide-react';
+
+/**
+ * Contracts with the most reverted transactions over the last 7 days
+ */
+export const RevertingContractsPanel = ({ network, blockExplorer }) => {
+  const [contracts, setContracts] = useState(null);
+
+  useEffect(() => {
+    if (!network) return;
+
+    const fetchContracts = async () => {
+      try {
+        const result = await Meteor.callAsync('kpis.getTopRevertingContracts', 7, 10, network);
+        setContracts(result || []);
+      } catch (error) {
+        console.error('Error fetching reverting contracts:', error);
+      }
+    };
+
+    setContracts(null);
+    fetchContracts();
+
+    const interval = setInterval(fetchContracts, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [network]);
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <OctagonAlert className="kpi-icon" />
+        </div>
+        <div>
+          <h3 className="kpi-title">Most Reverts</h3>
+          <p className="kpi-description">Destinations with the most failed transactions (7d)</p>
+        </div>
+      </div>
+
+      {!contracts ? (
+        <div className="kpi-description">Loading...</div>
+      ) : contracts.length === 0 ? (
+        <div className="kpi-description">No reverted transactions in this period</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Destination</th>
+              <th>Reverts</th>
+              <th>Calls</th>
+              <th>Failure Rate</th>
+              <th>Last Revert</th>
+            </tr>
+          </thead>
+          <tbody>
+            {contracts.map((contract, index) => (
+              <tr key={contract.address}>
+                <td>{index + 1}</td>
+                <td className="address-cell">
+                  <a href={`${blockExplorer}/address/${contract.address}`} target="_blank" rel="noopener noreferrer">
+                    {contract.address.slice(0, 6)}...{contract.address.slice(-4)}
+                  </a>
+                </td>
+                <td>{contract.failed.toLocaleString()}</td>
+                <td>{contract.calls.toLocaleString()}</td>
+                <td style={{ color: contract.failureRate >= 50 ? '#ef4444' : undefined }}>{contract.failureRate.toFixed(1)}%</td>
+                <td>{new Date(contract.lastFailureAt).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { Card } from './ui/card';
+import { Coins, ArrowLeft, Repeat, BarChart3 } from 'lucide-react';
+import { KpiRow } from './KpiRow';
+
+const formatAmount = amount => amount.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const tokenLabel = token => token.symbol || `${token.address.slice(0, 6)}...${token.address.slice(-4)}`;
+
+/**
+ * Drill-down for one token: transfer and volume history, holders and top balances
+ */
+const TokenDetails = ({ address, network, blockExplorer, onBack }) => {
+  const [details, setDetails] = useState(null);
+
+  useEffect(() => {
+    setDetails(null);
+    Meteor.callAsync('tokens.getDetails', address, 7, network).then(setDetails).catch(console.error);
+  }, [address, network]);
+
+  if (!details) {
+    return (
+      <Card className="kpi-row">
+        <div className="kpi-description">Loading token...</div>
+      </Card>
+    );
+  }
+
+  const { token, totals, history, holders, topHolders } = details;
+
+  return (
+    <>
+      <Card className="kpi-row">
+        <div className="kpi-header">
+          <button className="job-button" onClick={onBack} title="Back to tokens">
+            <ArrowLeft size={14} />
+          </button>
+          <div style={{ flex: 1, marginLeft: '0.5rem' }}>
+            <h3 className="kpi-title">{token.name || tokenLabel(token)} ({tokenLabel(token)})</h3>
+            <p className="kpi-description address-cell">
+              <a href={`${blockExplorer}/token/${token.address}`} target="_blank" rel="noopener noreferrer">
+                {token.address}
+              </a>
+              {` • ${holders.toLocaleString()} holders • ${totals.senders.toLocaleString()} senders • ${totals.receivers.toLocaleString()} receivers (7d)`}
+            </p>
+          </div>
+        </div>
+      </Card>
+
+      <KpiRow
+        title={`${tokenLabel(token)} Transfers`}
+        value={totals.transfers.toLocaleString()}
+        description="Transfers (7d)"
+        icon={Repeat}
+        isLoading={false}
+        chartData={history}
+        chartDataKey="transfers"
+        chartColor="#8b5cf6"
+        chartTitle="Transfers per Day (7d)"
+      />
+
+      <KpiRow
+        title={`${tokenLabel(token)} Volume`}
+        value={token.decimals === null ? '---' : formatAmount(totals.volume)}
+        description={`Amount transferred (${tokenLabel(token)}, 7d)`}
+        icon={BarChart3}
+        isLoading={false}
+        chartData={history}
+        chartDataKey="volume"
+        chartColor="#10b981"
+        chartTitle="Volume per Day (7d)"
+      />
+
+      {topHolders.length > 0 && (
+        <Card className="kpi-row">
+          <h3 className="kpi-title" style={{ marginBottom: '1rem' }}>Top Holders</h3>
+          <table className="address-table">
+            <thead>
+              <tr>
+                <th>Holder</th>
+                <th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {topHolders.map(({ holder, balance }) => (
+                <tr key={holder}>
+                  <td className="address-cell">
+                    <a href={`${blockExplorer}/address/${holder}`} target="_blank" rel="noopener noreferrer">
+                      {holder.slice(0, 6)}...{holder.slice(-4)}
+                    </a>
+                  </td>
+                  <td>{formatAmount(balance)} {tokenLabel(token)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+    </>
+  );
+};
+
+/**
+ * Most active ERC-20 tokens with per-token KPIs; clicking a token opens its drill-down
+ */
+export const TokensPanel = ({ network, blockExplorer }) => {
+  const [tokens, setTokens] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selectedToken, setSelectedToken] = useState(null);
+
+  useEffect(() => {
+    if (!network) return;
+
+    const fetchTokens = async () => {
+      try {
+        const result = await Meteor.callAsync('tokens.getList', 7, network);
+        setTokens(result || []);
+      } catch (error) {
+        console.error('Error fetching tokens:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    setIsLoading(true);
+    setSelectedToken(null);
+    fetchTokens();
+
+    const interval = setInterval(fetchTokens, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [network]);
+
+  if (selectedToken) {
+    return (
+      <TokenDetails
+        address={selectedToken}
+        network={network}
+        blockExplorer={blockExplorer}
+        onBack={() => setSelectedToken(null)}
+      />
+    );
+  }
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <Coins className="kpi-icon" />
+        </div>
+        <div>
+          <h3 className="kpi-title">Tokens</h3>
+          <p className="kpi-description">Most active ERC-20 tokens (7d) • click a token for details</p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="kpi-description">Loading...</div>
+      ) : tokens.length === 0 ? (
+        <div className="kpi-description">No token transfers indexed yet</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>Token</th>
+              <th>Transfers</th>
+              <th>Volume</th>
+              <th>Senders</th>
+              <th>Receivers</th>
+              <th>Holders</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map((token) => (
+              <tr key={token.address} className="clickable-row" onClick={() => setSelectedToken(token.address)}>
+                <td>
+                  {tokenLabel(token)}
+                  {token.name && <span className="kpi-description"> {token.name}</span>}
+                </td>
+                <td>{token.transfers.toLocaleString()}</td>
+                <td>{token.decimals === null ? '---' : formatAmount(token.volume)}</td>
+                <td>{token.senders.toLocaleString()}</td>
+                <td>{token.receivers.toLocaleString()}</td>
+                <td>{token.holders.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { Card } from './ui/card';
+import { Trophy } from 'lucide-react';
+
+// Periods offered by the selector
+const PERIODS = [1, 7, 30];
+
+const formatUSD = value => `$${Math.round(Math.abs(value)).toLocaleString()}`;
+
+/**
+ * Largest depositors and withdrawers over a selectable period, with each address's net bridge flow
+ */
+export const TopBridgersPanel = ({ network, blockExplorer }) => {
+  const [days, setDays] = useState(7);
+  const [side, setSide] = useState('depositors');
+  const [leaderboard, setLeaderboard] = useState(null);
+
+  useEffect(() => {
+    if (!network) return;
+
+    const fetchLeaderboard = async () => {
+      try {
+        const result = await Meteor.callAsync('kpis.getTopBridgers', days, 10, network);
+        setLeaderboard(result || null);
+      } catch (error) {
+        console.error('Error fetching top bridgers:', error);
+      }
+    };
+
+    setLeaderboard(null);
+    fetchLeaderboard();
+
+    const interval = setInterval(fetchLeaderboard, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [network, days]);
+
+  const bridgers = leaderboard?.[side] || [];
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <Trophy className="kpi-icon" />
+        </div>
+        <div style={{ flex: 1 }}>
+          <h3 className="kpi-title">Top Bridgers</h3>
+          <p className="kpi-description">
+            Largest depositors and withdrawers by USD volume
+            {leaderboard && leaderboard.totalVolumeUSD > 0 &&
+              ` • top 10 of ${leaderboard.addressCount.toLocaleString()} addresses moved ${leaderboard.concentration.toFixed(1)}% of ${formatUSD(leaderboard.totalVolumeUSD)}`}
+          </p>
+        </div>
+        {['depositors', 'withdrawers'].map((option) => (
+          <button
+            key={option}
+            className={`job-button${option === side ? ' job-button-active' : ''}`}
+            onClick={() => setSide(option)}
+          >
+            {option === 'depositors' ? 'Depositors' : 'Withdrawers'}
+          </button>
+        ))}
+        {PERIODS.map((period) => (
+          <button
+            key={period}
+            className={`job-button${period === days ? ' job-button-active' : ''}`}
+            onClick={() => setDays(period)}
+          >
+            {period}d
+          </button>
+        ))}
+      </div>
+
+      {!leaderboard ? (
+        <div className="kpi-description">Loading...</div>
+      ) : bridgers.length === 0 ? (
+        <div className="kpi-description">No {side === 'depositors' ? 'deposits' : 'withdrawals'} in this period</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Address</th>
+              <th>Deposits</th>
+              <th>Withdrawals</th>
+              <th>Net Flow</th>
+            </tr>
+          </thead>
+          <tbody>
+            {bridgers.map((bridger, index) => (
+              <tr key={bridger.address}>
+                <td>{index + 1}</td>
+                <td className="address-cell">
+                  <a href={`${blockExplorer}/address/${bridger.address}`} target="_blank" rel="noopener noreferrer">
+                    {bridger.address.slice(0, 6)}...{bridger.address.slice(-4)}
+                  </a>
+                </td>
+                <td>{formatUSD(bridger.depositsUSD)} ({bridger.depositCount.toLocaleString()})</td>
+                <td>{formatUSD(bridger.withdrawalsUSD)} ({bridger.withdrawalCount.toLocaleString()})</td>
+                <td style={{ color: bridger.netFlowUSD > 0 ? '#10b981' : bridger.netFlowUSD < 0 ? '#ef4444' : undefined }}>
+                  {bridger.netFlowUSD >= 0 ? '+' : '-'}{formatUSD(bridger.netFlowUSD)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
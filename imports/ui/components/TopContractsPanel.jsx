@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+import { TopContractsCollection } from '../../api/collections';
+import { Card } from './ui/card';
+import { Flame } from 'lucide-react';
+
+// Periods offered by the selector (must match TOP_CONTRACT_PERIODS on the server)
+const PERIODS = [1, 7, 30];
+
+/**
+ * Tiny inline trend line for a table cell
+ */
+const Sparkline = ({ points, color = '#8b5cf6' }) => {
+  const width = 100;
+  const height = 24;
+  const max = Math.max(...points, 1);
+
+  const coords = points.map((value, i) => {
+    const x = points.length > 1 ? (i / (points.length - 1)) * width : width / 2;
+    const y = height - 2 - (value / max) * (height - 4);
+    return `${x},${y}`;
+  }).join(' ');
+
+  return (
+    <svg width={width} height={height} style={{ display: 'block' }}>
+      <polyline points={coords} fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+};
+
+/**
+ * Most-called contracts and destinations over a selectable period
+ */
+export const TopContractsPanel = ({ network, blockExplorer }) => {
+  const [days, setDays] = useState(7);
+
+  const { snapshot, isLoading } = useTracker(() => {
+    if (!network) {
+      return { snapshot: null, isLoading: true };
+    }
+
+    const sub = Meteor.subscribe('topContracts.latest', days, network);
+    return {
+      snapshot: TopContractsCollection.findOne({ network, days }),
+      isLoading: !sub.ready()
+    };
+  }, [network, days]);
+
+  const contracts = snapshot?.contracts?.slice(0, 10) || [];
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <Flame className="kpi-icon" />
+        </div>
+        <div style={{ flex: 1 }}>
+          <h3 className="kpi-title">Top Contracts</h3>
+          <p className="kpi-description">
+            Most-called destinations
+            {snapshot && ` • ${snapshot.totalTransactions.toLocaleString()} transactions • updated ${new Date(snapshot.updatedAt).toLocaleTimeString()}`}
+          </p>
+        </div>
+        {PERIODS.map((period) => (
+          <button
+            key={period}
+            className={`job-button${period === days ? ' job-button-active' : ''}`}
+            onClick={() => setDays(period)}
+          >
+            {period}d
+          </button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <div className="kpi-description">Loading...</div>
+      ) : contracts.length === 0 ? (
+        <div className="kpi-description">No destinations in this period yet</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Destination</th>
+              <th>Calls</th>
+              <th>Unique Callers</th>
+              <th>Share</th>
+              <th>Trend</th>
+              <th>vs Previous</th>
+            </tr>
+          </thead>
+          <tbody>
+            {contracts.map((contract, index) => (
+              <tr key={contract.address}>
+                <td>{index + 1}</td>
+                <td className="address-cell">
+                  <a href={`${blockExplorer}/address/${contract.address}`} target="_blank" rel="noopener noreferrer">
+                    {contract.address.slice(0, 6)}...{contract.address.slice(-4)}
+                  </a>
+                  {contract.isContract === false && <span className="kpi-description"> (EOA)</span>}
+                </td>
+                <td>{contract.calls.toLocaleString()}</td>
+                <td>{contract.uniqueCallers.toLocaleString()}</td>
+                <td>{contract.share.toFixed(1)}%</td>
+                <td><Sparkline points={contract.trend.map(point => point.calls)} /></td>
+                <td style={{ color: contract.change === null ? '#888' : contract.change >= 0 ? '#10b981' : '#ef4444' }}>
+                  {contract.change === null ? 'new' : `${contract.change >= 0 ? '+' : ''}${contract.change.toFixed(0)}%`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+import { WhaleEventsCollection } from '../../api/collections';
+import { Card } from './ui/card';
+import { Fish } from 'lucide-react';
+
+const KIND_LABELS = { deposit: 'Deposit', withdrawal: 'Withdrawal', transfer: 'Transfer' };
+
+const shortenAddress = address => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * Live feed of bridge movements and native transfers above the whale thresholds
+ */
+export const WhaleFeedPanel = ({ network, blockExplorer }) => {
+  const { events, isLoading } = useTracker(() => {
+    if (!network) {
+      return { events: [], isLoading: true };
+    }
+
+    const sub = Meteor.subscribe('whaleEvents.recent', 20, network);
+    return {
+      events: WhaleEventsCollection.find({ network }, { sort: { timestamp: -1 } }).fetch(),
+      isLoading: !sub.ready()
+    };
+  }, [network]);
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <Fish className="kpi-icon" />
+        </div>
+        <div>
+          <h3 className="kpi-title">Whale Movements</h3>
+          <p className="kpi-description">Latest bridge deposits, withdrawals and transfers above the whale thresholds</p>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="kpi-description">Loading...</div>
+      ) : events.length === 0 ? (
+        <div className="kpi-description">No whale movements detected yet</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>Address</th>
+              <th>Amount</th>
+              <th>Value</th>
+              <th>Time</th>
+              <th>Transaction</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event) => (
+              <tr key={event._id}>
+                <td>{KIND_LABELS[event.kind]}</td>
+                <td className="address-cell">
+                  <a href={`${blockExplorer}/address/${event.address}`} target="_blank" rel="noopener noreferrer">
+                    {shortenAddress(event.address)}
+                  </a>
+                </td>
+                <td>{event.amount.toLocaleString(undefined, { maximumFractionDigits: 4 })} {event.asset}</td>
+                <td>{event.amountUSD === null ? '---' : `$${event.amountUSD.toLocaleString(undefined, { maximumFractionDigits: 0 })}`}</td>
+                <td>{new Date(event.timestamp).toLocaleString()}</td>
+                <td className="address-cell">
+                  <a href={event.explorerUrl} target="_blank" rel="noopener noreferrer">
+                    {event.txHash.slice(0, 10)}...
+                  </a>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
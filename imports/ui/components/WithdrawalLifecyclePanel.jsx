@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { Card } from './ui/card';
+import { Hourglass } from 'lucide-react';
+
+const formatEth = amount => `${amount.toLocaleString(undefined, { maximumFractionDigits: 4 })} ETH`;
+
+/**
+ * Format a duration in hours as hours or days
+ */
+const formatDuration = hours => (hours < 48 ? `${hours.toFixed(1)} hours` : `${(hours / 24).toFixed(1)} days`);
+
+/**
+ * L2→L1 withdrawals by lifecycle stage: pending (challenge period, claimable) vs claimed on L1
+ */
+export const WithdrawalLifecyclePanel = ({ network }) => {
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    if (!network) return;
+
+    const fetchSummary = async () => {
+      try {
+        const result = await Meteor.callAsync('kpis.getWithdrawalSummary', network);
+        setSummary(result || null);
+      } catch (error) {
+        console.error('Error fetching withdrawal summary:', error);
+      }
+    };
+
+    setSummary(null);
+    fetchSummary();
+
+    const interval = setInterval(fetchSummary, 5 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [network]);
+
+  const stages = summary ? [
+    { label: 'In challenge period', ...summary.initiated },
+    { label: 'Claimable', ...summary.claimable },
+    { label: 'Pending (total)', ...summary.pending },
+    { label: 'Claimed on L1', ...summary.claimed }
+  ] : [];
+
+  return (
+    <Card className="kpi-row">
+      <div className="kpi-header" style={{ marginBottom: '1rem' }}>
+        <div className="kpi-icon-wrapper">
+          <Hourglass className="kpi-icon" />
+        </div>
+        <div>
+          <h3 className="kpi-title">Withdrawals</h3>
+          <p className="kpi-description">
+            L2→L1 withdrawals by stage
+            {summary && ` • median time to claim: ${summary.medianClaimHours === null ? '---' : formatDuration(summary.medianClaimHours)}`}
+          </p>
+        </div>
+      </div>
+
+      {!summary ? (
+        <div className="kpi-description">Loading...</div>
+      ) : (
+        <table className="address-table">
+          <thead>
+            <tr>
+              <th>Stage</th>
+              <th>Withdrawals</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stages.map(({ label, count, amount }) => (
+              <tr key={label}>
+                <td>{label}</td>
+                <td>{count.toLocaleString()}</td>
+                <td>{formatEth(amount)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
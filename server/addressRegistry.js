@@ -0,0 +1,241 @@
+import { getActiveNetworkId } from './blockchain.js';
+import { SYSTEM_ADDRESSES } from './systemAddresses.js';
+import { AddressRegistryCollection, AddressActivityCollection } from '../imports/api/collections.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Registry rows written per bulk request when rebuilding from address activity
+const REBUILD_BATCH_SIZE = 1000;
+
+/**
+ * Record that an address was active, keeping its first and last activity
+ * $min/$max make this safe to repeat and independent of ingestion order
+ * Returns: true if the address was seen for the first time
+ */
+export async function recordAddressSeen(network, address, timestamp, blockNumber) {
+  const result = await AddressRegistryCollection.upsertAsync(
+    { network, address },
+    {
+      $min: { firstSeen: timestamp, firstBlock: blockNumber },
+      $max: { lastSeen: timestamp, lastBlock: blockNumber }
+    }
+  );
+  return Boolean(result.insertedId);
+}
+
+/**
+ * Recompute registry rows of addresses whose activity was rolled back from fromBlock on
+ * Expects the address activity of the orphaned blocks to be removed already
+ * Addresses left without any activity are removed from the registry
+ * Returns: number of registry rows updated or removed
+ */
+export async function rollbackAddressRegistry(fromBlock, network) {
+  const affected = await AddressRegistryCollection.find(
+    { network, lastBlock: { $gte: fromBlock } },
+    { fields: { address: 1 } }
+  ).fetchAsync();
+  if (affected.length === 0) {
+    return 0;
+  }
+
+  const addresses = affected.map(row => row.address);
+  const remaining = await AddressActivityCollection.rawCollection().aggregate([
+    { $match: { network, address: { $in: addresses } } },
+    {
+      $group: {
+        _id: '$address',
+        firstSeen: { $min: '$timestamp' },
+        firstBlock: { $min: '$blockNumber' },
+        lastSeen: { $max: '$timestamp' },
+        lastBlock: { $max: '$blockNumber' }
+      }
+    }
+  ]).toArray();
+  const remainingByAddress = new Map(remaining.map(row => [row._id, row]));
+
+  for (const address of addresses) {
+    const activity = remainingByAddress.get(address);
+    if (activity) {
+      const { _id, ...fields } = activity;
+      await AddressRegistryCollection.updateAsync({ network, address }, { $set: fields });
+    } else {
+      await AddressRegistryCollection.removeAsync({ network, address });
+    }
+  }
+
+  return addresses.length;
+}
+
+/**
+ * Rebuild a network's first-seen registry from all stored address activity
+ * Returns: number of addresses in the registry
+ */
+export async function rebuildAddressRegistry(network = getActiveNetworkId()) {
+  const cursor = AddressActivityCollection.rawCollection().aggregate([
+    { $match: { network } },
+    {
+      $group: {
+        _id: '$address',
+        firstSeen: { $min: '$timestamp' },
+        firstBlock: { $min: '$blockNumber' },
+        lastSeen: { $max: '$timestamp' },
+        lastBlock: { $max: '$blockNumber' }
+      }
+    }
+  ], { allowDiskUse: true });
+
+  const rows = await cursor.toArray();
+  for (let i = 0; i < rows.length; i += REBUILD_BATCH_SIZE) {
+    const operations = rows.slice(i, i + REBUILD_BATCH_SIZE).map(row => ({
+      updateOne: {
+        filter: { network, address: row._id },
+        update: {
+          $min: { firstSeen: row.firstSeen, firstBlock: row.firstBlock },
+          $max: { lastSeen: row.lastSeen, lastBlock: row.lastBlock }
+        },
+        upsert: true
+      }
+    }));
+    await AddressRegistryCollection.rawCollection().bulkWrite(operations, { ordered: false });
+  }
+
+  console.log(`✅ [${network}] Address registry rebuilt: ${rows.length} addresses`);
+  return rows.length;
+}
+
+/**
+ * Build the registry from existing address activity if this network doesn't have one yet
+ * Deployments that indexed blocks before the registry existed start with an empty one
+ */
+export async function ensureAddressRegistry(network = getActiveNetworkId()) {
+  try {
+    const hasRegistry = await AddressRegistryCollection.findOneAsync({ network });
+    const hasActivity = await AddressActivityCollection.findOneAsync({ network });
+    if (!hasRegistry && hasActivity) {
+      console.log(`📇 [${network}] Building address registry from stored activity...`);
+      await rebuildAddressRegistry(network);
+    }
+  } catch (error) {
+    console.error(`❌ [${network}] Address registry build failed:`, error.message);
+  }
+}
+
+/**
+ * Get new vs returning active addresses per day
+ * New addresses were first seen that day; returning ones were active that day and seen before
+ * Returns last N days: [{ date, timestamp, activeAddresses, newAddresses, returningAddresses }]
+ */
+export async function getNewAddressesHistory(days = 7, network = getActiveNetworkId()) {
+  try {
+    const startDate = new Date();
+    startDate.setUTCHours(0, 0, 0, 0);
+    startDate.setUTCDate(startDate.getUTCDate() - (days - 1));
+
+    const newPipeline = [
+      { $match: { network, firstSeen: { $gte: startDate }, address: { $nin: SYSTEM_ADDRESSES } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$firstSeen' } },
+          count: { $sum: 1 }
+        }
+      }
+    ];
+
+    const activePipeline = [
+      { $match: { network, timestamp: { $gte: startDate }, address: { $nin: SYSTEM_ADDRESSES } } },
+      {
+        $group: {
+          _id: { day: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }, address: '$address' }
+        }
+      },
+      { $group: { _id: '$_id.day', count: { $sum: 1 } } }
+    ];
+
+    const newData = await AddressRegistryCollection.rawCollection().aggregate(newPipeline).toArray();
+    const activeData = await AddressActivityCollection.rawCollection().aggregate(activePipeline, { allowDiskUse: true }).toArray();
+    const newMap = new Map(newData.map(d => [d._id, d.count]));
+    const activeMap = new Map(activeData.map(d => [d._id, d.count]));
+
+    const history = [];
+    for (let i = 0; i < days; i++) {
+      const dateStr = new Date(startDate.getTime() + i * DAY_MS).toISOString().split('T')[0];
+      const activeAddresses = activeMap.get(dateStr) || 0;
+      const newAddresses = newMap.get(dateStr) || 0;
+
+      history.push({
+        date: dateStr,
+        timestamp: new Date(dateStr + 'T12:00:00Z'), // Noon UTC
+        activeAddresses,
+        newAddresses,
+        returningAddresses: Math.max(0, activeAddresses - newAddresses)
+      });
+    }
+
+    return history;
+  } catch (error) {
+    console.error('Error calculating new address history:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get weekly cohort retention
+ * Addresses are grouped by the week (Monday, UTC) they were first seen; each cohort lists the
+ * count and percentage of its addresses active again 0..N weeks later (week 0 is always 100%)
+ * Returns: [{ week: 'YYYY-MM-DD', size, retained: [count, ...], retention: [percent, ...] }], oldest cohort first
+ */
+export async function getCohortRetention(weeks = 8, network = getActiveNetworkId()) {
+  try {
+    // Start of the current week (Monday 00:00 UTC), then back to the oldest cohort
+    const currentWeek = new Date();
+    currentWeek.setUTCHours(0, 0, 0, 0);
+    currentWeek.setUTCDate(currentWeek.getUTCDate() - ((currentWeek.getUTCDay() + 6) % 7));
+    const startDate = new Date(currentWeek.getTime() - (weeks - 1) * WEEK_MS);
+
+    const firstSeen = await AddressRegistryCollection.find(
+      { network, firstSeen: { $gte: startDate }, address: { $nin: SYSTEM_ADDRESSES } },
+      { fields: { address: 1, firstSeen: 1 } }
+    ).fetchAsync();
+    const cohortOf = new Map(firstSeen.map(row => [row.address, Math.floor((row.firstSeen - startDate) / WEEK_MS)]));
+
+    // One row per address and week it was active in
+    const activeWeeks = await AddressActivityCollection.rawCollection().aggregate([
+      { $match: { network, timestamp: { $gte: startDate }, address: { $nin: SYSTEM_ADDRESSES } } },
+      {
+        $group: {
+          _id: {
+            address: '$address',
+            week: { $floor: { $divide: [{ $subtract: ['$timestamp', startDate] }, WEEK_MS] } }
+          }
+        }
+      }
+    ], { allowDiskUse: true }).toArray();
+
+    const cohorts = [];
+    for (let week = 0; week < weeks; week++) {
+      cohorts.push({
+        week: new Date(startDate.getTime() + week * WEEK_MS).toISOString().split('T')[0],
+        size: 0,
+        retained: new Array(weeks - week).fill(0)
+      });
+    }
+
+    for (const cohort of cohortOf.values()) {
+      cohorts[cohort].size++;
+    }
+    for (const { _id } of activeWeeks) {
+      const cohort = cohortOf.get(_id.address);
+      if (cohort === undefined || _id.week < cohort) continue;
+      cohorts[cohort].retained[_id.week - cohort]++;
+    }
+
+    return cohorts.map(cohort => ({
+      ...cohort,
+      retention: cohort.retained.map(count => (cohort.size > 0 ? (count / cohort.size) * 100 : 0))
+    }));
+  } catch (error) {
+    console.error('Error calculating cohort retention:', error.message);
+    return [];
+  }
+}
@@ -0,0 +1,377 @@
+import { Meteor } from 'meteor/meteor';
+import os from 'os';
+import crypto from 'crypto';
+import { getActiveNetworkId } from './blockchain.js';
+import { planBackfill, indexBlockRange } from './indexer.js';
+import { redactErrorMessage } from './rpcPool.js';
+import { BackfillJobsCollection } from '../imports/api/collections.js';
+
+// Persist progress every N blocks (the publication streams these updates)
+const PROGRESS_SAVE_INTERVAL = 25;
+
+// Keep only the most recent block errors on the job record
+const MAX_JOB_ERRORS = 50;
+
+// Jobs that can still make progress
+const ACTIVE_STATUSES = ['queued', 'running', 'paused'];
+
+// A running job holds a lease on its record and renews it while it runs;
+// a job whose instance died is picked up again once the lease runs out
+const JOB_LEASE = 2 * 60 * 1000; // 2 minutes
+const LEASE_RENEW_INTERVAL = 30 * 1000; // 30 seconds
+
+// Identifies this process as a job's owner
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// Jobs running in this process: jobId -> { control, promise }
+const runningJobs = new Map();
+
+function emptyStats() {
+  return { blocksScanned: 0, blocksFailed: 0, transactionsAdded: 0, addressesAdded: 0, deploymentsFound: 0, tokenTransfersFound: 0, nftTransfersFound: 0, depositsFound: 0, withdrawalsFound: 0 };
+}
+
+function addStats(base, stats) {
+  const sum = { ...base };
+  for (const key of Object.keys(stats)) {
+    sum[key] = (sum[key] || 0) + stats[key];
+  }
+  return sum;
+}
+
+/**
+ * Load a job or throw a Meteor.Error the client can show
+ */
+async function getJobOrThrow(jobId) {
+  const job = await BackfillJobsCollection.findOneAsync({ _id: jobId });
+  if (!job) {
+    throw new Meteor.Error('not-found', `Backfill job ${jobId} not found`);
+  }
+  return job;
+}
+
+/**
+ * Whether another instance may still be running a job: it's marked running and its lease hasn't run out
+ */
+function isLeased(job) {
+  return job.status === 'running' && job.owner !== null && job.lockedUntil > new Date();
+}
+
+/**
+ * Ask the instance running a job to stop it after its current block
+ * Stored on the job record so a run on another instance sees it too
+ */
+async function requestStop(job, stopRequest) {
+  const updated = await BackfillJobsCollection.updateAsync(
+    { _id: job._id, status: 'running', owner: job.owner },
+    { $set: { stopRequest, updatedAt: new Date() } }
+  );
+  if (updated === 0) {
+    throw new Meteor.Error('conflict', `Backfill job ${job._id} changed state, try again`);
+  }
+}
+
+/**
+ * Create a queued backfill job
+ * Options: { network, blockCount } (see planBackfill) or { network, fromBlock, toBlock }, plus source for display
+ * Returns: jobId
+ */
+export async function createBackfillJob({ network = getActiveNetworkId(), blockCount, fromBlock, toBlock, source = 'manual' } = {}) {
+  const ranges = await planBackfill(network, { blockCount, fromBlock, toBlock });
+  const totalBlocks = ranges.reduce((sum, range) => sum + range.to - range.from + 1, 0);
+
+  const jobId = await BackfillJobsCollection.insertAsync({
+    network,
+    ranges,
+    rangeIndex: 0,
+    cursor: ranges.length > 0 ? ranges[0].from : null,
+    totalBlocks,
+    status: 'queued',
+    stopRequest: null,
+    source,
+    stats: emptyStats(),
+    errors: [],
+    lastError: null,
+    blocksPerSecond: null,
+    owner: null,
+    lockedUntil: null,
+    createdAt: new Date(),
+    startedAt: null,
+    updatedAt: new Date(),
+    finishedAt: null
+  });
+
+  console.log(`📋 [${network}] Created backfill job ${jobId}: ${totalBlocks} blocks in ${ranges.length} ranges`);
+  return jobId;
+}
+
+/**
+ * Claim a job for this instance and mark it running
+ * Succeeds only when no other instance holds an unexpired lease on it
+ * Returns: true if this instance should run the job
+ */
+async function claimJob(job) {
+  const now = new Date();
+  const updated = await BackfillJobsCollection.updateAsync(
+    {
+      _id: job._id,
+      $or: [{ owner: null }, { owner: INSTANCE_ID }, { lockedUntil: { $lt: now } }]
+    },
+    {
+      $set: {
+        owner: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + JOB_LEASE),
+        status: 'running',
+        startedAt: job.startedAt || now,
+        updatedAt: now
+      }
+    }
+  );
+  return updated > 0;
+}
+
+async function renewJobLease(jobId) {
+  await BackfillJobsCollection.updateAsync(
+    { _id: jobId, owner: INSTANCE_ID },
+    { $set: { lockedUntil: new Date(Date.now() + JOB_LEASE) } }
+  );
+}
+
+/**
+ * Pick up a pause or cancel requested through the job record
+ */
+async function readStopRequest(jobId, control) {
+  const job = await BackfillJobsCollection.findOneAsync({ _id: jobId }, { fields: { stopRequest: 1 } });
+  if (job?.stopRequest && !control.stopRequest) {
+    control.stopRequest = job.stopRequest;
+  }
+}
+
+/**
+ * Scan a job's remaining ranges from its cursor, saving progress as it goes
+ * Stops between blocks when pauseBackfillJob/cancelBackfillJob asks it to, in this process or through the record
+ * Writes only while this instance owns the job, so a job another instance took over or stopped is left alone
+ */
+async function executeJob(jobId, control) {
+  const job = await getJobOrThrow(jobId);
+  const { network } = job;
+  let { rangeIndex, cursor, stats } = job;
+  const startedAt = Date.now();
+  let scannedThisRun = 0;
+
+  if (!(await claimJob(job))) {
+    console.log(`⚠️  [${network}] Backfill job ${jobId} is running on ${job.owner} (skipping)`);
+    return job;
+  }
+  console.log(`▶️  [${network}] Running backfill job ${jobId} from block ${cursor}...`);
+  control.stopRequest = control.stopRequest || job.stopRequest || null;
+  const renewTimer = setInterval(() => {
+    renewJobLease(jobId).catch(() => {});
+    readStopRequest(jobId, control).catch(() => {});
+  }, LEASE_RENEW_INTERVAL);
+
+  const saveProgress = async (extra = {}, selector = {}) => {
+    const elapsedSeconds = (Date.now() - startedAt) / 1000;
+    return await BackfillJobsCollection.updateAsync(
+      { _id: jobId, owner: INSTANCE_ID, ...selector },
+      {
+        $set: {
+          rangeIndex,
+          cursor,
+          stats,
+          blocksPerSecond: elapsedSeconds > 0 ? scannedThisRun / elapsedSeconds : null,
+          updatedAt: new Date(),
+          ...extra
+        }
+      }
+    );
+  };
+
+  try {
+    for (; rangeIndex < job.ranges.length && !control.stopRequest; rangeIndex++) {
+      const range = job.ranges[rangeIndex];
+      const from = cursor !== null && cursor >= range.from ? cursor : range.from;
+      const baseStats = stats;
+      let savedAt = 0;
+
+      if (from <= range.to) {
+        await indexBlockRange(network, from, range.to, async ({ number, totals, error }) => {
+          stats = addStats(baseStats, totals);
+          cursor = number + 1;
+          scannedThisRun++;
+
+          if (error) {
+            await BackfillJobsCollection.updateAsync(
+              { _id: jobId },
+              {
+                $push: { errors: { $each: [{ blockNumber: number, error: redactErrorMessage(error.message), at: new Date() }], $slice: -MAX_JOB_ERRORS } },
+                $set: { lastError: redactErrorMessage(error.message) }
+              }
+            );
+          }
+
+          if (control.stopRequest) {
+            return false;
+          }
+          if (totals.blocksScanned - savedAt >= PROGRESS_SAVE_INTERVAL) {
+            savedAt = totals.blocksScanned;
+            await saveProgress();
+            await readStopRequest(jobId, control);
+          }
+          return !control.stopRequest;
+        });
+      }
+
+      if (control.stopRequest) {
+        break;
+      }
+      cursor = job.ranges[rangeIndex + 1]?.from ?? null;
+    }
+
+    // Only a run that still owns the job and finds it running may finish it; otherwise it was
+    // paused or cancelled while its lease had run out, and that state stands
+    const status = control.stopRequest || 'completed';
+    const finished = await saveProgress({
+      status,
+      stopRequest: null,
+      owner: null,
+      lockedUntil: null,
+      finishedAt: status === 'paused' ? null : new Date()
+    }, { status: 'running' });
+    if (finished === 0) {
+      console.log(`⚠️  [${network}] Backfill job ${jobId} was taken over or stopped elsewhere (not marking it ${status})`);
+      return await BackfillJobsCollection.findOneAsync({ _id: jobId });
+    }
+    console.log(`${status === 'completed' ? '✅' : '⏸️ '} [${network}] Backfill job ${jobId} ${status}: ${stats.blocksScanned}/${job.totalBlocks} blocks (${stats.transactionsAdded} transactions, ${stats.addressesAdded} addresses, ${stats.depositsFound} deposits, ${stats.withdrawalsFound} withdrawals, ${stats.blocksFailed} failed)`);
+  } catch (error) {
+    console.error(`❌ [${network}] Backfill job ${jobId} failed:`, error.message);
+    await saveProgress(
+      { status: 'failed', lastError: redactErrorMessage(error.message), stopRequest: null, owner: null, lockedUntil: null, finishedAt: new Date() },
+      { status: 'running' }
+    );
+  } finally {
+    clearInterval(renewTimer);
+  }
+
+  return await BackfillJobsCollection.findOneAsync({ _id: jobId });
+}
+
+/**
+ * Run a queued, paused or interrupted job in this process
+ * Calling it for a job that's already running returns the same run
+ * Returns: a promise for the job record once the run completes, pauses, is cancelled or fails
+ */
+export function runBackfillJob(jobId) {
+  if (!runningJobs.has(jobId)) {
+    const control = { stopRequest: null };
+    const promise = executeJob(jobId, control).finally(() => runningJobs.delete(jobId));
+    runningJobs.set(jobId, { control, promise });
+  }
+
+  return runningJobs.get(jobId).promise;
+}
+
+/**
+ * Pause a job; a running job stops after the block it's ingesting, whichever instance runs it
+ * A job left running by an instance that died is paused straight away
+ */
+export async function pauseBackfillJob(jobId) {
+  const job = await getJobOrThrow(jobId);
+
+  if (runningJobs.has(jobId)) {
+    runningJobs.get(jobId).control.stopRequest = 'paused';
+    return { jobId, status: 'pausing' };
+  }
+  if (job.status !== 'queued' && job.status !== 'running') {
+    throw new Meteor.Error('invalid-state', `Cannot pause a ${job.status} backfill job`);
+  }
+  if (isLeased(job)) {
+    await requestStop(job, 'paused');
+    return { jobId, status: 'pausing' };
+  }
+
+  await BackfillJobsCollection.updateAsync(
+    { _id: jobId },
+    { $set: { status: 'paused', stopRequest: null, owner: null, lockedUntil: null, updatedAt: new Date() } }
+  );
+  return { jobId, status: 'paused' };
+}
+
+/**
+ * Resume a paused or failed job from its cursor, or one left running by an instance that died
+ */
+export async function resumeBackfillJob(jobId) {
+  const job = await getJobOrThrow(jobId);
+
+  if (runningJobs.has(jobId)) {
+    return { jobId, status: 'running' };
+  }
+  if (job.status !== 'paused' && job.status !== 'failed' && !(job.status === 'running' && !isLeased(job))) {
+    throw new Meteor.Error('invalid-state', `Cannot resume a ${job.status} backfill job`);
+  }
+
+  runBackfillJob(jobId).catch(error => console.error(`❌ Backfill job ${jobId} crashed:`, error.message));
+  return { jobId, status: 'running' };
+}
+
+/**
+ * Cancel a job; a running job stops after the block it's ingesting, whichever instance runs it
+ * Blocks it didn't reach stay in the checkpoint's gaps or above its frontier, so nothing is lost
+ */
+export async function cancelBackfillJob(jobId) {
+  const job = await getJobOrThrow(jobId);
+
+  if (runningJobs.has(jobId)) {
+    runningJobs.get(jobId).control.stopRequest = 'cancelled';
+    return { jobId, status: 'cancelling' };
+  }
+  if (!ACTIVE_STATUSES.includes(job.status) && job.status !== 'failed') {
+    throw new Meteor.Error('invalid-state', `Cannot cancel a ${job.status} backfill job`);
+  }
+  if (isLeased(job)) {
+    await requestStop(job, 'cancelled');
+    return { jobId, status: 'cancelling' };
+  }
+
+  await BackfillJobsCollection.updateAsync(
+    { _id: jobId },
+    { $set: { status: 'cancelled', stopRequest: null, owner: null, lockedUntil: null, updatedAt: new Date(), finishedAt: new Date() } }
+  );
+  return { jobId, status: 'cancelled' };
+}
+
+/**
+ * Find a network's unfinished job (queued, running or paused), if any
+ */
+export async function getActiveBackfillJob(network = getActiveNetworkId()) {
+  return await BackfillJobsCollection.findOneAsync(
+    { network, status: { $in: ACTIVE_STATUSES } },
+    { sort: { createdAt: -1 } }
+  );
+}
+
+/**
+ * Pick up jobs that were queued or running when their instance stopped
+ * Runs at startup and as a scheduled sweep, so a job orphaned by a restart within its lease is
+ * picked up once the lease runs out
+ * Only jobs without an owner or whose owner's lease has run out are taken; jobs other instances
+ * are still running are left to them, and claimJob makes sure only one instance takes each job
+ * Paused jobs stay paused until someone resumes them
+ * Returns: the number of jobs run
+ */
+export async function resumeInterruptedBackfillJobs(network = getActiveNetworkId()) {
+  const interrupted = await BackfillJobsCollection.find(
+    {
+      network,
+      status: { $in: ['queued', 'running'] },
+      $or: [{ owner: null }, { lockedUntil: { $lt: new Date() } }]
+    },
+    { sort: { createdAt: 1 } }
+  ).fetchAsync();
+
+  for (const job of interrupted) {
+    console.log(`🔁 [${network}] Resuming interrupted backfill job ${job._id} at block ${job.cursor}`);
+    await runBackfillJob(job._id);
+  }
+
+  return interrupted.length;
+}
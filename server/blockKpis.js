@@ -0,0 +1,142 @@
+import { getActiveNetworkId, getNetworkConfig, getProvider } from './blockchain.js';
+import { BlocksCollection } from '../imports/api/collections.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Bucket size and label format per resolution
+const RESOLUTIONS = {
+  hourly: { bucketMs: HOUR_MS, format: '%Y-%m-%dT%H:00' },
+  daily: { bucketMs: DAY_MS, format: '%Y-%m-%d' }
+};
+
+// Block production counts as stalled after this long without a new block, unless networks.<id>.blockStallSeconds is set
+const DEFAULT_STALL_SECONDS = 5 * 60;
+
+// Whether each network was stalled at the last check, so the alert is logged once per stall
+const stallState = new Map();
+
+/**
+ * Get the buckets covered by a history request, oldest first
+ * Returns: { startDate, buckets: ['YYYY-MM-DD' or 'YYYY-MM-DDTHH:00', ...] }
+ */
+function getBucketRange(resolution, periods) {
+  const { bucketMs } = RESOLUTIONS[resolution];
+  const startDate = new Date(Math.floor(Date.now() / bucketMs) * bucketMs - (periods - 1) * bucketMs);
+
+  const buckets = [];
+  for (let i = 0; i < periods; i++) {
+    const iso = new Date(startDate.getTime() + i * bucketMs).toISOString();
+    buckets.push(resolution === 'hourly' ? `${iso.slice(0, 13)}:00` : iso.slice(0, 10));
+  }
+
+  return { startDate, buckets };
+}
+
+/**
+ * Get block production and throughput per hour or day from the indexed block headers
+ * Block time is measured between the first and last indexed block of a bucket, so gaps in indexing don't skew it;
+ * TPS is user transactions per block over the block time. Blocks indexed before gas and transaction counts
+ * were recorded only count towards the block time
+ * Returns: [{ bucket, timestamp, blockCount, avgBlockTime (s), tps, gasUsed, gasLimit, gasUtilization (percent),
+ *   emptyBlocks, emptyBlockRate (percent) }], with null for metrics a bucket has too few blocks for
+ */
+export async function getBlockProductionHistory(resolution = 'daily', periods = 7, network = getActiveNetworkId()) {
+  try {
+    const { bucketMs, format } = RESOLUTIONS[resolution];
+    const { startDate, buckets } = getBucketRange(resolution, periods);
+
+    const rows = await BlocksCollection.rawCollection().aggregate([
+      { $match: { network, timestamp: { $gte: startDate } } },
+      {
+        $group: {
+          _id: { $dateToString: { format, date: '$timestamp' } },
+          blockCount: { $sum: 1 },
+          firstNumber: { $min: '$number' },
+          lastNumber: { $max: '$number' },
+          firstTime: { $min: '$timestamp' },
+          lastTime: { $max: '$timestamp' },
+          countedBlocks: { $sum: { $cond: [{ $isNumber: '$userTxCount' }, 1, 0] } },
+          userTxCount: { $sum: { $ifNull: ['$userTxCount', 0] } },
+          emptyBlocks: { $sum: { $cond: [{ $eq: ['$userTxCount', 0] }, 1, 0] } },
+          gasUsed: { $sum: { $cond: [{ $gt: ['$gasLimit', 0] }, '$gasUsed', 0] } },
+          gasLimit: { $sum: { $cond: [{ $gt: ['$gasLimit', 0] }, '$gasLimit', 0] } }
+        }
+      }
+    ]).toArray();
+    const byBucket = new Map(rows.map(row => [row._id, row]));
+
+    return buckets.map((bucket) => {
+      const row = byBucket.get(bucket);
+      const start = new Date(resolution === 'hourly' ? `${bucket}:00Z` : `${bucket}T00:00:00Z`);
+      const entry = {
+        bucket,
+        timestamp: new Date(start.getTime() + bucketMs / 2), // Middle of the bucket
+        blockCount: row?.blockCount || 0,
+        avgBlockTime: null,
+        tps: null,
+        gasUsed: row?.gasUsed || 0,
+        gasLimit: row?.gasLimit || 0,
+        gasUtilization: row?.gasLimit > 0 ? (row.gasUsed / row.gasLimit) * 100 : null,
+        emptyBlocks: row?.emptyBlocks || 0,
+        emptyBlockRate: row?.countedBlocks > 0 ? (row.emptyBlocks / row.countedBlocks) * 100 : null
+      };
+
+      if (row && row.lastNumber > row.firstNumber) {
+        entry.avgBlockTime = (row.lastTime - row.firstTime) / 1000 / (row.lastNumber - row.firstNumber);
+        if (row.countedBlocks > 0 && entry.avgBlockTime > 0) {
+          entry.tps = row.userTxCount / row.countedBlocks / entry.avgBlockTime;
+        }
+      }
+
+      return entry;
+    });
+  } catch (error) {
+    console.error(`[${network}] Error calculating block production history:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Check how long ago the chain produced its latest block
+ * Returns: { blockNumber, blockTimestamp, secondsSinceLastBlock, stallThresholdSeconds, stalled } or null if the head can't be fetched
+ */
+export async function getBlockProductionStatus(network = getActiveNetworkId()) {
+  try {
+    const stallThresholdSeconds = getNetworkConfig(network).blockStallSeconds ?? DEFAULT_STALL_SECONDS;
+    const head = await getProvider(network).getBlock('latest');
+    const secondsSinceLastBlock = Math.max(0, Math.round(Date.now() / 1000 - head.timestamp));
+
+    return {
+      blockNumber: head.number,
+      blockTimestamp: new Date(head.timestamp * 1000),
+      secondsSinceLastBlock,
+      stallThresholdSeconds,
+      stalled: secondsSinceLastBlock > stallThresholdSeconds
+    };
+  } catch (error) {
+    console.error(`[${network}] Error checking block production:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Alert when block production stalls and when it resumes
+ * Called by the scheduler
+ */
+export async function checkBlockProduction(network = getActiveNetworkId()) {
+  const status = await getBlockProductionStatus(network);
+  if (!status) {
+    return null;
+  }
+
+  const wasStalled = stallState.get(network) || false;
+  if (status.stalled && !wasStalled) {
+    console.warn(`🚨 [${network}] Block production stalled: no new block for ${status.secondsSinceLastBlock}s (last block ${status.blockNumber})`);
+  } else if (!status.stalled && wasStalled) {
+    console.log(`✅ [${network}] Block production resumed at block ${status.blockNumber}`);
+  }
+  stallState.set(network, status.stalled);
+
+  return status;
+}
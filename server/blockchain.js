@@ -1,88 +1,223 @@
 import { Meteor } from 'meteor/meteor';
 import ethers from 'ethers';
+import {
+  getEndpointConfigs,
+  createRpcPool,
+  createFailoverProvider,
+  withFailover,
+  checkPoolHealth,
+  getPoolStatus
+} from './rpcPool.js';
 
-let provider = null;
-let wsProvider = null;
+// Providers and pools per network id
+const rpcPools = new Map();
+const l1RpcPools = new Map();
+const providers = new Map();
+const l1Providers = new Map();
+const wsProviders = new Map();
+
+// Retry transient RPC failures when fetching blocks
+const FETCH_RETRIES = 3;
+const FETCH_RETRY_DELAY = 500; // ms, doubled after each attempt
+
+// JSON-RPC "method not found": the endpoint doesn't support eth_getBlockReceipts
+const METHOD_NOT_FOUND = -32601;
+
+// Endpoints without eth_getBlockReceipts, which fall back to one receipt request per transaction
+const noBlockReceipts = new Set();
+
+/**
+ * Get the id of the default network (settings.hpp.activeNetwork)
+ * Used when a caller doesn't name a network
+ */
+export function getActiveNetworkId() {
+  return Meteor.settings.hpp?.activeNetwork || 'sepolia';
+}
 
 /**
- * Get HPP configuration from Meteor settings
+ * Get the ids of every network this instance tracks
+ * settings.hpp.trackedNetworks, or every entry in settings.hpp.networks
  */
-function getConfig() {
+export function getTrackedNetworkIds() {
+  const hppSettings = Meteor.settings.hpp;
+  if (!hppSettings) {
+    throw new Error('HPP configuration not found in settings');
+  }
+
+  return hppSettings.trackedNetworks || Object.keys(hppSettings.networks || {});
+}
+
+/**
+ * Validate a network id coming from a method or publication
+ * Defaults to the active network; throws a Meteor.Error for networks that aren't tracked
+ */
+export function resolveNetworkId(network) {
+  if (network === undefined || network === null) {
+    return getActiveNetworkId();
+  }
+
+  if (typeof network !== 'string' || !getTrackedNetworkIds().includes(network)) {
+    throw new Meteor.Error('invalid-network', `Network '${network}' is not tracked`);
+  }
+
+  return network;
+}
+
+/**
+ * Get HPP configuration for a network from Meteor settings
+ */
+export function getNetworkConfig(network = getActiveNetworkId()) {
   const hppSettings = Meteor.settings.hpp;
   if (!hppSettings) {
     throw new Error('HPP configuration not found in settings-local.json');
   }
 
-  const activeNetwork = hppSettings.activeNetwork || 'sepolia';
-  const config = hppSettings.networks?.[activeNetwork];
+  const config = hppSettings.networks?.[network];
 
   if (!config) {
-    throw new Error(`Network configuration for '${activeNetwork}' not found in settings`);
+    throw new Error(`Network configuration for '${network}' not found in settings`);
   }
 
   return config;
 }
 
 /**
- * Get or create the HTTP RPC provider
+ * Get or create the L2 RPC endpoint pool for a network
+ * Configured via rpcEndpoints: [{ url, weight }] (or the legacy single rpcEndpoint)
  */
-export function getProvider() {
-  if (!provider) {
-    const config = getConfig();
-    const rpcUrl = config.rpcEndpoint;
+export function getRpcPool(network = getActiveNetworkId()) {
+  if (!rpcPools.has(network)) {
+    const config = getNetworkConfig(network);
+    rpcPools.set(network, createRpcPool(config.networkName, getEndpointConfigs(config), {
+      chainId: config.chainId,
+      name: config.networkName,
+    }));
+  }
+
+  return rpcPools.get(network);
+}
 
-    if (!rpcUrl) {
-      throw new Error('rpcEndpoint not configured in settings');
+/**
+ * Get or create the L1 RPC endpoint pool for a network (settings l1.rpcEndpoints or l1.rpcEndpoint)
+ */
+export function getL1RpcPool(network = getActiveNetworkId()) {
+  if (!l1RpcPools.has(network)) {
+    const config = getNetworkConfig(network);
+    const l1Config = config.l1;
+    if (!l1Config) {
+      throw new Error('L1 configuration missing in settings');
     }
 
-    provider = new ethers.providers.JsonRpcProvider(rpcUrl, {
+    l1RpcPools.set(network, createRpcPool(`${config.networkName} L1 (chain ${l1Config.chainId})`, getEndpointConfigs(l1Config), {
+      chainId: l1Config.chainId,
+      name: `l1-${l1Config.chainId}`,
+    }));
+  }
+
+  return l1RpcPools.get(network);
+}
+
+/**
+ * Get or create the HTTP RPC provider for a network
+ * Every request is load balanced across the L2 pool and fails over to the next endpoint on error
+ */
+export function getProvider(network = getActiveNetworkId()) {
+  if (!providers.has(network)) {
+    const config = getNetworkConfig(network);
+
+    providers.set(network, createFailoverProvider(getRpcPool(network), {
       chainId: config.chainId,
       name: config.networkName,
-    });
+    }));
+  }
+
+  return providers.get(network);
+}
+
+/**
+ * Get or create the L1 HTTP RPC provider for a network (load balanced across the L1 pool)
+ */
+export function getL1Provider(network = getActiveNetworkId()) {
+  if (!l1Providers.has(network)) {
+    const l1Config = getNetworkConfig(network).l1;
 
-    console.log(`Connected to ${config.networkName} via RPC: ${rpcUrl}`);
+    l1Providers.set(network, createFailoverProvider(getL1RpcPool(network), {
+      chainId: l1Config.chainId,
+      name: `l1-${l1Config.chainId}`,
+    }));
   }
 
-  return provider;
+  return l1Providers.get(network);
 }
 
 /**
- * Get or create the WebSocket provider
+ * Probe every L2 and L1 endpoint of a network, taking failing or lagging ones out of rotation
  */
-export function getWsProvider() {
-  if (!wsProvider) {
-    const config = getConfig();
+export async function checkRpcHealth(network = getActiveNetworkId()) {
+  await checkPoolHealth(getRpcPool(network));
+  if (getNetworkConfig(network).l1) {
+    await checkPoolHealth(getL1RpcPool(network));
+  }
+}
+
+/**
+ * Get or create the WebSocket provider for a network
+ */
+export function getWsProvider(network = getActiveNetworkId()) {
+  if (!wsProviders.has(network)) {
+    const config = getNetworkConfig(network);
     const wssUrl = config.wssEndpoint;
 
     if (!wssUrl) {
       throw new Error('wssEndpoint not configured in settings');
     }
 
-    wsProvider = new ethers.providers.WebSocketProvider(wssUrl, {
+    wsProviders.set(network, new ethers.providers.WebSocketProvider(wssUrl, {
       chainId: config.chainId,
       name: config.networkName,
-    });
+    }));
 
     console.log(`Connected to ${config.networkName} via WSS: ${wssUrl}`);
   }
 
-  return wsProvider;
+  return wsProviders.get(network);
+}
+
+/**
+ * Tear down a network's WebSocket provider so the next getWsProvider() call opens a fresh connection
+ */
+export function resetWsProvider(network = getActiveNetworkId()) {
+  const staleProvider = wsProviders.get(network);
+  if (!staleProvider) {
+    return;
+  }
+
+  wsProviders.delete(network);
+
+  staleProvider.removeAllListeners();
+  staleProvider.websocket.onclose = null;
+  staleProvider.destroy().catch(() => {});
 }
 
 /**
  * Get network information
  */
-export async function getNetworkInfo() {
-  const config = getConfig();
-  const provider = getProvider();
-  const network = await provider.getNetwork();
+export async function getNetworkInfo(network = getActiveNetworkId()) {
+  const config = getNetworkConfig(network);
+  const provider = getProvider(network);
+  const chainNetwork = await provider.getNetwork();
   const blockNumber = await provider.getBlockNumber();
 
+  const rpcStatus = getPoolStatus(getRpcPool(network));
+
   return {
-    name: network.name,
-    chainId: Number(network.chainId),
+    id: network,
+    name: chainNetwork.name,
+    chainId: Number(chainNetwork.chainId),
     blockNumber,
-    rpcUrl: config.rpcEndpoint,
+    rpcUrl: rpcStatus.activeEndpoint,
+    rpcEndpoints: rpcStatus.endpoints,
+    l1Rpc: config.l1 ? getPoolStatus(getL1RpcPool(network)) : null,
     explorer: config.blockExplorer,
   };
 }
@@ -90,32 +225,154 @@ export async function getNetworkInfo() {
 /**
  * Get the current block number
  */
-export async function getBlockNumber() {
-  const provider = getProvider();
+export async function getBlockNumber(network = getActiveNetworkId()) {
+  const provider = getProvider(network);
   return await provider.getBlockNumber();
 }
 
 /**
  * Get block by number
  */
-export async function getBlock(blockNumber) {
-  const provider = getProvider();
+export async function getBlock(blockNumber, network = getActiveNetworkId()) {
+  const provider = getProvider(network);
   return await provider.getBlock(blockNumber);
 }
 
 /**
  * Get transaction count for an address
  */
-export async function getTransactionCount(address, blockTag = 'latest') {
-  const provider = getProvider();
+export async function getTransactionCount(address, blockTag = 'latest', network = getActiveNetworkId()) {
+  const provider = getProvider(network);
   return await provider.getTransactionCount(address, blockTag);
 }
 
 /**
  * Get balance for an address
  */
-export async function getBalance(address, blockTag = 'latest') {
-  const provider = getProvider();
+export async function getBalance(address, blockTag = 'latest', network = getActiveNetworkId()) {
+  const provider = getProvider(network);
   const balance = await provider.getBalance(address, blockTag);
   return ethers.utils.formatEther(balance);
 }
+
+/**
+ * Get the deployed bytecode of an address ('0x' when there is none)
+ */
+export async function getCode(address, blockTag = 'latest', network = getActiveNetworkId()) {
+  const provider = getProvider(network);
+  return await provider.getCode(address, blockTag);
+}
+
+/**
+ * Convert a raw JSON-RPC receipt into plain numbers and lowercase addresses
+ * Keeps Arbitrum's gasUsedForL1, which the ethers receipt formatter drops
+ */
+function normalizeReceipt(raw) {
+  const toNumber = value => (value === undefined || value === null ? null : Number(value));
+
+  return {
+    transactionHash: raw.transactionHash,
+    status: toNumber(raw.status),
+    gasUsed: toNumber(raw.gasUsed),
+    effectiveGasPrice: toNumber(raw.effectiveGasPrice),
+    gasUsedForL1: toNumber(raw.gasUsedForL1),
+    contractAddress: raw.contractAddress ? raw.contractAddress.toLowerCase() : null,
+    logs: (raw.logs || []).map(log => ({
+      address: log.address.toLowerCase(),
+      topics: log.topics,
+      data: log.data,
+      logIndex: Number(log.logIndex)
+    }))
+  };
+}
+
+/**
+ * Fetch the receipts of every transaction in a block from one endpoint
+ * Uses eth_getBlockReceipts, falling back to per-transaction requests (batched) on endpoints without it
+ * Returns: Map of transaction hash -> normalized receipt
+ */
+async function fetchBlockReceipts(endpoint, block) {
+  const provider = endpoint.batchProvider;
+  let rawReceipts = null;
+
+  if (!noBlockReceipts.has(endpoint.url)) {
+    try {
+      rawReceipts = await provider.send('eth_getBlockReceipts', [ethers.utils.hexValue(block.number)]);
+    } catch (error) {
+      if ((error?.error || error)?.code !== METHOD_NOT_FOUND) {
+        throw error;
+      }
+      noBlockReceipts.add(endpoint.url);
+    }
+  }
+
+  if (!rawReceipts) {
+    rawReceipts = await Promise.all(
+      block.transactions.map(tx => provider.send('eth_getTransactionReceipt', [tx.hash]))
+    );
+  }
+
+  const receipts = new Map();
+  for (const raw of rawReceipts) {
+    if (raw) {
+      receipts.set(raw.transactionHash, normalizeReceipt(raw));
+    }
+  }
+
+  if (receipts.size < block.transactions.length) {
+    throw new Error(`Missing receipts for block ${block.number} (${receipts.size}/${block.transactions.length})`);
+  }
+  return receipts;
+}
+
+/**
+ * Fetch a block with its transactions and their receipts, retrying transient failures
+ * Each attempt fails over across the L2 pool
+ * Never rejects: returns { number, block, receipts, error }
+ */
+async function fetchBlockWithRetry(blockNumber, network) {
+  const pool = getRpcPool(network);
+  let lastError;
+
+  for (let attempt = 0; attempt < FETCH_RETRIES; attempt++) {
+    try {
+      const block = await withFailover(pool, endpoint => endpoint.batchProvider.getBlockWithTransactions(blockNumber));
+      if (!block) {
+        throw new Error(`Block ${blockNumber} not found`);
+      }
+
+      const receipts = block.transactions.length > 0
+        ? await withFailover(pool, endpoint => fetchBlockReceipts(endpoint, block))
+        : new Map();
+      return { number: blockNumber, block, receipts, error: null };
+    } catch (error) {
+      lastError = error;
+      if (attempt < FETCH_RETRIES - 1) {
+        await new Promise(resolve => setTimeout(resolve, FETCH_RETRY_DELAY * 2 ** attempt));
+      }
+    }
+  }
+
+  return { number: blockNumber, block: null, receipts: null, error: lastError };
+}
+
+/**
+ * Fetch blocks [startBlock, endBlock] with their transactions and receipts
+ * Keeps up to `concurrency` blocks in flight (batched into JSON-RPC batches per endpoint)
+ * and yields results in block order: { number, block, receipts, error }
+ */
+export async function* fetchBlocks(startBlock, endBlock, concurrency = 1, network = getActiveNetworkId()) {
+  const inFlight = new Map();
+  let nextToFetch = startBlock;
+
+  for (let blockNumber = startBlock; blockNumber <= endBlock; blockNumber++) {
+    while (nextToFetch <= endBlock && inFlight.size < concurrency) {
+      inFlight.set(nextToFetch, fetchBlockWithRetry(nextToFetch, network));
+      nextToFetch++;
+    }
+
+    const result = await inFlight.get(blockNumber);
+    inFlight.delete(blockNumber);
+    yield result;
+  }
+}
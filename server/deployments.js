@@ -0,0 +1,94 @@
+import { getActiveNetworkId } from './blockchain.js';
+import { ContractDeploymentsCollection } from '../imports/api/collections.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Get contracts deployed per day
+ * Returns last N days: [{ date, timestamp, deployments, deployers }]
+ */
+export async function getDeploymentsHistory(days = 7, network = getActiveNetworkId()) {
+  try {
+    const startDate = new Date();
+    startDate.setUTCHours(0, 0, 0, 0);
+    startDate.setUTCDate(startDate.getUTCDate() - (days - 1));
+
+    const pipeline = [
+      { $match: { network, timestamp: { $gte: startDate } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          deployments: { $sum: 1 },
+          deployers: { $addToSet: '$deployer' }
+        }
+      }
+    ];
+
+    const rows = await ContractDeploymentsCollection.rawCollection().aggregate(pipeline).toArray();
+    const byDate = new Map(rows.map(row => [row._id, row]));
+
+    const history = [];
+    for (let i = 0; i < days; i++) {
+      const dateStr = new Date(startDate.getTime() + i * DAY_MS).toISOString().split('T')[0];
+      const day = byDate.get(dateStr);
+
+      history.push({
+        date: dateStr,
+        timestamp: new Date(dateStr + 'T12:00:00Z'), // Noon UTC
+        deployments: day ? day.deployments : 0,
+        deployers: day ? day.deployers.length : 0
+      });
+    }
+
+    return history;
+  } catch (error) {
+    console.error('Error calculating deployment history:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get unique deployers per week (Monday, UTC)
+ * Returns last N weeks: [{ week: 'YYYY-MM-DD', timestamp, uniqueDeployers, deployments }]
+ */
+export async function getWeeklyDeployersHistory(weeks = 8, network = getActiveNetworkId()) {
+  try {
+    const currentWeek = new Date();
+    currentWeek.setUTCHours(0, 0, 0, 0);
+    currentWeek.setUTCDate(currentWeek.getUTCDate() - ((currentWeek.getUTCDay() + 6) % 7));
+    const startDate = new Date(currentWeek.getTime() - (weeks - 1) * WEEK_MS);
+
+    const pipeline = [
+      { $match: { network, timestamp: { $gte: startDate } } },
+      {
+        $group: {
+          _id: { $floor: { $divide: [{ $subtract: ['$timestamp', startDate] }, WEEK_MS] } },
+          deployments: { $sum: 1 },
+          deployers: { $addToSet: '$deployer' }
+        }
+      }
+    ];
+
+    const rows = await ContractDeploymentsCollection.rawCollection().aggregate(pipeline).toArray();
+    const byWeek = new Map(rows.map(row => [row._id, row]));
+
+    const history = [];
+    for (let i = 0; i < weeks; i++) {
+      const weekStart = new Date(startDate.getTime() + i * WEEK_MS);
+      const week = byWeek.get(i);
+
+      history.push({
+        week: weekStart.toISOString().split('T')[0],
+        timestamp: weekStart,
+        uniqueDeployers: week ? week.deployers.length : 0,
+        deployments: week ? week.deployments : 0
+      });
+    }
+
+    return history;
+  } catch (error) {
+    console.error('Error calculating weekly deployers:', error.message);
+    return [];
+  }
+}
@@ -1,10 +1,11 @@
 import { Meteor } from 'meteor/meteor';
+import { getActiveNetworkId, getNetworkConfig } from './blockchain.js';
 
 /**
- * Get the Blockscout API base URL from settings
+ * Get a network's Blockscout API base URL from settings
  */
-function getExplorerApiUrl() {
-  const explorer = Meteor.settings.hpp?.blockExplorer;
+function getExplorerApiUrl(network = getActiveNetworkId()) {
+  const explorer = getNetworkConfig(network).blockExplorer || Meteor.settings.hpp?.blockExplorer;
   if (!explorer) {
     throw new Error('Block explorer URL not configured in settings');
   }
@@ -23,9 +24,9 @@ function getExplorerApiUrl() {
  *   ...
  * }
  */
-export async function fetchBlockscoutStats() {
+export async function fetchBlockscoutStats(network) {
   try {
-    const apiUrl = getExplorerApiUrl();
+    const apiUrl = getExplorerApiUrl(network);
     const response = await fetch(`${apiUrl}/stats`);
 
     if (!response.ok) {
@@ -43,23 +44,63 @@ export async function fetchBlockscoutStats() {
 /**
  * Get daily transaction count from Blockscout
  */
-export async function getDailyTransactionsFromExplorer() {
-  const stats = await fetchBlockscoutStats();
+export async function getDailyTransactionsFromExplorer(network) {
+  const stats = await fetchBlockscoutStats(network);
   return parseInt(stats.transactions_today) || 0;
 }
 
 /**
  * Get total address count from Blockscout
  */
-export async function getTotalAddressesFromExplorer() {
-  const stats = await fetchBlockscoutStats();
+export async function getTotalAddressesFromExplorer(network) {
+  const stats = await fetchBlockscoutStats(network);
   return parseInt(stats.total_addresses) || 0;
 }
 
 /**
  * Get all-time transaction count from Blockscout
  */
-export async function getTotalTransactionsFromExplorer() {
-  const stats = await fetchBlockscoutStats();
+export async function getTotalTransactionsFromExplorer(network) {
+  const stats = await fetchBlockscoutStats(network);
   return parseInt(stats.total_transactions) || 0;
 }
+
+/**
+ * Fetch deposit amount from internal transactions for a Type 105 transaction
+ * Returns the value from the first internal transfer from 0x0000...0000
+ */
+export async function fetchDepositAmount(txHash, network) {
+  try {
+    const explorerApiUrl = getExplorerApiUrl(network);
+    const url = `${explorerApiUrl}/transactions/${txHash}/internal-transactions`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      console.error(`Failed to fetch internal txs for ${txHash}: ${response.status}`);
+      return 0;
+    }
+
+    const data = await response.json();
+
+    if (!data.items || data.items.length === 0) {
+      return 0;
+    }
+
+    // Find the first internal transfer from 0x0000...0000 (canonical deposit amount)
+    const depositTransfer = data.items.find(tx =>
+      tx.from.hash === '0x0000000000000000000000000000000000000000'
+    );
+
+    if (depositTransfer && depositTransfer.value) {
+      // Convert from wei string to ETH number
+      const valueInWei = BigInt(depositTransfer.value);
+      const valueInEth = Number(valueInWei) / 1e18;
+      return valueInEth;
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(`Error fetching internal txs for ${txHash}:`, error.message);
+    return 0;
+  }
+}
@@ -0,0 +1,194 @@
+import { getActiveNetworkId } from './blockchain.js';
+import { TransactionsCollection, BlocksCollection } from '../imports/api/collections.js';
+
+// Fee percentiles reported per day
+const FEE_PERCENTILES = [50, 90, 99];
+
+const GWEI_PER_ETH = 1e9;
+
+/**
+ * Get the UTC days covered by a history request, oldest first
+ * Returns: { startDate, dates: ['YYYY-MM-DD', ...] }
+ */
+function getDayRange(days) {
+  const startDate = new Date();
+  startDate.setUTCHours(0, 0, 0, 0);
+  startDate.setUTCDate(startDate.getUTCDate() - (days - 1));
+
+  const dates = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(startDate);
+    date.setUTCDate(date.getUTCDate() + i);
+    dates.push(date.toISOString().split('T')[0]);
+  }
+
+  return { startDate, dates };
+}
+
+/**
+ * Nearest-rank percentile of an ascending array
+ */
+export function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) {
+    return 0;
+  }
+  const rank = Math.ceil((p / 100) * sortedValues.length);
+  return sortedValues[Math.max(0, rank - 1)];
+}
+
+/**
+ * Sum gas and fees of ingested transactions per UTC day
+ * Transactions ingested before receipts were stored have no gasUsed and are left out
+ * Returns: Map of 'YYYY-MM-DD' -> { totalGas, txCount, totalFees, l1Fees } (fees in ETH)
+ */
+async function getDailyGasTotals(startDate, network) {
+  const pipeline = [
+    {
+      $match: {
+        network,
+        timestamp: { $gte: startDate },
+        gasUsed: { $gt: 0 }
+      }
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+        totalGas: { $sum: '$gasUsed' },
+        txCount: { $sum: 1 },
+        totalFees: { $sum: { $ifNull: ['$fee', 0] } },
+        l1Fees: { $sum: { $ifNull: ['$l1Fee', 0] } }
+      }
+    }
+  ];
+
+  const rows = await TransactionsCollection.rawCollection().aggregate(pipeline).toArray();
+  return new Map(rows.map(row => [row._id, row]));
+}
+
+/**
+ * Get total gas used per day
+ * Returns last N days: [{ date, timestamp, totalGas, txCount }]
+ */
+export async function getGasUsedHistory(days = 7, network = getActiveNetworkId()) {
+  try {
+    const { startDate, dates } = getDayRange(days);
+    const totals = await getDailyGasTotals(startDate, network);
+
+    return dates.map((date) => {
+      const day = totals.get(date) || { totalGas: 0, txCount: 0 };
+      return {
+        date,
+        timestamp: new Date(date + 'T12:00:00Z'), // Noon UTC
+        totalGas: day.totalGas,
+        txCount: day.txCount
+      };
+    });
+  } catch (error) {
+    console.error(`[${network}] Error calculating gas used history:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the fee paid per transaction per day: average and p50/p90/p99 (gwei)
+ * Returns last N days: [{ date, timestamp, txCount, totalFees (ETH), avgFeeGwei, p50FeeGwei, p90FeeGwei, p99FeeGwei }]
+ */
+export async function getFeeHistory(days = 7, network = getActiveNetworkId()) {
+  try {
+    const { dates } = getDayRange(days);
+
+    const history = [];
+    for (const date of dates) {
+      const dayStart = new Date(date + 'T00:00:00Z');
+      const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+      const transactions = await TransactionsCollection.find(
+        { network, timestamp: { $gte: dayStart, $lt: dayEnd }, fee: { $ne: null } },
+        { fields: { fee: 1 }, sort: { fee: 1 } }
+      ).fetchAsync();
+
+      const fees = transactions.map(tx => tx.fee * GWEI_PER_ETH);
+      const totalFees = transactions.reduce((sum, tx) => sum + tx.fee, 0);
+
+      const entry = {
+        date,
+        timestamp: new Date(date + 'T12:00:00Z'), // Noon UTC
+        txCount: fees.length,
+        totalFees,
+        avgFeeGwei: fees.length > 0 ? (totalFees * GWEI_PER_ETH) / fees.length : 0
+      };
+      for (const p of FEE_PERCENTILES) {
+        entry[`p${p}FeeGwei`] = percentile(fees, p);
+      }
+      history.push(entry);
+    }
+
+    return history;
+  } catch (error) {
+    console.error(`[${network}] Error calculating fee history:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the share of fees paid for L1 data posting versus L2 execution per day
+ * Returns last N days: [{ date, timestamp, l1Fees, l2Fees (ETH), l1FeeShare (percent) }]
+ */
+export async function getL1FeeShareHistory(days = 7, network = getActiveNetworkId()) {
+  try {
+    const { startDate, dates } = getDayRange(days);
+    const totals = await getDailyGasTotals(startDate, network);
+
+    return dates.map((date) => {
+      const day = totals.get(date) || { totalFees: 0, l1Fees: 0 };
+      return {
+        date,
+        timestamp: new Date(date + 'T12:00:00Z'), // Noon UTC
+        l1Fees: day.l1Fees,
+        l2Fees: day.totalFees - day.l1Fees,
+        l1FeeShare: day.totalFees > 0 ? (day.l1Fees / day.totalFees) * 100 : 0
+      };
+    });
+  } catch (error) {
+    console.error(`[${network}] Error calculating L1 fee share history:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the average gas used per indexed block per day
+ * Returns last N days: [{ date, timestamp, blockCount, totalGas, gasPerBlock }]
+ */
+export async function getGasPerBlockHistory(days = 7, network = getActiveNetworkId()) {
+  try {
+    const { startDate, dates } = getDayRange(days);
+    const totals = await getDailyGasTotals(startDate, network);
+
+    const blocksPipeline = [
+      { $match: { network, timestamp: { $gte: startDate } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          count: { $sum: 1 }
+        }
+      }
+    ];
+    const blockRows = await BlocksCollection.rawCollection().aggregate(blocksPipeline).toArray();
+    const blockCounts = new Map(blockRows.map(row => [row._id, row.count]));
+
+    return dates.map((date) => {
+      const totalGas = totals.get(date)?.totalGas || 0;
+      const blockCount = blockCounts.get(date) || 0;
+      return {
+        date,
+        timestamp: new Date(date + 'T12:00:00Z'), // Noon UTC
+        blockCount,
+        totalGas,
+        gasPerBlock: blockCount > 0 ? Math.round(totalGas / blockCount) : 0
+      };
+    });
+  } catch (error) {
+    console.error(`[${network}] Error calculating gas per block history:`, error.message);
+    return [];
+  }
+}
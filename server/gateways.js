@@ -0,0 +1,183 @@
+import { Meteor } from 'meteor/meteor';
+import { ethers } from 'ethers';
+import { getActiveNetworkId, getNetworkConfig, getProvider } from './blockchain.js';
+import { getTokenMetadata, topicToAddress } from './tokens.js';
+import { parseWithdrawalLog } from './withdrawals.js';
+import { BridgeActivityCollection } from '../imports/api/collections.js';
+
+// Emitted by an L2 gateway when a token deposit from L1 is minted on L2
+// DepositFinalized(address indexed l1Token, address indexed _from, address indexed _to, uint256 _amount)
+const DEPOSIT_FINALIZED_TOPIC = ethers.utils.id('DepositFinalized(address,address,address,uint256)');
+
+// Emitted by an L2 gateway when a token withdrawal to L1 starts
+// WithdrawalInitiated(address l1Token, address indexed _from, address indexed _to, uint256 indexed _l2ToL1Id, uint256 _exitNum, uint256 _amount)
+const WITHDRAWAL_INITIATED_TOPIC = ethers.utils.id('WithdrawalInitiated(address,address,address,uint256,uint256,uint256)');
+
+const GATEWAY_ABI = ['function calculateL2TokenAddress(address l1ERC20) view returns (address)'];
+
+// L2 token per network:gateway:l1Token (the mapping never changes)
+const l2TokenCache = new Map();
+
+// USD prices per CoinGecko id, cached for 5 minutes like the ETH price
+const priceCache = new Map();
+const PRICE_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * Get the token gateway contracts configured for a network (settings networks.<id>.tokenGateways)
+ * Returns: lowercase addresses
+ */
+export function getGatewayAddresses(network = getActiveNetworkId()) {
+  const gateways = getNetworkConfig(network).tokenGateways || [];
+  return gateways.filter(address => ethers.utils.isAddress(address)).map(address => address.toLowerCase());
+}
+
+/**
+ * Resolve the L2 token a gateway mints for an L1 token
+ */
+async function getL2TokenAddress(gateway, l1Token, network) {
+  const key = `${network}:${gateway}:${l1Token}`;
+  if (!l2TokenCache.has(key)) {
+    const contract = new ethers.Contract(gateway, GATEWAY_ABI, getProvider(network));
+    l2TokenCache.set(key, (await contract.calculateL2TokenAddress(l1Token)).toLowerCase());
+  }
+  return l2TokenCache.get(key);
+}
+
+/**
+ * Decode a gateway deposit or withdrawal event
+ * Returns: { type, l1Token, from, to, amountRaw } or null for any other log
+ */
+export function decodeGatewayLog(log) {
+  if (log.topics[0] === DEPOSIT_FINALIZED_TOPIC && log.topics.length === 4) {
+    const [amount] = ethers.utils.defaultAbiCoder.decode(['uint256'], log.data);
+    return {
+      type: 'deposit',
+      l1Token: topicToAddress(log.topics[1]),
+      from: topicToAddress(log.topics[2]),
+      to: topicToAddress(log.topics[3]),
+      amountRaw: amount.toString()
+    };
+  }
+
+  if (log.topics[0] === WITHDRAWAL_INITIATED_TOPIC && log.topics.length === 4) {
+    const [l1Token, , amount] = ethers.utils.defaultAbiCoder.decode(['address', 'uint256', 'uint256'], log.data);
+    return {
+      type: 'withdrawal',
+      l1Token: l1Token.toLowerCase(),
+      from: topicToAddress(log.topics[1]),
+      to: topicToAddress(log.topics[2]),
+      amountRaw: amount.toString()
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Index token deposits and withdrawals emitted by the network's configured gateways
+ * Rows go into BridgeActivityCollection keyed by log; value (ETH) is 0 and the token amount is kept separately
+ * Withdrawals also carry the L2ToL1Tx position so updateWithdrawalStatuses can follow them to L1
+ * Returns: { depositsFound, withdrawalsFound } (newly inserted rows only)
+ */
+export async function indexGatewayTransfers(receipt, block, blockTimestamp, network) {
+  const found = { depositsFound: 0, withdrawalsFound: 0 };
+
+  const gateways = getGatewayAddresses(network);
+  if (gateways.length === 0) {
+    return found;
+  }
+
+  for (const log of receipt.logs) {
+    if (!gateways.includes(log.address)) continue;
+
+    const event = decodeGatewayLog(log);
+    if (!event) continue;
+
+    const token = await getL2TokenAddress(log.address, event.l1Token, network);
+    const metadata = await getTokenMetadata(token, network);
+
+    const lifecycle = event.type === 'withdrawal' ? parseWithdrawalLog(receipt) || { position: null } : {};
+    const result = await BridgeActivityCollection.upsertAsync(
+      { network, txHash: receipt.transactionHash, logIndex: log.logIndex },
+      {
+        $set: {
+          type: event.type,
+          from: event.from,
+          to: event.to,
+          value: 0, // No ETH moves with a token transfer
+          token,
+          l1Token: event.l1Token,
+          gateway: log.address,
+          amountRaw: event.amountRaw,
+          amount: metadata.decimals === null ? null : Number(ethers.utils.formatUnits(event.amountRaw, metadata.decimals)),
+          timestamp: blockTimestamp,
+          blockNumber: block.number,
+          l2TxHash: receipt.transactionHash,
+          ...lifecycle
+        },
+        ...(event.type === 'withdrawal' && { $setOnInsert: { status: 'initiated' } })
+      }
+    );
+
+    if (result.insertedId) {
+      found[event.type === 'deposit' ? 'depositsFound' : 'withdrawalsFound']++;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Get a token's USD price from CoinGecko
+ * Tokens are priced by symbol through settings hpp.tokenPriceIds ({ symbol: coingeckoId })
+ * Returns null for tokens without a configured id or when no price is available
+ */
+export async function getTokenPrice(symbol) {
+  const coingeckoId = Meteor.settings.hpp?.tokenPriceIds?.[symbol];
+  if (!coingeckoId) {
+    return null;
+  }
+
+  const cached = priceCache.get(coingeckoId);
+  if (cached && (Date.now() - cached.timestamp) < PRICE_CACHE_TTL) {
+    return cached.price;
+  }
+
+  try {
+    const response = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${coingeckoId}&vs_currencies=usd`);
+    if (!response.ok) {
+      throw new Error(`CoinGecko API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const price = data[coingeckoId]?.usd;
+    if (!price) {
+      throw new Error(`${symbol} price not found in response`);
+    }
+
+    priceCache.set(coingeckoId, { price, timestamp: Date.now() });
+    return price;
+  } catch (error) {
+    console.error(`Error fetching ${symbol} price:`, error.message);
+    // Fall back to a stale price if there is one
+    return cached ? cached.price : null;
+  }
+}
+
+/**
+ * Price token bridge rows in USD
+ * Returns: total USD value of the rows whose token has a price
+ */
+export async function sumTokenVolumeUSD(rows, network = getActiveNetworkId()) {
+  let total = 0;
+  for (const row of rows) {
+    if (!row.token || row.amount === null || row.amount === undefined) continue;
+
+    const { symbol } = await getTokenMetadata(row.token, network);
+    const price = await getTokenPrice(symbol);
+    if (price !== null) {
+      total += row.amount * price;
+    }
+  }
+  return total;
+}
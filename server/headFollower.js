@@ -0,0 +1,197 @@
+import { Meteor } from 'meteor/meteor';
+import { getActiveNetworkId, getNetworkConfig, getWsProvider, resetWsProvider } from './blockchain.js';
+import { indexNewBlocks } from './indexer.js';
+
+// Reconnect backoff: starts at 1 second, doubles up to 1 minute
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60 * 1000;
+
+// Fall back to HTTP polling once the socket has been down this long
+const POLLING_FALLBACK_DELAY = 30 * 1000; // 30 seconds
+const POLL_INTERVAL = 5 * 1000; // 5 seconds
+
+// Follower state per network id
+const followers = new Map();
+
+function createFollowerState(network) {
+  return {
+    network,
+    mode: 'stopped', // 'connecting' | 'websocket' | 'polling' | 'stopped'
+    lastBlock: null,
+    lastBlockAt: null,
+    disconnectedAt: null,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    fallbackTimer: null,
+    pollTimer: null,
+    ingesting: false,
+    pending: false
+  };
+}
+
+/**
+ * Run the indexer for new blocks
+ * Heads that arrive while a run is in progress are coalesced into one follow-up run
+ */
+async function requestIngestion(state) {
+  if (state.ingesting) {
+    state.pending = true;
+    return;
+  }
+
+  state.ingesting = true;
+  try {
+    do {
+      state.pending = false;
+      await indexNewBlocks(state.network);
+    } while (state.pending);
+  } catch (error) {
+    console.error(`❌ [${state.network}] Error ingesting new head:`, error.message);
+  } finally {
+    state.ingesting = false;
+  }
+}
+
+/**
+ * Handle a new block header from the subscription
+ */
+function onNewHead(state, blockNumber) {
+  state.lastBlock = blockNumber;
+  state.lastBlockAt = new Date();
+  requestIngestion(state);
+}
+
+/**
+ * Poll over HTTP while the socket is down
+ */
+function startPolling(state) {
+  if (state.pollTimer) {
+    return;
+  }
+
+  console.log(`⚠️  [${state.network}] WebSocket down for ${POLLING_FALLBACK_DELAY / 1000}s, falling back to HTTP polling every ${POLL_INTERVAL / 1000}s`);
+  state.mode = 'polling';
+  state.pollTimer = setInterval(() => requestIngestion(state), POLL_INTERVAL);
+  requestIngestion(state);
+}
+
+function stopPolling(state) {
+  if (state.fallbackTimer) {
+    clearTimeout(state.fallbackTimer);
+    state.fallbackTimer = null;
+  }
+  if (state.pollTimer) {
+    clearInterval(state.pollTimer);
+    state.pollTimer = null;
+    console.log(`✅ [${state.network}] WebSocket restored, stopped HTTP polling`);
+  }
+}
+
+function onConnected(state) {
+  console.log(`✅ [${state.network}] Head follower subscribed to new blocks over WebSocket`);
+  state.mode = 'websocket';
+  state.disconnectedAt = null;
+  state.reconnectAttempts = 0;
+  stopPolling(state);
+
+  // Catch up on anything that landed while we were disconnected
+  requestIngestion(state);
+}
+
+/**
+ * Drop the dead socket, schedule a reconnect with backoff and,
+ * if the outage lasts, switch to HTTP polling
+ */
+function onDisconnected(state, reason) {
+  if (state.mode === 'stopped' || state.reconnectTimer) {
+    return;
+  }
+
+  console.error(`❌ [${state.network}] Head follower WebSocket disconnected: ${reason}`);
+  resetWsProvider(state.network);
+
+  if (!state.disconnectedAt) {
+    state.disconnectedAt = Date.now();
+  }
+  if (state.mode !== 'polling') {
+    state.mode = 'connecting';
+    if (!state.fallbackTimer) {
+      const remaining = Math.max(0, POLLING_FALLBACK_DELAY - (Date.now() - state.disconnectedAt));
+      state.fallbackTimer = setTimeout(() => {
+        state.fallbackTimer = null;
+        startPolling(state);
+      }, remaining);
+    }
+  }
+
+  const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** state.reconnectAttempts, RECONNECT_MAX_DELAY);
+  state.reconnectAttempts++;
+  console.log(`🔌 [${state.network}] Reconnecting in ${delay / 1000}s (attempt ${state.reconnectAttempts})...`);
+
+  state.reconnectTimer = setTimeout(() => {
+    state.reconnectTimer = null;
+    connect(state);
+  }, delay);
+}
+
+/**
+ * Open the WebSocket and subscribe to new block headers
+ */
+function connect(state) {
+  try {
+    const provider = getWsProvider(state.network);
+    const socket = provider.websocket;
+
+    // ethers flushes queued requests in onopen, so chain onto it instead of replacing it
+    const ethersOnOpen = socket.onopen;
+    socket.onopen = (...args) => {
+      ethersOnOpen?.(...args);
+      onConnected(state);
+    };
+    socket.onclose = (event) => onDisconnected(state, `socket closed (code ${event?.code})`);
+    socket.onerror = (event) => onDisconnected(state, event?.message || 'socket error');
+
+    provider.on('block', (blockNumber) => onNewHead(state, blockNumber));
+  } catch (error) {
+    onDisconnected(state, error.message);
+  }
+}
+
+/**
+ * Start following the chain head of a network
+ * Subscribes to new block headers over the WebSocket provider and ingests each block as it arrives
+ * Configured via settings.hpp.indexer.headFollower.enabled (defaults to on when wssEndpoint is set)
+ */
+export function startHeadFollower(network = getActiveNetworkId()) {
+  const enabled = Meteor.settings.hpp?.indexer?.headFollower?.enabled;
+  if (enabled === false || !getNetworkConfig(network).wssEndpoint) {
+    console.log(`⚠️  [${network}] Head follower disabled, new blocks are picked up by scheduled jobs only`);
+    return;
+  }
+
+  if (followers.has(network)) {
+    return;
+  }
+
+  console.log(`🔭 [${network}] Starting head follower...`);
+  const state = createFollowerState(network);
+  state.mode = 'connecting';
+  followers.set(network, state);
+  connect(state);
+}
+
+/**
+ * Get the head follower connection state for a network
+ * Returns: { mode, lastBlock, lastBlockAt, disconnectedAt, reconnectAttempts }
+ */
+export function getHeadFollowerStatus(network = getActiveNetworkId()) {
+  const state = followers.get(network) || createFollowerState(network);
+
+  return {
+    mode: state.mode,
+    lastBlock: state.lastBlock,
+    lastBlockAt: state.lastBlockAt,
+    disconnectedAt: state.disconnectedAt ? new Date(state.disconnectedAt) : null,
+    reconnectAttempts: state.reconnectAttempts
+  };
+}
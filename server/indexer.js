@@ -0,0 +1,490 @@
+import { Meteor } from 'meteor/meteor';
+import { getProvider, getActiveNetworkId, fetchBlocks } from './blockchain.js';
+import { ingestBlock, rollbackBlocks } from './ingest.js';
+import { SYSTEM_ADDRESSES } from './systemAddresses.js';
+import { redactErrorMessage } from './rpcPool.js';
+import {
+  AddressActivityCollection,
+  BlocksCollection,
+  IndexerCheckpointsCollection
+} from '../imports/api/collections.js';
+
+// First block scanned by a genesis backfill
+const GENESIS_BLOCK = 1;
+
+// How far behind head the live path starts when a network has never been indexed
+const INITIAL_LOOKBACK = 100;
+
+// Persist gap progress and log every N blocks
+const PROGRESS_INTERVAL = 100;
+
+// Blocks fetched in parallel when settings.hpp.indexer.concurrency isn't set
+const DEFAULT_CONCURRENCY = 8;
+
+// Give up looking for a common ancestor after walking back this many blocks
+const MAX_REORG_DEPTH = 128;
+
+// Refetch a block that doesn't extend the stored chain (e.g. served by a lagging endpoint) this many times
+// before failing the run; the checkpoint stays behind it so the next run picks it up again
+const STALE_BLOCK_RETRIES = 3;
+const STALE_BLOCK_RETRY_DELAY = 500; // ms
+
+// Attempts at rewriting the gaps before giving up when other runs keep changing them
+const GAP_UPDATE_ATTEMPTS = 5;
+
+// In-flight live runs per network
+const liveRuns = new Map();
+
+/**
+ * Get the ingestion checkpoint for a network
+ * Every block at or below lastProcessedBlock has been ingested,
+ * except the ranges listed in gaps and the blocks listed in failedBlocks
+ * lastReorg/reorgCount describe chain reorganizations seen during ingestion
+ */
+export async function getCheckpoint(network = getActiveNetworkId()) {
+  return await IndexerCheckpointsCollection.findOneAsync({ _id: network });
+}
+
+/**
+ * Create the checkpoint for a network if it doesn't exist yet
+ * Seeds lastProcessedBlock from existing address activity so deployments
+ * that predate the checkpoint resume where they left off
+ */
+async function ensureCheckpoint(network) {
+  const existing = await getCheckpoint(network);
+  if (existing) {
+    return existing;
+  }
+
+  const lastActivity = await AddressActivityCollection.findOneAsync(
+    { network },
+    { sort: { blockNumber: -1 } }
+  );
+
+  await IndexerCheckpointsCollection.upsertAsync(
+    { _id: network },
+    {
+      $setOnInsert: {
+        lastProcessedBlock: lastActivity ? lastActivity.blockNumber : null,
+        gaps: [],
+        failedBlocks: [],
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    }
+  );
+
+  return await getCheckpoint(network);
+}
+
+/**
+ * Record a block as ingested: advance the frontier and clear any earlier failure
+ */
+async function markBlockProcessed(network, blockNumber) {
+  await IndexerCheckpointsCollection.updateAsync(
+    { _id: network },
+    {
+      $max: { lastProcessedBlock: blockNumber },
+      $pull: { failedBlocks: { blockNumber } },
+      $set: { updatedAt: new Date() }
+    }
+  );
+}
+
+/**
+ * Record a block that failed to ingest so a later backfill can retry it
+ * The frontier still moves past it, so the live path never stalls on one bad block
+ */
+async function recordFailedBlock(network, blockNumber, error) {
+  console.error(`❌ [${network}] Failed to ingest block ${blockNumber}:`, error.message);
+
+  const updated = await IndexerCheckpointsCollection.updateAsync(
+    { _id: network, 'failedBlocks.blockNumber': blockNumber },
+    {
+      $set: {
+        'failedBlocks.$.error': redactErrorMessage(error.message),
+        'failedBlocks.$.failedAt': new Date(),
+        updatedAt: new Date()
+      },
+      $inc: { 'failedBlocks.$.attempts': 1 },
+      $max: { lastProcessedBlock: blockNumber }
+    }
+  );
+
+  if (updated === 0) {
+    await IndexerCheckpointsCollection.updateAsync(
+      { _id: network },
+      {
+        $push: { failedBlocks: { blockNumber, error: redactErrorMessage(error.message), attempts: 1, failedAt: new Date() } },
+        $max: { lastProcessedBlock: blockNumber },
+        $set: { updatedAt: new Date() }
+      }
+    );
+  }
+}
+
+/**
+ * Record a range of blocks that was skipped
+ */
+async function addGap(network, from, to) {
+  if (from > to) {
+    return;
+  }
+
+  console.log(`⚠️  [${network}] Recording gap: blocks ${from} to ${to} not yet indexed`);
+  await IndexerCheckpointsCollection.updateAsync(
+    { _id: network },
+    { $push: { gaps: { from, to } }, $set: { updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Subtract the block range from..to from a list of gaps
+ * Gaps that partially overlap the range are trimmed or split; gaps it doesn't touch are kept as they are
+ * Returns: the remaining gaps
+ */
+export function subtractFromGaps(gaps, from, to) {
+  const remaining = [];
+  for (const gap of gaps) {
+    if (gap.to < from || gap.from > to) {
+      remaining.push(gap);
+      continue;
+    }
+    if (gap.from < from) {
+      remaining.push({ from: gap.from, to: from - 1 });
+    }
+    if (gap.to > to) {
+      remaining.push({ from: to + 1, to: gap.to });
+    }
+  }
+  return remaining;
+}
+
+/**
+ * Remove a range of processed blocks from the recorded gaps
+ * The write only succeeds if the gaps are still the ones it read, so concurrent live and backfill runs
+ * (or addGap) can't overwrite each other's changes; on a conflict it re-reads and tries again
+ */
+async function removeFromGaps(network, from, to) {
+  if (from > to) {
+    return;
+  }
+
+  for (let attempt = 0; attempt < GAP_UPDATE_ATTEMPTS; attempt++) {
+    const checkpoint = await getCheckpoint(network);
+    if (!checkpoint || checkpoint.gaps.length === 0) {
+      return;
+    }
+
+    const gaps = subtractFromGaps(checkpoint.gaps, from, to);
+    if (gaps.length === checkpoint.gaps.length && gaps.every((gap, index) => gap === checkpoint.gaps[index])) {
+      return;
+    }
+
+    const updated = await IndexerCheckpointsCollection.updateAsync(
+      { _id: network, gaps: checkpoint.gaps },
+      { $set: { gaps, updatedAt: new Date() } }
+    );
+    if (updated > 0) {
+      return;
+    }
+  }
+
+  throw new Error(`Gaps kept changing while removing blocks ${from} to ${to}`);
+}
+
+/**
+ * Store the header of an ingested block for parent-link checks and block production metrics
+ * userTxCount leaves out transactions sent by system addresses (e.g. ArbOS's per-block internal transaction)
+ */
+async function recordBlock(network, block) {
+  const transactions = block.transactions || [];
+
+  await BlocksCollection.upsertAsync(
+    { network, number: block.number },
+    {
+      $set: {
+        hash: block.hash,
+        parentHash: block.parentHash,
+        timestamp: new Date(block.timestamp * 1000),
+        gasUsed: block.gasUsed ? Number(block.gasUsed.toString()) : null,
+        gasLimit: block.gasLimit ? Number(block.gasLimit.toString()) : null,
+        txCount: transactions.length,
+        userTxCount: transactions.filter(tx => tx.from && !SYSTEM_ADDRESSES.includes(tx.from.toLowerCase())).length,
+        indexedAt: new Date()
+      }
+    }
+  );
+}
+
+/**
+ * Check a new block's parent link against the stored previous block
+ * Returns the common ancestor block number if the parent link doesn't match, null otherwise;
+ * an ancestor of block.number - 1 means our stored parent is canonical and the fetched block itself is stale
+ */
+async function detectReorg(network, block) {
+  const parent = await BlocksCollection.findOneAsync({ network, number: block.number - 1 });
+  if (!parent || parent.hash === block.parentHash) {
+    return null;
+  }
+
+  return await findCommonAncestor(network, block.number - 1);
+}
+
+/**
+ * Walk back from a mismatched block until the stored hash matches the canonical chain
+ * A block we never stored is treated as the ancestor, since nothing was derived from it
+ */
+async function findCommonAncestor(network, fromBlock) {
+  const provider = getProvider(network);
+  const lowestBlock = Math.max(GENESIS_BLOCK - 1, fromBlock - MAX_REORG_DEPTH);
+
+  for (let n = fromBlock; n >= lowestBlock; n--) {
+    const stored = await BlocksCollection.findOneAsync({ network, number: n });
+    if (!stored) {
+      return n;
+    }
+
+    const canonical = await provider.getBlock(n);
+    if (canonical && canonical.hash === stored.hash) {
+      return n;
+    }
+  }
+
+  throw new Error(`No common ancestor found within ${MAX_REORG_DEPTH} blocks of block ${fromBlock}`);
+}
+
+/**
+ * Discard everything derived from orphaned blocks (ancestor, tip] and
+ * move the checkpoint back so the canonical blocks are re-ingested
+ */
+async function rollbackReorg(network, ancestor, tip) {
+  const depth = tip - ancestor;
+  console.warn(`⚠️  [${network}] Chain reorg detected at block ${tip + 1}: depth ${depth}, common ancestor ${ancestor}`);
+
+  const removed = await rollbackBlocks(ancestor + 1, tip, network);
+  await BlocksCollection.removeAsync({ network, number: { $gt: ancestor, $lte: tip } });
+
+  await IndexerCheckpointsCollection.updateAsync(
+    { _id: network, lastProcessedBlock: { $lte: tip } },
+    { $set: { lastProcessedBlock: ancestor } }
+  );
+  await IndexerCheckpointsCollection.updateAsync(
+    { _id: network },
+    {
+      $set: {
+        lastReorg: { depth, ancestor, tip, removed, detectedAt: new Date() },
+        updatedAt: new Date()
+      },
+      $inc: { reorgCount: 1 }
+    }
+  );
+
+  console.log(`   Rolled back blocks ${ancestor + 1} to ${tip} (${removed.transactions} transactions, ${removed.addressActivity} address activities, ${removed.bridgeActivity} bridge events)`);
+}
+
+/**
+ * Number of blocks fetched in parallel (settings.hpp.indexer.concurrency)
+ */
+function getConcurrency() {
+  return Meteor.settings.hpp?.indexer?.concurrency || DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Ingest every block in [startBlock, endBlock] and keep the checkpoint up to date
+ * Blocks are fetched concurrently but ingested strictly in block order
+ * Each block's parent hash is checked against the stored previous block to catch reorgs;
+ * a stale block is fetched again, and the run throws if it stays stale
+ * onBlock({ number, totals, error }) runs after each block; returning false stops the run early
+ * Returns: { blocksScanned, blocksFailed, transactionsAdded, addressesAdded, depositsFound, withdrawalsFound }
+ */
+async function indexRange(network, startBlock, endBlock, onBlock = null) {
+  const totalBlocks = endBlock - startBlock + 1;
+  const totals = { blocksScanned: 0, blocksFailed: 0, transactionsAdded: 0, addressesAdded: 0, deploymentsFound: 0, tokenTransfersFound: 0, nftTransfersFound: 0, depositsFound: 0, withdrawalsFound: 0 };
+  const startedAt = Date.now();
+  let gapsClearedUpTo = startBlock - 1;
+  let cursor = startBlock;
+  let stopped = false;
+  let staleAttempts = 0;
+  let staleError = null;
+
+  while (cursor <= endBlock && !stopped) {
+    let restartAt = null;
+
+    for await (const { number, block, receipts, error } of fetchBlocks(cursor, endBlock, getConcurrency(), network)) {
+      let blockError = null;
+      try {
+        if (error) {
+          throw error;
+        }
+
+        // On a reorg, roll back to the common ancestor and re-ingest from there
+        const ancestor = await detectReorg(network, block);
+        if (ancestor === number - 1) {
+          if (++staleAttempts > STALE_BLOCK_RETRIES) {
+            staleError = new Error(`Block ${number} does not extend the canonical chain`);
+            stopped = true;
+          } else {
+            console.warn(`⚠️  [${network}] Block ${number} does not extend the canonical chain, fetching it again`);
+            await new Promise(resolve => setTimeout(resolve, STALE_BLOCK_RETRY_DELAY));
+            restartAt = number;
+          }
+          break;
+        }
+        staleAttempts = 0;
+        if (ancestor !== null) {
+          await rollbackReorg(network, ancestor, number - 1);
+          restartAt = ancestor + 1;
+          break;
+        }
+
+        const stats = await ingestBlock(block, network, receipts);
+        totals.transactionsAdded += stats.transactionsAdded;
+        totals.addressesAdded += stats.addressesAdded;
+        totals.deploymentsFound += stats.deploymentsFound;
+        totals.tokenTransfersFound += stats.tokenTransfersFound;
+        totals.nftTransfersFound += stats.nftTransfersFound;
+        totals.depositsFound += stats.depositsFound;
+        totals.withdrawalsFound += stats.withdrawalsFound;
+
+        await recordBlock(network, block);
+        await markBlockProcessed(network, number);
+      } catch (ingestError) {
+        totals.blocksFailed++;
+        await recordFailedBlock(network, number, ingestError);
+        blockError = ingestError;
+      }
+      totals.blocksScanned++;
+      cursor = number + 1;
+
+      if (totals.blocksScanned % PROGRESS_INTERVAL === 0) {
+        await removeFromGaps(network, gapsClearedUpTo + 1, number);
+        gapsClearedUpTo = number;
+
+        const blocksPerSecond = totals.blocksScanned / ((Date.now() - startedAt) / 1000);
+        console.log(`  [${network}] Scanned ${totals.blocksScanned}/${totalBlocks} blocks at ${blocksPerSecond.toFixed(1)} blocks/s... (${totals.transactionsAdded} transactions, ${totals.addressesAdded} addresses, ${totals.depositsFound} deposits, ${totals.withdrawalsFound} withdrawals, ${totals.blocksFailed} failed)`);
+      }
+
+      if (onBlock && (await onBlock({ number, totals, error: blockError })) === false) {
+        stopped = true;
+        break;
+      }
+    }
+
+    if (restartAt !== null) {
+      cursor = restartAt;
+    }
+  }
+
+  await removeFromGaps(network, gapsClearedUpTo + 1, cursor - 1);
+  if (staleError) {
+    throw staleError;
+  }
+  return totals;
+}
+
+/**
+ * Ingest [startBlock, endBlock] for a caller that tracks its own progress (managed backfill jobs)
+ * See indexRange() for onBlock
+ */
+export async function indexBlockRange(network, startBlock, endBlock, onBlock) {
+  return await indexRange(network, startBlock, endBlock, onBlock);
+}
+
+/**
+ * Live path: ingest every block between the checkpoint and the current head
+ * Overlapping calls (head follower, scheduler, methods) share the run already in flight
+ */
+export async function indexNewBlocks(network = getActiveNetworkId()) {
+  if (!liveRuns.has(network)) {
+    liveRuns.set(network, indexToHead(network).finally(() => liveRuns.delete(network)));
+  }
+
+  return await liveRuns.get(network);
+}
+
+/**
+ * Ingest from the checkpoint to the current head
+ * A network that was never indexed starts INITIAL_LOOKBACK blocks behind head
+ * and records everything before that as a gap for backfill to fill
+ */
+async function indexToHead(network) {
+  const provider = getProvider(network);
+  const currentBlock = await provider.getBlockNumber();
+  const checkpoint = await ensureCheckpoint(network);
+
+  let startBlock;
+  if (checkpoint.lastProcessedBlock === null) {
+    startBlock = Math.max(GENESIS_BLOCK, currentBlock - INITIAL_LOOKBACK);
+    await addGap(network, GENESIS_BLOCK, startBlock - 1);
+  } else {
+    startBlock = checkpoint.lastProcessedBlock + 1;
+  }
+
+  if (startBlock > currentBlock) {
+    console.log(`[${network}] Already up to date at block ${currentBlock}`);
+    return { blocksScanned: 0, blocksFailed: 0, transactionsAdded: 0, addressesAdded: 0, depositsFound: 0, withdrawalsFound: 0 };
+  }
+
+  console.log(`[${network}] Processing blocks ${startBlock} to ${currentBlock}...`);
+  const totals = await indexRange(network, startBlock, currentBlock);
+  console.log(`✅ [${network}] Processed ${totals.blocksScanned} new blocks, added ${totals.addressesAdded} address activities`);
+
+  return totals;
+}
+
+/**
+ * Work out which block ranges a backfill has to scan
+ * - blockCount -1: from the checkpoint to head, then every recorded gap and every failed block
+ * - blockCount >0: the last N blocks
+ * - fromBlock/toBlock: an explicit range (toBlock defaults to head)
+ * Ranges that start past the checkpoint record the skipped blocks as a gap
+ * Returns: [{ from, to }]
+ */
+export async function planBackfill(network, { blockCount, fromBlock, toBlock } = {}) {
+  const provider = getProvider(network);
+  const headBlock = await provider.getBlockNumber();
+  const checkpoint = await ensureCheckpoint(network);
+  const frontier = checkpoint.lastProcessedBlock === null ? GENESIS_BLOCK - 1 : checkpoint.lastProcessedBlock;
+
+  if (blockCount === -1) {
+    const ranges = [];
+    const startBlock = frontier + 1;
+
+    if (startBlock === GENESIS_BLOCK) {
+      console.log(`🔍 [${network}] Backfilling all KPIs from genesis (block ${GENESIS_BLOCK}) to current block ${headBlock}...`);
+    } else {
+      console.log(`📍 [${network}] Resuming backfill from block ${startBlock} to ${headBlock}...`);
+      console.log(`   (Previously processed up to block ${checkpoint.lastProcessedBlock})`);
+    }
+    if (startBlock <= headBlock) {
+      ranges.push({ from: startBlock, to: headBlock });
+    }
+
+    for (const gap of checkpoint.gaps) {
+      ranges.push({ from: gap.from, to: gap.to });
+    }
+    for (const failed of checkpoint.failedBlocks) {
+      ranges.push({ from: failed.blockNumber, to: failed.blockNumber });
+    }
+    return ranges;
+  }
+
+  let startBlock;
+  let endBlock;
+  if (blockCount > 0) {
+    // Scan last N blocks (always fresh scan, no resume)
+    startBlock = Math.max(GENESIS_BLOCK, headBlock - blockCount + 1);
+    endBlock = headBlock;
+    console.log(`🔍 [${network}] Backfilling all KPIs for last ${blockCount} blocks (${startBlock} to ${endBlock})...`);
+  } else {
+    startBlock = Math.max(GENESIS_BLOCK, fromBlock);
+    endBlock = Math.min(headBlock, toBlock ?? headBlock);
+    console.log(`🔍 [${network}] Backfilling blocks ${startBlock} to ${endBlock}...`);
+  }
+
+  // Anything between the old frontier and this range was never scanned
+  await addGap(network, frontier + 1, startBlock - 1);
+
+  return startBlock <= endBlock ? [{ from: startBlock, to: endBlock }] : [];
+}
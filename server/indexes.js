@@ -0,0 +1,172 @@
+import {
+  DailyTransactionsCollection,
+  WeeklyActiveAddressesCollection,
+  ActiveAddressesCollection,
+  TvlCollection,
+  BridgeActivityCollection,
+  RetryablesCollection,
+  WhaleEventsCollection,
+  TransactionsCollection,
+  AddressActivityCollection,
+  AddressRegistryCollection,
+  BlocksCollection,
+  ContractDeploymentsCollection,
+  TopContractsCollection,
+  TokensCollection,
+  TokenTransfersCollection,
+  TokenBalancesCollection,
+  NftTransfersCollection,
+  NftBalancesCollection,
+  BackfillJobsCollection,
+  JobRunsCollection
+} from '../imports/api/collections.js';
+import { getActiveNetworkId } from './blockchain.js';
+
+// Scheduled job runs are kept for two weeks
+const JOB_RUN_RETENTION_SECONDS = 14 * 24 * 60 * 60;
+
+/**
+ * Remove documents sharing the same natural key, keeping the first one in `sort` order
+ * Needed before a unique index can be built on data written by older, insert-only versions
+ */
+async function removeDuplicates(collection, keyFields, sort = { _id: 1 }) {
+  const pipeline = [
+    { $match: { [keyFields[0]]: { $exists: true } } },
+    { $sort: sort },
+    {
+      $group: {
+        _id: Object.fromEntries(keyFields.map(field => [field, `$${field}`])),
+        ids: { $push: '$_id' },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } }
+  ];
+
+  const duplicates = await collection.rawCollection().aggregate(pipeline, { allowDiskUse: true }).toArray();
+
+  let removed = 0;
+  for (const duplicate of duplicates) {
+    removed += await collection.removeAsync({ _id: { $in: duplicate.ids.slice(1) } });
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} duplicate documents from ${collection._name}`);
+  }
+}
+
+/**
+ * Tag documents written before multi-network support with the network they came from
+ * Those deployments only ever indexed settings.hpp.activeNetwork
+ */
+async function tagLegacyDocuments(collection) {
+  const tagged = await collection.updateAsync(
+    { network: { $exists: false } },
+    { $set: { network: getActiveNetworkId() } },
+    { multi: true }
+  );
+
+  if (tagged > 0) {
+    console.log(`🏷️  Tagged ${tagged} documents in ${collection._name} with network '${getActiveNetworkId()}'`);
+  }
+}
+
+/**
+ * Create MongoDB indexes used by ingestion and KPI queries
+ * Unique indexes on each collection's natural key make every write idempotent
+ * Called from Meteor.startup in main.js (createIndex is a no-op when the index already exists)
+ */
+export async function ensureIndexes() {
+  const networkScoped = [
+    DailyTransactionsCollection,
+    WeeklyActiveAddressesCollection,
+    TvlCollection,
+    BridgeActivityCollection,
+    TransactionsCollection,
+    AddressActivityCollection,
+    BlocksCollection
+  ];
+  for (const collection of networkScoped) {
+    await tagLegacyDocuments(collection);
+  }
+
+  // Snapshots: one per network and day (keep the latest snapshot of each day)
+  await removeDuplicates(DailyTransactionsCollection, ['network', 'date'], { timestamp: -1 });
+  await DailyTransactionsCollection.createIndexAsync({ network: 1, date: 1 }, { unique: true });
+
+  await removeDuplicates(WeeklyActiveAddressesCollection, ['network', 'date'], { timestamp: -1 });
+  await WeeklyActiveAddressesCollection.createIndexAsync({ network: 1, date: 1 }, { unique: true });
+
+  await ActiveAddressesCollection.createIndexAsync({ network: 1, date: 1 }, { unique: true });
+
+  await removeDuplicates(TvlCollection, ['network', 'timestamp']);
+  await TvlCollection.createIndexAsync({ network: 1, timestamp: 1 }, { unique: true });
+
+  // Bridge events: one per transaction, or per log for log-derived events (tx-level events use logIndex null)
+  await removeDuplicates(BridgeActivityCollection, ['network', 'txHash', 'logIndex']);
+  await BridgeActivityCollection.createIndexAsync({ network: 1, txHash: 1, logIndex: 1 }, { unique: true });
+  await BridgeActivityCollection.createIndexAsync({ network: 1, type: 1, timestamp: 1 });
+  await BridgeActivityCollection.createIndexAsync({ network: 1, timestamp: 1 });
+  await BridgeActivityCollection.createIndexAsync({ network: 1, blockNumber: 1 });
+  // Withdrawal status checks pick the least recently checked open withdrawals
+  await BridgeActivityCollection.createIndexAsync({ network: 1, type: 1, status: 1, lastCheckedAt: 1 });
+
+  await RetryablesCollection.createIndexAsync({ network: 1, messageIndex: 1 }, { unique: true });
+  await RetryablesCollection.createIndexAsync({ network: 1, status: 1, lastCheckedAt: 1 });
+  await RetryablesCollection.createIndexAsync({ network: 1, l1Timestamp: 1 });
+
+  await WhaleEventsCollection.createIndexAsync({ network: 1, txHash: 1, logIndex: 1 }, { unique: true });
+  await WhaleEventsCollection.createIndexAsync({ network: 1, timestamp: -1 });
+  await WhaleEventsCollection.createIndexAsync({ network: 1, blockNumber: 1 });
+
+  await TransactionsCollection.createIndexAsync({ network: 1, hash: 1 }, { unique: true });
+  await TransactionsCollection.createIndexAsync({ network: 1, blockNumber: 1 });
+  await TransactionsCollection.createIndexAsync({ network: 1, timestamp: 1 });
+  await TransactionsCollection.createIndexAsync({ network: 1, status: 1, timestamp: 1 });
+  await TransactionsCollection.createIndexAsync({ network: 1, to: 1, timestamp: 1 });
+
+  // Address activity: one per transaction (rows from before txHash was stored are excluded)
+  await AddressActivityCollection.createIndexAsync(
+    { network: 1, txHash: 1 },
+    { unique: true, partialFilterExpression: { txHash: { $exists: true } } }
+  );
+  await AddressActivityCollection.createIndexAsync({ network: 1, timestamp: 1, address: 1 });
+  await AddressActivityCollection.createIndexAsync({ network: 1, blockNumber: 1 });
+  await AddressActivityCollection.createIndexAsync({ network: 1, address: 1 });
+  await AddressActivityCollection.createIndexAsync({ network: 1, to: 1, timestamp: 1 });
+
+  await AddressRegistryCollection.createIndexAsync({ network: 1, address: 1 }, { unique: true });
+  await AddressRegistryCollection.createIndexAsync({ network: 1, firstSeen: 1 });
+  await AddressRegistryCollection.createIndexAsync({ network: 1, lastBlock: 1 });
+
+  await BlocksCollection.createIndexAsync({ network: 1, number: 1 }, { unique: true });
+  await BlocksCollection.createIndexAsync({ network: 1, timestamp: 1 });
+
+  await ContractDeploymentsCollection.createIndexAsync({ network: 1, txHash: 1 }, { unique: true });
+  await ContractDeploymentsCollection.createIndexAsync({ network: 1, timestamp: 1 });
+  await ContractDeploymentsCollection.createIndexAsync({ network: 1, blockNumber: -1 });
+
+  await TopContractsCollection.createIndexAsync({ network: 1, days: 1 }, { unique: true });
+
+  await TokensCollection.createIndexAsync({ network: 1, address: 1 }, { unique: true });
+
+  await TokenTransfersCollection.createIndexAsync({ network: 1, txHash: 1, logIndex: 1 }, { unique: true });
+  await TokenTransfersCollection.createIndexAsync({ network: 1, token: 1, timestamp: 1 });
+  await TokenTransfersCollection.createIndexAsync({ network: 1, timestamp: 1 });
+  await TokenTransfersCollection.createIndexAsync({ network: 1, blockNumber: 1 });
+
+  await TokenBalancesCollection.createIndexAsync({ network: 1, token: 1, holder: 1 }, { unique: true });
+  await TokenBalancesCollection.createIndexAsync({ network: 1, token: 1, balance: -1 });
+
+  await NftTransfersCollection.createIndexAsync({ network: 1, txHash: 1, logIndex: 1, batchIndex: 1 }, { unique: true });
+  await NftTransfersCollection.createIndexAsync({ network: 1, timestamp: 1 });
+  await NftTransfersCollection.createIndexAsync({ network: 1, blockNumber: 1 });
+
+  await NftBalancesCollection.createIndexAsync({ network: 1, collection: 1, tokenId: 1, holder: 1 }, { unique: true });
+  await NftBalancesCollection.createIndexAsync({ network: 1, collection: 1, balance: 1 });
+
+  await BackfillJobsCollection.createIndexAsync({ network: 1, createdAt: -1 });
+
+  await JobRunsCollection.createIndexAsync({ network: 1, job: 1, startedAt: -1 });
+  await JobRunsCollection.createIndexAsync({ startedAt: 1 }, { expireAfterSeconds: JOB_RUN_RETENTION_SECONDS });
+}
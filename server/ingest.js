@@ -0,0 +1,241 @@
+import { fetchDepositAmount } from './explorer.js';
+import { getCode } from './blockchain.js';
+import { recordAddressSeen, rollbackAddressRegistry } from './addressRegistry.js';
+import { indexTokenTransfers, rollbackTokenTransfers } from './tokens.js';
+import { indexNftTransfers, rollbackNftTransfers } from './nfts.js';
+import { parseWithdrawalLog } from './withdrawals.js';
+import { indexGatewayTransfers } from './gateways.js';
+import {
+  AddressActivityCollection,
+  BridgeActivityCollection,
+  TransactionsCollection,
+  ContractDeploymentsCollection,
+  WhaleEventsCollection
+} from '../imports/api/collections.js';
+
+// Withdrawals (L2→L1) call the ArbSys precompile
+const ARBSYS_ADDRESS = '0x0000000000000000000000000000000000000064';
+
+/**
+ * Convert an ethers BigNumber (or null) to a plain number
+ */
+function toNumber(value) {
+  return value === undefined || value === null ? null : Number(value.toString());
+}
+
+/**
+ * Get the size in bytes of the runtime bytecode deployed at an address
+ * Returns null when the code can't be fetched, so a failed lookup doesn't fail the block
+ */
+async function fetchBytecodeSize(address, blockNumber, network) {
+  try {
+    const code = await getCode(address, blockNumber, network);
+    return code && code !== '0x' ? (code.length - 2) / 2 : 0;
+  } catch (error) {
+    console.error(`[${network}] Error fetching bytecode of ${address}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Build the stored transaction record from a transaction and its receipt
+ * Wei amounts are kept as strings next to the ETH value, since they can exceed Number precision
+ */
+function buildTransactionRecord(tx, receipt, block, blockTimestamp) {
+  const valueWei = tx.value ? tx.value.toString() : '0';
+  const gasPrice = receipt?.effectiveGasPrice ?? toNumber(tx.gasPrice);
+
+  return {
+    blockNumber: block.number,
+    transactionIndex: tx.transactionIndex ?? null,
+    timestamp: blockTimestamp,
+    from: tx.from.toLowerCase(),
+    to: tx.to ? tx.to.toLowerCase() : null,
+    value: Number(valueWei) / 1e18, // Convert to ETH
+    valueWei,
+    type: tx.type ?? null,
+    nonce: tx.nonce ?? null,
+    gasLimit: toNumber(tx.gasLimit),
+    gasPrice: toNumber(tx.gasPrice),
+    maxFeePerGas: toNumber(tx.maxFeePerGas),
+    maxPriorityFeePerGas: toNumber(tx.maxPriorityFeePerGas),
+    gasUsed: receipt?.gasUsed ?? null,
+    effectiveGasPrice: receipt?.effectiveGasPrice ?? null,
+    gasUsedForL1: receipt?.gasUsedForL1 ?? null,
+    // Total fee paid and the part of it covering L1 data posting (ETH)
+    fee: receipt?.gasUsed != null && gasPrice != null ? (receipt.gasUsed * gasPrice) / 1e18 : null,
+    l1Fee: receipt?.gasUsedForL1 != null && gasPrice != null ? (receipt.gasUsedForL1 * gasPrice) / 1e18 : null,
+    status: receipt?.status ?? null,
+    // 4-byte function selector; null for plain transfers
+    selector: tx.data && tx.data.length >= 10 ? tx.data.slice(0, 10).toLowerCase() : null
+  };
+}
+
+/**
+ * Ingest a single block into the KPI collections
+ * Expects a block fetched with its transactions included (getBlockWithTransactions)
+ * and the receipts of those transactions (Map of hash -> receipt, see fetchBlocks)
+ * Stores every transaction, records address activity, contract deployments and token/NFT transfers,
+ * and detects bridge deposits/withdrawals (ETH, and tokens through the configured gateways)
+ * Every write is an upsert on the row's natural key, so a block can be ingested any number of times
+ * Rows are tagged with the network they were ingested from
+ * Returns: { transactionsAdded, addressesAdded, deploymentsFound, tokenTransfersFound, nftTransfersFound, depositsFound, withdrawalsFound }
+ * (newly inserted rows only)
+ */
+export async function ingestBlock(block, network, receipts = new Map()) {
+  const stats = { transactionsAdded: 0, addressesAdded: 0, deploymentsFound: 0, tokenTransfersFound: 0, nftTransfersFound: 0, depositsFound: 0, withdrawalsFound: 0 };
+
+  if (!block.transactions || block.transactions.length === 0) {
+    return stats;
+  }
+
+  const blockTimestamp = block.timestamp ? new Date(block.timestamp * 1000) : new Date();
+
+  // Drop rows written before activity was keyed by txHash, so re-ingesting legacy ranges can't double count
+  await AddressActivityCollection.removeAsync({ network, blockNumber: block.number, txHash: { $exists: false } });
+
+  for (const tx of block.transactions) {
+    if (!tx.from) continue;
+
+    // 0. Store the full transaction record
+    const receipt = receipts.get(tx.hash);
+    const transaction = await TransactionsCollection.upsertAsync(
+      { network, hash: tx.hash },
+      { $set: buildTransactionRecord(tx, receipt, block, blockTimestamp) }
+    );
+    if (transaction.insertedId) {
+      stats.transactionsAdded++;
+    }
+
+    // 1. Record address activity (record everything, system addresses are filtered at query time)
+    const activity = await AddressActivityCollection.upsertAsync(
+      { network, txHash: tx.hash },
+      {
+        $set: {
+          address: tx.from.toLowerCase(),
+          to: tx.to ? tx.to.toLowerCase() : null,
+          timestamp: blockTimestamp,
+          blockNumber: block.number
+        }
+      }
+    );
+    if (activity.insertedId) {
+      stats.addressesAdded++;
+    }
+    await recordAddressSeen(network, tx.from.toLowerCase(), blockTimestamp, block.number);
+
+    // 1b. Record contract deployments (creation transactions have no `to`; the receipt names the new contract)
+    if (!tx.to && receipt?.contractAddress && receipt.status === 1) {
+      // Bytecode never changes after deployment, so only fetch it once
+      const existing = await ContractDeploymentsCollection.findOneAsync({ network, txHash: tx.hash });
+      const bytecodeSize = existing?.bytecodeSize ?? await fetchBytecodeSize(receipt.contractAddress, block.number, network);
+
+      const deployment = await ContractDeploymentsCollection.upsertAsync(
+        { network, txHash: tx.hash },
+        {
+          $set: {
+            address: receipt.contractAddress,
+            deployer: tx.from.toLowerCase(),
+            blockNumber: block.number,
+            timestamp: blockTimestamp,
+            bytecodeSize
+          }
+        }
+      );
+      if (deployment.insertedId) {
+        stats.deploymentsFound++;
+      }
+    }
+
+    // 1c. Index ERC-20 and NFT transfers from the receipt logs
+    if (receipt) {
+      stats.tokenTransfersFound += await indexTokenTransfers(receipt, block, blockTimestamp, network);
+      stats.nftTransfersFound += await indexNftTransfers(receipt, block, blockTimestamp, network);
+    }
+
+    // 2. Detect bridge deposits (L1→L2)
+    // Arbitrum Orbit uses type 105 for L1→L2 deposits
+    if (tx.type === 105) {
+      // Reuse a previously fetched amount instead of asking the explorer again
+      const existing = await BridgeActivityCollection.findOneAsync({ network, txHash: tx.hash, logIndex: null });
+      const depositAmount = existing?.value > 0 ? existing.value : await fetchDepositAmount(tx.hash, network);
+
+      const deposit = await BridgeActivityCollection.upsertAsync(
+        { network, txHash: tx.hash, logIndex: null },
+        {
+          $set: {
+            type: 'deposit',
+            from: tx.from.toLowerCase(),
+            to: tx.to ? tx.to.toLowerCase() : null,
+            value: depositAmount, // Fetched from internal transactions
+            timestamp: blockTimestamp,
+            blockNumber: block.number,
+            l2TxHash: tx.hash
+          }
+        }
+      );
+      if (deposit.insertedId) {
+        stats.depositsFound++;
+      }
+    }
+
+    // 3. Detect withdrawals (L2→L1)
+    // The L2ToL1Tx event gives the outbox position used to follow the withdrawal on L1 (null when there is none)
+    if (tx.to && tx.to.toLowerCase() === ARBSYS_ADDRESS && tx.value && Number(tx.value) > 0) {
+      const lifecycle = receipt ? parseWithdrawalLog(receipt) || { position: null } : {};
+      const withdrawal = await BridgeActivityCollection.upsertAsync(
+        { network, txHash: tx.hash, logIndex: null },
+        {
+          $set: {
+            type: 'withdrawal',
+            from: tx.from.toLowerCase(),
+            to: ARBSYS_ADDRESS,
+            value: Number(tx.value) / 1e18, // Convert to ETH
+            timestamp: blockTimestamp,
+            blockNumber: block.number,
+            l2TxHash: tx.hash,
+            ...lifecycle
+          },
+          // Advanced by updateWithdrawalStatuses, so re-ingesting doesn't reset it
+          $setOnInsert: { status: 'initiated' }
+        }
+      );
+      if (withdrawal.insertedId) {
+        stats.withdrawalsFound++;
+      }
+    }
+
+    // 4. Detect token deposits/withdrawals through the configured gateways
+    if (receipt) {
+      const gatewayStats = await indexGatewayTransfers(receipt, block, blockTimestamp, network);
+      stats.depositsFound += gatewayStats.depositsFound;
+      stats.withdrawalsFound += gatewayStats.withdrawalsFound;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Remove every row derived from a network's blocks in [fromBlock, toBlock]
+ * Used by the indexer to discard orphaned blocks after a chain reorg
+ * Returns: { transactions, addressActivity, bridgeActivity, contractDeployments, tokenTransfers, nftTransfers, whaleEvents, addressRegistry }
+ * (rows removed or recomputed per collection)
+ */
+export async function rollbackBlocks(fromBlock, toBlock, network) {
+  const range = { network, blockNumber: { $gte: fromBlock, $lte: toBlock } };
+
+  const removed = {
+    transactions: await TransactionsCollection.removeAsync(range),
+    addressActivity: await AddressActivityCollection.removeAsync(range),
+    bridgeActivity: await BridgeActivityCollection.removeAsync(range),
+    contractDeployments: await ContractDeploymentsCollection.removeAsync(range),
+    tokenTransfers: await rollbackTokenTransfers(fromBlock, toBlock, network),
+    nftTransfers: await rollbackNftTransfers(fromBlock, toBlock, network),
+    whaleEvents: await WhaleEventsCollection.removeAsync(range)
+  };
+
+  // First/last seen may have come from the orphaned blocks
+  removed.addressRegistry = await rollbackAddressRegistry(fromBlock, network);
+  return removed;
+}
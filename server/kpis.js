@@ -1,36 +1,31 @@
 import { Meteor } from 'meteor/meteor';
-import { getProvider, getBlock } from './blockchain.js';
+import { ethers } from 'ethers';
+import { getActiveNetworkId, getNetworkConfig, getL1Provider } from './blockchain.js';
+import { indexNewBlocks } from './indexer.js';
+import { createBackfillJob, runBackfillJob, getActiveBackfillJob } from './backfillJobs.js';
+import { fetchDepositAmount } from './explorer.js';
+import { SYSTEM_ADDRESSES } from './systemAddresses.js';
+import { getTokenPrice, sumTokenVolumeUSD } from './gateways.js';
+import { getTokenMetadata } from './tokens.js';
+import { getTransactionOutcomes } from './txStatus.js';
 import {
   DailyTransactionsCollection,
   WeeklyActiveAddressesCollection,
+  ActiveAddressesCollection,
   AddressActivityCollection,
   TvlCollection,
   BridgeActivityCollection
 } from '../imports/api/collections.js';
 
+const ERC20_BALANCE_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+];
+
 // Cache ETH price for 5 minutes to avoid rate limiting
 let ethPriceCache = { price: null, timestamp: 0 };
 const PRICE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-/**
- * Get active network configuration
- */
-function getActiveNetworkConfig() {
-  const hppSettings = Meteor.settings.hpp;
-  if (!hppSettings) {
-    throw new Error('HPP configuration not found in settings');
-  }
-
-  const activeNetwork = hppSettings.activeNetwork || 'sepolia';
-  const config = hppSettings.networks?.[activeNetwork];
-
-  if (!config) {
-    throw new Error(`Network configuration for '${activeNetwork}' not found in settings`);
-  }
-
-  return config;
-}
-
 /**
  * Get current ETH price in USD from CoinGecko
  * Uses 5-minute cache to avoid rate limiting
@@ -76,66 +71,30 @@ export async function getEthPrice() {
   }
 }
 
-/**
- * Fetch deposit amount from internal transactions for a Type 105 transaction
- * Returns the value from the first internal transfer from 0x0000...0000
- */
-async function fetchDepositAmount(txHash) {
-  try {
-    const config = getActiveNetworkConfig();
-    const explorerApiUrl = `${config.blockExplorer}/api/v2`;
-    const url = `${explorerApiUrl}/transactions/${txHash}/internal-transactions`;
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      console.error(`Failed to fetch internal txs for ${txHash}: ${response.status}`);
-      return 0;
-    }
-
-    const data = await response.json();
-
-    if (!data.items || data.items.length === 0) {
-      return 0;
-    }
-
-    // Find the first internal transfer from 0x0000...0000 (canonical deposit amount)
-    const depositTransfer = data.items.find(tx =>
-      tx.from.hash === '0x0000000000000000000000000000000000000000'
-    );
-
-    if (depositTransfer && depositTransfer.value) {
-      // Convert from wei string to ETH number
-      const valueInWei = BigInt(depositTransfer.value);
-      const valueInEth = Number(valueInWei) / 1e18;
-      return valueInEth;
-    }
-
-    return 0;
-  } catch (error) {
-    console.error(`Error fetching internal txs for ${txHash}:`, error.message);
-    return 0;
-  }
-}
-
 /**
  * Calculate transactions in last 24 hours from stored activity data
- * Counts transactions recorded in AddressActivityCollection in last 24h
+ * Counts transactions recorded in AddressActivityCollection in last 24h,
+ * split into successful and failed (reverted) ones by receipt status
+ * Returns: { count, successful, failed, failureRate (percent) }
  */
-export async function calculate24hTransactions() {
+export async function calculate24hTransactions(network = getActiveNetworkId()) {
   try {
     const now = new Date();
     const twentyFourHoursAgo = new Date(now - 24 * 60 * 60 * 1000);
 
     // Count all address activities (transactions) in last 24h
     const count = await AddressActivityCollection.find({
+      network,
       timestamp: { $gte: twentyFourHoursAgo }
     }).countAsync();
 
-    console.log(`✅ 24h transactions: ${count}`);
-    return { count };
+    const outcomes = await getTransactionOutcomes(twentyFourHoursAgo, network);
+
+    console.log(`✅ [${network}] 24h transactions: ${count} (${outcomes.failed} failed)`);
+    return { count, ...outcomes };
   } catch (error) {
     console.error('Error calculating 24h transactions:', error.message);
-    return { count: 0 };
+    throw error;
   }
 }
 
@@ -143,7 +102,7 @@ export async function calculate24hTransactions() {
  * Calculate daily transactions from stored activity data
  * Counts transactions recorded in AddressActivityCollection for today
  */
-export async function calculateDailyTransactions() {
+export async function calculateDailyTransactions(network = getActiveNetworkId()) {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -153,48 +112,58 @@ export async function calculateDailyTransactions() {
 
     // Count all address activities (transactions) for today
     const count = await AddressActivityCollection.find({
+      network,
       timestamp: { $gte: today, $lt: tomorrow }
     }).countAsync();
 
-    console.log(`✅ Daily transactions: ${count}`);
+    console.log(`✅ [${network}] Daily transactions: ${count}`);
     return { count };
   } catch (error) {
     console.error('Error calculating daily transactions:', error.message);
-    return { count: 0 };
+    throw error;
   }
 }
 
 /**
- * Get or create daily transactions record for today
- * Fast version - calculates from existing activity data
+ * Recalculate today's transaction count and store it as today's snapshot
+ * Throws if the count can't be calculated or stored
  */
-export async function getTodayTransactions() {
+async function storeTodayTransactions(network) {
   const today = new Date();
   today.setHours(0, 0, 0, 0);
 
-  try {
-    // Calculate current count from existing collection data
-    const stats = await calculateDailyTransactions();
+  // Calculate current count from existing collection data
+  const stats = await calculateDailyTransactions(network);
 
-    // Store snapshot in database (historical time series)
-    await DailyTransactionsCollection.insertAsync({
-      date: today,
-      count: stats.count,
-      timestamp: new Date(),
-      updatedAt: new Date()
-    });
+  // Store snapshot in database (one record per day, refreshed on each run)
+  await DailyTransactionsCollection.upsertAsync(
+    { network, date: today },
+    { $set: { count: stats.count, timestamp: new Date(), updatedAt: new Date() } }
+  );
 
-    return {
-      date: today,
-      count: stats.count,
-      updatedAt: new Date()
-    };
+  return {
+    date: today,
+    count: stats.count,
+    updatedAt: new Date()
+  };
+}
+
+/**
+ * Get or create daily transactions record for today
+ * Fast version - calculates from existing activity data, falling back to the stored snapshot
+ */
+export async function getTodayTransactions(network = getActiveNetworkId()) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  try {
+    return await storeTodayTransactions(network);
   } catch (error) {
     console.error('Error getting daily transactions:', error.message);
 
     // Fallback to most recent cached data for today if calculation fails
     const record = await DailyTransactionsCollection.findOneAsync(
-      { date: today },
+      { network, date: today },
       { sort: { timestamp: -1 } }
     );
     if (record) {
@@ -212,144 +181,70 @@ export async function getTodayTransactions() {
 
 /**
  * Update daily transaction count from blockchain data
- * Just calls getTodayTransactions() to recalculate and store
+ * Recalculates and stores today's snapshot like getTodayTransactions(), but throws instead of falling back
  */
-export async function updateDailyTransactionCount() {
+export async function updateDailyTransactionCount(network = getActiveNetworkId()) {
   try {
-    const result = await getTodayTransactions();
+    const result = await storeTodayTransactions(network);
     console.log(`📊 Updated daily transactions: ${result.count}`);
     return result.count;
   } catch (error) {
     console.error('Error updating daily transaction count:', error.message);
-    return 0;
+    throw error;
   }
 }
 
-// System addresses to exclude from KPI calculations (ArbOS, null address, etc.)
-// Note: We record all addresses in the database, but filter them out during aggregation queries
-const SYSTEM_ADDRESSES = [
-  '0x0000000000000000000000000000000000000000', // Null address
-  '0x0000000000000000000000000000000000000001', // ArbOS precompile
-  '0x0000000000000000000000000000000000000002', // ArbRetryableTx precompile (old)
-  '0x0000000000000000000000000000000000000064', // ArbRetryableTx precompile
-  '0x0000000000000000000000000000000000000065', // ArbGasInfo precompile
-  '0x0000000000000000000000000000000000000066', // ArbAddressTable precompile
-  '0x0000000000000000000000000000000000000067', // ArbStatistics precompile
-  '0x0000000000000000000000000000000000000068', // ArbOwner precompile
-  '0x000000000000000000000000000000000000006b', // ArbAggregator precompile
-  '0x000000000000000000000000000000000000006c', // ArbFunctionTable precompile
-  '0x000000000000000000000000000000000000006d', // ArbosTest precompile
-  '0x000000000000000000000000000000000000006e', // ArbSys precompile
-  '0x000000000000000000000000000000000000006f', // ArbInfo precompile
-  '0x0000000000000000000000000000000000000070', // ArbOwnerPublic precompile
-  '0x0000000000000000000000000000000000000071', // ArbDebug precompile
-  '0x0000000000000000000000000000000000000072', // ArbWasm precompile
-  '0x0000000000000000000000000000000000000073', // ArbWasmCache precompile
-  '0x00000000000000000000000000000000000a4b05', // NodeInterface precompile
-];
-
 /**
  * Process new blocks incrementally and store address activity
+ * Delegates to the indexer, which resumes from the network's checkpoint
  * Returns: number of new blocks processed
  */
-export async function processNewBlocks() {
+export async function processNewBlocks(network = getActiveNetworkId()) {
   try {
-    const provider = getProvider();
-    const currentBlock = await provider.getBlockNumber();
-
-    // Get last processed block from collection
-    const lastActivity = await AddressActivityCollection.findOneAsync(
-      {},
-      { sort: { blockNumber: -1 }, limit: 1 }
-    );
+    const result = await indexNewBlocks(network);
+    return result.blocksScanned;
+  } catch (error) {
+    console.error('Error processing new blocks:', error.message);
+    throw error;
+  }
+}
 
-    const startBlock = lastActivity ? lastActivity.blockNumber + 1 : Math.max(0, currentBlock - 100);
+// Active address series stored in each daily snapshot: field -> window length in days
+const ACTIVE_ADDRESS_WINDOWS = { dau: 1, wau: 7, mau: 30 };
 
-    if (startBlock > currentBlock) {
-      console.log('Already up to date at block', currentBlock);
-      return 0;
-    }
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    console.log(`Processing blocks ${startBlock} to ${currentBlock}...`);
-
-    let addressesAdded = 0;
-    for (let i = startBlock; i <= currentBlock; i++) {
-      const block = await getBlock(i);
-
-      if (block && block.transactions) {
-        const blockTimestamp = block.timestamp ? new Date(block.timestamp * 1000) : new Date();
-
-        for (const txHash of block.transactions) {
-          try {
-            const tx = await provider.getTransaction(txHash);
-            if (tx && tx.from) {
-              // Insert address activity record (record everything)
-              await AddressActivityCollection.insertAsync({
-                address: tx.from.toLowerCase(),
-                timestamp: blockTimestamp,
-                blockNumber: i
-              });
-              addressesAdded++;
-
-              // Detect bridge deposits (L1→L2)
-              // Arbitrum Orbit uses type 105 for L1→L2 deposits
-              if (tx.type === 105) {
-                // For deposit transactions, fetch the actual value from internal transactions
-                try {
-                  const receipt = await provider.getTransactionReceipt(txHash);
-
-                  // Fetch deposit amount from internal transactions
-                  const depositAmount = await fetchDepositAmount(txHash);
-
-                  await BridgeActivityCollection.insertAsync({
-                    txHash: txHash,
-                    type: 'deposit',
-                    from: tx.from.toLowerCase(),
-                    to: tx.to ? tx.to.toLowerCase() : null,
-                    value: depositAmount, // Fetched from internal transactions
-                    timestamp: blockTimestamp,
-                    blockNumber: i,
-                    l2TxHash: txHash
-                  });
-
-                  depositsDetected++;
-                } catch (receiptError) {
-                  // Continue even if receipt fetch fails
-                }
-              }
-
-              // Detect withdrawals (L2→L1)
-              // Withdrawals call the ArbSys precompile
-              const ARBSYS_ADDRESS = '0x0000000000000000000000000000000000000064';
-              if (tx.to && tx.to.toLowerCase() === ARBSYS_ADDRESS && tx.value && Number(tx.value) > 0) {
-                await BridgeActivityCollection.insertAsync({
-                  txHash: txHash,
-                  type: 'withdrawal',
-                  from: tx.from.toLowerCase(),
-                  to: ARBSYS_ADDRESS,
-                  value: Number(tx.value) / 1e18, // Convert to ETH
-                  timestamp: blockTimestamp,
-                  blockNumber: i,
-                  l2TxHash: txHash
-                });
-              }
-            }
-          } catch (txError) {
-            continue;
-          }
-        }
+/**
+ * Count unique addresses active in [from, to), excluding system addresses
+ */
+async function countActiveAddresses(from, to, network) {
+  const pipeline = [
+    { $match: {
+        network,
+        timestamp: { $gte: from, $lt: to },
+        address: { $nin: SYSTEM_ADDRESSES }
       }
+    },
+    { $group: { _id: '$address' } },
+    { $count: 'uniqueAddresses' }
+  ];
 
-      if ((i - startBlock + 1) % 100 === 0) {
-        console.log(`  Processed ${i - startBlock + 1} blocks...`);
-      }
-    }
+  const result = await AddressActivityCollection.rawCollection().aggregate(pipeline).toArray();
+  return result.length > 0 ? result[0].uniqueAddresses : 0;
+}
 
-    console.log(`✅ Processed ${currentBlock - startBlock + 1} new blocks, added ${addressesAdded} address activities`);
-    return currentBlock - startBlock + 1;
+/**
+ * Calculate active addresses over a trailing window of any length ending now
+ * Returns: { count }
+ */
+export async function calculateActiveAddresses(windowDays, network = getActiveNetworkId()) {
+  try {
+    const now = new Date();
+    const count = await countActiveAddresses(new Date(now.getTime() - windowDays * DAY_MS), now, network);
+    return { count };
   } catch (error) {
-    console.error('Error processing new blocks:', error.message);
-    return 0;
+    console.error(`Error calculating ${windowDays}-day active addresses:`, error.message);
+    return { count: 0 };
   }
 }
 
@@ -358,31 +253,59 @@ export async function processNewBlocks() {
  * Simply counts unique addresses in last 7 days
  * Returns: { count }
  */
-export async function calculateWeeklyActiveAddresses() {
-  try {
-    // Query for addresses active in last 7 days
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-
-    // Use MongoDB aggregation to count distinct addresses (excluding system addresses)
-    const pipeline = [
-      { $match: {
-          timestamp: { $gte: sevenDaysAgo },
-          address: { $nin: SYSTEM_ADDRESSES }
-        }
-      },
-      { $group: { _id: '$address' } },
-      { $count: 'uniqueAddresses' }
-    ];
+export async function calculateWeeklyActiveAddresses(network = getActiveNetworkId()) {
+  const stats = await calculateActiveAddresses(7, network);
+  console.log(`✅ [${network}] Weekly active addresses: ${stats.count}`);
+  return stats;
+}
 
-    const result = await AddressActivityCollection.rawCollection().aggregate(pipeline).toArray();
-    const count = result.length > 0 ? result[0].uniqueAddresses : 0;
+/**
+ * Compute and store the DAU/WAU/MAU snapshot of one day
+ * Each window covers the N days up to and including `date` (so today's snapshot is partial)
+ * Stickiness is DAU/MAU in percent
+ * Returns: { date, dau, wau, mau, stickiness }
+ */
+export async function updateActiveAddressSnapshot(date = new Date(), network = getActiveNetworkId()) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(day.getTime() + DAY_MS);
+
+  const snapshot = { date: day };
+  for (const [field, windowDays] of Object.entries(ACTIVE_ADDRESS_WINDOWS)) {
+    snapshot[field] = await countActiveAddresses(new Date(dayEnd.getTime() - windowDays * DAY_MS), dayEnd, network);
+  }
+  snapshot.stickiness = snapshot.mau > 0 ? (snapshot.dau / snapshot.mau) * 100 : 0;
+
+  await ActiveAddressesCollection.upsertAsync(
+    { network, date: day },
+    {
+      $set: {
+        dau: snapshot.dau,
+        wau: snapshot.wau,
+        mau: snapshot.mau,
+        stickiness: snapshot.stickiness,
+        timestamp: new Date(day.getTime() + 12 * 60 * 60 * 1000), // Noon of that day
+        updatedAt: new Date()
+      }
+    }
+  );
 
-    console.log(`✅ Weekly active addresses: ${count}`);
+  return snapshot;
+}
 
-    return { count };
+/**
+ * Refresh the active address snapshots of yesterday and today
+ * Yesterday is included so its snapshot is completed after midnight
+ */
+export async function updateActiveAddresses(network = getActiveNetworkId()) {
+  try {
+    await updateActiveAddressSnapshot(new Date(Date.now() - DAY_MS), network);
+    const snapshot = await updateActiveAddressSnapshot(new Date(), network);
+    console.log(`✅ [${network}] Active addresses: DAU ${snapshot.dau}, WAU ${snapshot.wau}, MAU ${snapshot.mau} (stickiness ${snapshot.stickiness.toFixed(1)}%)`);
+    return snapshot;
   } catch (error) {
-    console.error('Error calculating weekly active addresses:', error.message);
-    return { count: 0 };
+    console.error('Error updating active addresses:', error.message);
+    throw error;
   }
 }
 
@@ -390,13 +313,14 @@ export async function calculateWeeklyActiveAddresses() {
  * Get detailed list of weekly active addresses with activity stats
  * Returns: Array of { address, txCount, firstSeen, lastSeen }
  */
-export async function getWeeklyActiveAddressDetails() {
+export async function getWeeklyActiveAddressDetails(network = getActiveNetworkId()) {
   try {
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
     // Aggregate address activity with stats (excluding system addresses)
     const pipeline = [
       { $match: {
+          network,
           timestamp: { $gte: sevenDaysAgo },
           address: { $nin: SYSTEM_ADDRESSES }
         }
@@ -433,15 +357,15 @@ export async function getWeeklyActiveAddressDetails() {
  * Get or update weekly active addresses record
  * Fast version - just returns cached data and calculates from existing records
  */
-export async function getWeeklyActiveAddresses() {
+export async function getWeeklyActiveAddresses(network = getActiveNetworkId()) {
   const today = new Date();
   today.setHours(0, 0, 0, 0);
 
   try {
     // Calculate current count from existing collection data
-    const stats = await calculateWeeklyActiveAddresses();
+    const stats = await calculateWeeklyActiveAddresses(network);
 
-    // Store snapshot in database (historical time series)
+    // Store snapshot in database (one record per day, refreshed on each run)
     const record = {
       date: today,
       count: stats.count,
@@ -449,7 +373,10 @@ export async function getWeeklyActiveAddresses() {
       updatedAt: new Date()
     };
 
-    await WeeklyActiveAddressesCollection.insertAsync(record);
+    await WeeklyActiveAddressesCollection.upsertAsync(
+      { network, date: today },
+      { $set: { count: record.count, timestamp: record.timestamp, updatedAt: record.updatedAt } }
+    );
 
     return record;
   } catch (error) {
@@ -457,7 +384,7 @@ export async function getWeeklyActiveAddresses() {
 
     // Fallback to most recent cached data
     const record = await WeeklyActiveAddressesCollection.findOneAsync(
-      {},
+      { network },
       { sort: { timestamp: -1 } }
     );
 
@@ -477,16 +404,16 @@ export async function getWeeklyActiveAddresses() {
  * Update weekly active addresses by processing new blocks
  * This is the slow version that should be called by background jobs only
  */
-export async function updateWeeklyActiveAddresses() {
+export async function updateWeeklyActiveAddresses(network = getActiveNetworkId()) {
   try {
     // Process any new blocks first
-    await processNewBlocks();
+    await processNewBlocks(network);
 
     // Then get the updated count
-    return await getWeeklyActiveAddresses();
+    return await getWeeklyActiveAddresses(network);
   } catch (error) {
     console.error('Error updating weekly active addresses:', error.message);
-    return await getWeeklyActiveAddresses(); // Return cached data on error
+    throw error;
   }
 }
 
@@ -494,11 +421,11 @@ export async function updateWeeklyActiveAddresses() {
  * Get Total Value Locked (TVL) from cached data
  * Fast version - just returns latest snapshot from database
  */
-export async function getTVL() {
+export async function getTVL(network = getActiveNetworkId()) {
   try {
     // Get latest TVL snapshot from database
     const record = await TvlCollection.findOneAsync(
-      {},
+      { network },
       { sort: { timestamp: -1 } }
     );
 
@@ -506,6 +433,7 @@ export async function getTVL() {
       return {
         tvlInETH: record.tvlInETH,
         tvlInUSD: record.tvlInUSD,
+        assets: record.assets || [],
         updatedAt: record.updatedAt
       };
     }
@@ -514,6 +442,7 @@ export async function getTVL() {
     return {
       tvlInETH: 0,
       tvlInUSD: null,
+      assets: [],
       updatedAt: new Date()
     };
   } catch (error) {
@@ -521,85 +450,126 @@ export async function getTVL() {
     return {
       tvlInETH: 0,
       tvlInUSD: null,
+      assets: [],
       updatedAt: new Date()
     };
   }
 }
 
 /**
- * Update Total Value Locked (TVL) by querying L1 bridge
- * Slow version - queries L1 bridge contract (should be called by background jobs only)
+ * Get the L1 escrow contracts and assets whose balances make up a network's TVL
+ * Configured via l1.escrows (addresses) and l1.tvlAssets ([{ symbol, address }], address omitted for ETH);
+ * defaults to the ETH held by l1.bridgeContract
+ * Returns: { escrows, assets } (escrows without a valid address are skipped)
  */
-export async function updateTVL() {
-  try {
-    const { ethers } = await import('ethers');
+function getTvlConfig(l1Config) {
+  const escrows = (l1Config.escrows?.length ? l1Config.escrows : [l1Config.bridgeContract])
+    .filter(address => ethers.utils.isAddress(address || ''));
+  const assets = l1Config.tvlAssets?.length ? l1Config.tvlAssets : [{ symbol: 'ETH' }];
+
+  return { escrows, assets };
+}
+
+/**
+ * Sum one asset's balance across the escrow contracts
+ * Returns: amount in asset units
+ */
+async function getEscrowedAmount(asset, escrows, l1Provider) {
+  if (!asset.address) {
+    const balances = await Promise.all(escrows.map(escrow => l1Provider.getBalance(escrow)));
+    return balances.reduce((sum, balance) => sum + Number(balance) / 1e18, 0);
+  }
+
+  const token = new ethers.Contract(asset.address, ERC20_BALANCE_ABI, l1Provider);
+  const decimals = asset.decimals ?? await token.decimals();
+  const balances = await Promise.all(escrows.map(escrow => token.balanceOf(escrow)));
+  return balances.reduce((sum, balance) => sum + Number(ethers.utils.formatUnits(balance, decimals)), 0);
+}
 
-    // Get L1 configuration from active network
-    const networkConfig = getActiveNetworkConfig();
+/**
+ * Update TVL from the ETH and ERC-20 balances held by the L1 escrow contracts
+ * Slow version - queries L1 and price APIs, should be called by background jobs only
+ * Stores the per-asset breakdown with the snapshot; tvlInETH is the ETH held and tvlInUSD the total of priced assets
+ * Returns: { tvlInETH, tvlInUSD, assets: [{ symbol, address, amount, priceUSD, valueUSD }], updatedAt }
+ */
+export async function updateTVL(network = getActiveNetworkId()) {
+  try {
+    // Get L1 configuration for this network
+    const networkConfig = getNetworkConfig(network);
     const l1Config = networkConfig.l1;
-    if (!l1Config || !l1Config.bridgeContract || !l1Config.rpcEndpoint) {
-      console.error('L1 configuration missing in settings');
-      return await getTVL(); // Return cached data on error
+    const { escrows, assets: configuredAssets } = l1Config ? getTvlConfig(l1Config) : { escrows: [] };
+    if (escrows.length === 0) {
+      throw new Error('L1 configuration missing in settings');
     }
 
-    // Connect to L1 (Sepolia) - ethers v5 syntax
-    const l1Provider = new ethers.providers.JsonRpcProvider(l1Config.rpcEndpoint);
+    // L1 provider fails over across the configured L1 endpoints
+    const l1Provider = getL1Provider(network);
 
-    // Query ETH balance of bridge contract on L1
-    const bridgeBalance = await l1Provider.getBalance(l1Config.bridgeContract);
+    const assets = [];
+    for (const asset of configuredAssets) {
+      const amount = await getEscrowedAmount(asset, escrows, l1Provider);
+      const priceUSD = asset.address ? await getTokenPrice(asset.symbol) : await getEthPrice();
 
-    // Convert from wei to ETH
-    const tvlInETH = Number(bridgeBalance) / 1e18;
+      assets.push({
+        symbol: asset.symbol,
+        address: asset.address ? asset.address.toLowerCase() : null,
+        amount,
+        priceUSD,
+        valueUSD: priceUSD === null ? null : amount * priceUSD
+      });
+    }
 
-    // Get current ETH price and calculate USD value
-    const ethPrice = await getEthPrice();
-    const tvlInUSD = tvlInETH * ethPrice;
+    const tvlInETH = assets.filter(asset => !asset.address).reduce((sum, asset) => sum + asset.amount, 0);
+    const tvlInUSD = assets.reduce((sum, asset) => sum + (asset.valueUSD || 0), 0);
 
-    console.log(`✅ Bridge TVL: ${tvlInETH.toFixed(4)} ETH ($${tvlInUSD.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}) (locked in L1 bridge)`);
+    const composition = assets.map(asset => `${asset.amount.toFixed(4)} ${asset.symbol}`).join(', ');
+    console.log(`✅ [${network}] Bridge TVL: $${tvlInUSD.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})} (${composition} locked in ${escrows.length} L1 escrow${escrows.length === 1 ? '' : 's'})`);
 
-    // Store snapshot in database
-    await TvlCollection.insertAsync({
-      timestamp: new Date(),
-      tvlInETH,
-      tvlInUSD,
-      updatedAt: new Date()
-    });
+    // Store snapshot in database (keyed by snapshot time)
+    const updatedAt = new Date();
+    await TvlCollection.upsertAsync(
+      { network, timestamp: updatedAt },
+      { $set: { tvlInETH, tvlInUSD, assets, updatedAt } }
+    );
 
     return {
       tvlInETH,
       tvlInUSD,
-      updatedAt: new Date()
+      assets,
+      updatedAt
     };
   } catch (error) {
     console.error('Error updating TVL:', error.message);
-    return await getTVL(); // Return cached data on error
+    throw error;
   }
 }
 
 /**
  * @deprecated Use getTVL() for fast cached data or updateTVL() for background updates
  */
-export async function calculateTVL() {
-  return await getTVL();
+export async function calculateTVL(network = getActiveNetworkId()) {
+  return await getTVL(network);
 }
 
 /**
  * Calculate bridge activity from actual bridge transactions
  * Returns: { deposits, withdrawals, netFlow, totalActivity }
  */
-export async function calculateBridgeActivityFromTransactions() {
+export async function calculateBridgeActivityFromTransactions(network = getActiveNetworkId()) {
   try {
     const now = new Date();
     const twentyFourHoursAgo = new Date(now - 24 * 60 * 60 * 1000);
 
     // Get deposits in last 24h
     const deposits = await BridgeActivityCollection.find({
+      network,
       type: 'deposit',
       timestamp: { $gte: twentyFourHoursAgo }
     }).fetchAsync();
 
     // Get withdrawals in last 24h
     const withdrawals = await BridgeActivityCollection.find({
+      network,
       type: 'withdrawal',
       timestamp: { $gte: twentyFourHoursAgo }
     }).fetchAsync();
@@ -609,7 +579,7 @@ export async function calculateBridgeActivityFromTransactions() {
     const netFlow = totalDeposits - totalWithdrawals;
     const totalActivity = totalDeposits + totalWithdrawals;
 
-    console.log(`✅ Bridge activity (24h): ${deposits.length} deposits (${totalDeposits.toFixed(4)} ETH), ${withdrawals.length} withdrawals (${totalWithdrawals.toFixed(4)} ETH)`);
+    console.log(`✅ [${network}] Bridge activity (24h): ${deposits.length} deposits (${totalDeposits.toFixed(4)} ETH), ${withdrawals.length} withdrawals (${totalWithdrawals.toFixed(4)} ETH)`);
 
     return {
       deposits: totalDeposits,
@@ -621,34 +591,29 @@ export async function calculateBridgeActivityFromTransactions() {
     };
   } catch (error) {
     console.error('Error calculating bridge activity from transactions:', error.message);
-    return {
-      deposits: 0,
-      withdrawals: 0,
-      netFlow: 0,
-      totalActivity: 0,
-      depositCount: 0,
-      withdrawalCount: 0
-    };
+    throw error;
   }
 }
 
 /**
  * Calculate 24h bridge volume in USD
- * Returns total value flowing through the bridge (deposits + withdrawals)
+ * Returns total value flowing through the bridge (deposits + withdrawals), ETH plus priced gateway tokens
  */
-export async function calculateBridgeVolume() {
+export async function calculateBridgeVolume(network = getActiveNetworkId()) {
   try {
     const now = new Date();
     const twentyFourHoursAgo = new Date(now - 24 * 60 * 60 * 1000);
 
     // Get withdrawals in last 24h (these have actual ETH values)
     const withdrawals = await BridgeActivityCollection.find({
+      network,
       type: 'withdrawal',
       timestamp: { $gte: twentyFourHoursAgo }
     }).fetchAsync();
 
     // Get deposits in last 24h (now includes actual ETH values from internal txs)
     const deposits = await BridgeActivityCollection.find({
+      network,
       type: 'deposit',
       timestamp: { $gte: twentyFourHoursAgo }
     }).fetchAsync();
@@ -664,9 +629,10 @@ export async function calculateBridgeVolume() {
 
     // Total volume is deposits + withdrawals
     const totalVolumeETH = totalDepositsETH + totalWithdrawalsETH;
-    const volumeUSD = totalVolumeETH * ethPrice;
+    const tokenVolumeUSD = await sumTokenVolumeUSD([...deposits, ...withdrawals], network);
+    const volumeUSD = totalVolumeETH * ethPrice + tokenVolumeUSD;
 
-    console.log(`✅ Bridge volume (24h): ${deposits.length} deposits (${totalDepositsETH.toFixed(4)} ETH), ${withdrawals.length} withdrawals (${totalWithdrawalsETH.toFixed(4)} ETH) = $${volumeUSD.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}`);
+    console.log(`✅ [${network}] Bridge volume (24h): ${deposits.length} deposits (${totalDepositsETH.toFixed(4)} ETH), ${withdrawals.length} withdrawals (${totalWithdrawalsETH.toFixed(4)} ETH), tokens $${tokenVolumeUSD.toFixed(2)} = $${volumeUSD.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}`);
 
     return {
       depositCount: deposits.length,
@@ -674,18 +640,13 @@ export async function calculateBridgeVolume() {
       depositsETH: totalDepositsETH,
       withdrawalsETH: totalWithdrawalsETH,
       totalVolumeETH,
+      tokenVolumeUSD,
       volumeUSD,
       ethPrice
     };
   } catch (error) {
     console.error('Error calculating bridge volume:', error.message);
-    return {
-      depositCount: 0,
-      withdrawalCount: 0,
-      withdrawalsETH: 0,
-      volumeUSD: 0,
-      ethPrice: 0
-    };
+    throw error;
   }
 }
 
@@ -695,20 +656,20 @@ export async function calculateBridgeVolume() {
  * Returns: { deposits, withdrawals, netFlow }
  * @deprecated Use calculateBridgeActivityFromTransactions() for real transaction data
  */
-export async function calculateBridgeActivity() {
+export async function calculateBridgeActivity(network = getActiveNetworkId()) {
   try {
     const now = new Date();
     const twentyFourHoursAgo = new Date(now - 24 * 60 * 60 * 1000);
 
     // Get current TVL
     const currentSnapshot = await TvlCollection.findOneAsync(
-      {},
+      { network },
       { sort: { timestamp: -1 }, limit: 1 }
     );
 
     // Get TVL from 24h ago (closest snapshot)
     const oldSnapshot = await TvlCollection.findOneAsync(
-      { timestamp: { $lte: twentyFourHoursAgo } },
+      { network, timestamp: { $lte: twentyFourHoursAgo } },
       { sort: { timestamp: -1 }, limit: 1 }
     );
 
@@ -728,7 +689,7 @@ export async function calculateBridgeActivity() {
     // For simplicity, show absolute net flow as "activity"
     const totalActivity = Math.abs(netFlow);
 
-    console.log(`✅ Bridge activity (24h): ${totalActivity.toFixed(4)} ETH net flow`);
+    console.log(`✅ [${network}] Bridge activity (24h): ${totalActivity.toFixed(4)} ETH net flow`);
 
     return {
       deposits: netFlow > 0 ? netFlow : 0,
@@ -751,10 +712,11 @@ export async function calculateBridgeActivity() {
  * Get historical daily transaction data for charts
  * Returns last N days (one snapshot per day)
  */
-export async function getDailyTransactionsHistory(days = 7) {
+export async function getDailyTransactionsHistory(days = 7, network = getActiveNetworkId()) {
   try {
     // Use aggregation to get the latest snapshot for each unique date
     const pipeline = [
+      { $match: { network } },
       { $sort: { timestamp: -1 } },
       {
         $group: {
@@ -793,10 +755,11 @@ export async function getDailyTransactionsHistory(days = 7) {
  * Get historical weekly active addresses data for charts
  * Returns last N days (one snapshot per day)
  */
-export async function getWeeklyActiveAddressesHistory(days = 7) {
+export async function getWeeklyActiveAddressesHistory(days = 7, network = getActiveNetworkId()) {
   try {
     // Use aggregation to get the latest snapshot for each unique date
     const pipeline = [
+      { $match: { network } },
       { $sort: { timestamp: -1 } },
       {
         $group: {
@@ -835,7 +798,7 @@ export async function getWeeklyActiveAddressesHistory(days = 7) {
  * Backfill historical snapshots for daily transactions
  * Creates snapshots for the last N days based on existing transaction data
  */
-export async function backfillDailyTransactionHistory(days = 7) {
+export async function backfillDailyTransactionHistory(days = 7, network = getActiveNetworkId()) {
   try {
     const now = new Date();
     let snapshotsCreated = 0;
@@ -851,22 +814,27 @@ export async function backfillDailyTransactionHistory(days = 7) {
 
       // Count transactions for this day from AddressActivityCollection
       const count = await AddressActivityCollection.find({
+        network,
         timestamp: { $gte: date, $lt: nextDay }
       }).countAsync();
 
-      // Store snapshot
-      await DailyTransactionsCollection.insertAsync({
-        date: date,
-        count: count,
-        timestamp: new Date(date.getTime() + 12 * 60 * 60 * 1000), // Noon of that day
-        updatedAt: new Date()
-      });
+      // Store snapshot (replaces any earlier snapshot for that day)
+      await DailyTransactionsCollection.upsertAsync(
+        { network, date: date },
+        {
+          $set: {
+            count: count,
+            timestamp: new Date(date.getTime() + 12 * 60 * 60 * 1000), // Noon of that day
+            updatedAt: new Date()
+          }
+        }
+      );
 
       snapshotsCreated++;
       console.log(`  Created snapshot for ${date.toDateString()}: ${count} transactions`);
     }
 
-    console.log(`✅ Backfilled ${snapshotsCreated} daily transaction snapshots`);
+    console.log(`✅ [${network}] Backfilled ${snapshotsCreated} daily transaction snapshots`);
     return snapshotsCreated;
   } catch (error) {
     console.error('Error backfilling daily transaction history:', error.message);
@@ -878,7 +846,7 @@ export async function backfillDailyTransactionHistory(days = 7) {
  * Backfill historical snapshots for weekly active addresses
  * Creates snapshots for the last N days based on existing address activity data
  */
-export async function backfillWeeklyActiveAddressHistory(days = 7) {
+export async function backfillWeeklyActiveAddressHistory(days = 7, network = getActiveNetworkId()) {
   try {
     const now = new Date();
     let snapshotsCreated = 0;
@@ -889,42 +857,27 @@ export async function backfillWeeklyActiveAddressHistory(days = 7) {
       snapshotDate.setDate(snapshotDate.getDate() - i);
       snapshotDate.setHours(0, 0, 0, 0);
 
-      // Calculate 7 days before this snapshot date
-      const sevenDaysBefore = new Date(snapshotDate);
-      sevenDaysBefore.setDate(sevenDaysBefore.getDate() - 7);
-
-      // End of snapshot day (so we include the full day)
-      const snapshotEndOfDay = new Date(snapshotDate);
-      snapshotEndOfDay.setDate(snapshotEndOfDay.getDate() + 1);
-
       // Count unique addresses in the 7-day window (up to and including snapshot date)
-      const pipeline = [
+      const snapshotEndOfDay = new Date(snapshotDate.getTime() + DAY_MS);
+      const count = await countActiveAddresses(new Date(snapshotEndOfDay.getTime() - 7 * DAY_MS), snapshotEndOfDay, network);
+
+      // Store snapshot (replaces any earlier snapshot for that day)
+      await WeeklyActiveAddressesCollection.upsertAsync(
+        { network, date: snapshotDate },
         {
-          $match: {
-            timestamp: { $gte: sevenDaysBefore, $lt: snapshotEndOfDay },
-            address: { $nin: SYSTEM_ADDRESSES }
+          $set: {
+            count: count,
+            timestamp: new Date(snapshotDate.getTime() + 12 * 60 * 60 * 1000), // Noon of that day
+            updatedAt: new Date()
           }
-        },
-        { $group: { _id: '$address' } },
-        { $count: 'uniqueAddresses' }
-      ];
-
-      const result = await AddressActivityCollection.rawCollection().aggregate(pipeline).toArray();
-      const count = result.length > 0 ? result[0].uniqueAddresses : 0;
-
-      // Store snapshot
-      await WeeklyActiveAddressesCollection.insertAsync({
-        date: snapshotDate,
-        count: count,
-        timestamp: new Date(snapshotDate.getTime() + 12 * 60 * 60 * 1000), // Noon of that day
-        updatedAt: new Date()
-      });
+        }
+      );
 
       snapshotsCreated++;
       console.log(`  Created snapshot for ${snapshotDate.toDateString()}: ${count} active addresses`);
     }
 
-    console.log(`✅ Backfilled ${snapshotsCreated} weekly active address snapshots`);
+    console.log(`✅ [${network}] Backfilled ${snapshotsCreated} weekly active address snapshots`);
     return snapshotsCreated;
   } catch (error) {
     console.error('Error backfilling weekly active address history:', error.message);
@@ -932,15 +885,60 @@ export async function backfillWeeklyActiveAddressHistory(days = 7) {
   }
 }
 
+/**
+ * Backfill DAU/WAU/MAU snapshots for the last N days from stored address activity
+ */
+export async function backfillActiveAddressHistory(days = 30, network = getActiveNetworkId()) {
+  try {
+    const now = new Date();
+
+    for (let i = days - 1; i >= 0; i--) {
+      await updateActiveAddressSnapshot(new Date(now.getTime() - i * DAY_MS), network);
+    }
+
+    console.log(`✅ [${network}] Backfilled ${days} active address snapshots`);
+    return days;
+  } catch (error) {
+    console.error('Error backfilling active address history:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Get DAU/WAU/MAU and stickiness snapshots for charts
+ * Returns last N days: [{ date, dau, wau, mau, stickiness, timestamp }]
+ */
+export async function getActiveAddressesHistory(days = 7, network = getActiveNetworkId()) {
+  try {
+    const records = await ActiveAddressesCollection.find(
+      { network },
+      { sort: { date: -1 }, limit: days }
+    ).fetchAsync();
+
+    return records.reverse().map(r => ({
+      date: r.date,
+      dau: r.dau,
+      wau: r.wau,
+      mau: r.mau,
+      stickiness: r.stickiness,
+      timestamp: r.timestamp
+    }));
+  } catch (error) {
+    console.error('Error fetching active address history:', error.message);
+    return [];
+  }
+}
+
 /**
  * Backfill historical TVL snapshots using current value
  * Since we can't query historical bridge balances, we use the current TVL for all past days
  */
-export async function backfillTvlHistory(days = 7) {
+export async function backfillTvlHistory(days = 7, network = getActiveNetworkId()) {
   try {
     // Get current TVL
-    const currentTvl = await getTVL();
-    if (!currentTvl || currentTvl.tvlInETH === 0) {
+    // Token-only escrows hold no ETH, so any asset with a balance counts
+    const currentTvl = await getTVL(network);
+    if (!currentTvl || (currentTvl.tvlInETH === 0 && !currentTvl.assets.some(asset => asset.amount > 0))) {
       console.log('⚠️  No current TVL data to backfill');
       return 0;
     }
@@ -954,19 +952,17 @@ export async function backfillTvlHistory(days = 7) {
       date.setDate(date.getDate() - i);
       date.setHours(12, 0, 0, 0); // Noon
 
-      // Store snapshot with current TVL value
-      await TvlCollection.insertAsync({
-        timestamp: date,
-        tvlInETH: currentTvl.tvlInETH,
-        tvlInUSD: currentTvl.tvlInUSD,
-        updatedAt: new Date()
-      });
+      // Store snapshot with current TVL value (re-running overwrites the same noon snapshot)
+      await TvlCollection.upsertAsync(
+        { network, timestamp: date },
+        { $set: { tvlInETH: currentTvl.tvlInETH, tvlInUSD: currentTvl.tvlInUSD, assets: currentTvl.assets, updatedAt: new Date() } }
+      );
 
       snapshotsCreated++;
-      console.log(`  Created TVL snapshot for ${date.toDateString()}: ${currentTvl.tvlInETH.toFixed(4)} ETH`);
+      console.log(`  Created TVL snapshot for ${date.toDateString()}: $${(currentTvl.tvlInUSD || 0).toFixed(2)} (${currentTvl.tvlInETH.toFixed(4)} ETH)`);
     }
 
-    console.log(`✅ Backfilled ${snapshotsCreated} TVL snapshots (using current value)`);
+    console.log(`✅ [${network}] Backfilled ${snapshotsCreated} TVL snapshots (using current value)`);
     return snapshotsCreated;
   } catch (error) {
     console.error('Error backfilling TVL history:', error.message);
@@ -983,162 +979,62 @@ export async function backfillTvlHistory(days = 7) {
  *
  * Respects settings.hpp.backfill.bridgeActivity configuration:
  * - blockCount: -1 = scan from genesis, 0 = skip backfill, >0 = scan last N blocks
+ *
+ * With blockCount -1 the indexer resumes from its checkpoint, then fills recorded gaps and retries failed blocks
+ *
+ * Runs as a managed backfill job (see backfillJobs.js) and resolves once the job completes, pauses or is cancelled
+ * Skipped while the network already has an unfinished job
  */
-export async function backfillBridgeActivity() {
+export async function backfillBridgeActivity(network = getActiveNetworkId()) {
   try {
-    // Check if backfill is enabled
-    const backfillConfig = Meteor.settings.hpp?.backfill?.bridgeActivity;
-    if (!backfillConfig?.enabled) {
-      console.log('⚠️  KPI backfill is disabled in settings');
+    const jobId = await createBridgeActivityBackfillJob(network);
+    if (!jobId) {
       return { addressesAdded: 0, depositsFound: 0, withdrawalsFound: 0, blocksScanned: 0 };
     }
 
-    const blockCount = backfillConfig.blockCount || 0;
-    if (blockCount === 0) {
-      console.log('⚠️  KPI backfill blockCount is 0 (skipping)');
-      return { addressesAdded: 0, depositsFound: 0, withdrawalsFound: 0, blocksScanned: 0 };
-    }
-
-    const provider = getProvider();
-    const ARBSYS_ADDRESS = '0x0000000000000000000000000000000000000064';
-
-    // Determine start and end blocks
-    let startBlock;
-    let endBlock;
+    const job = await runBackfillJob(jobId);
+    const { addressesAdded, depositsFound, withdrawalsFound, blocksScanned, blocksFailed } = job.stats;
 
-    if (blockCount === -1) {
-      // Scan from genesis (or resume from last processed block)
-      endBlock = await provider.getBlockNumber();
-
-      // Check if we have any existing address activity data
-      const lastProcessed = await AddressActivityCollection.findOneAsync(
-        {},
-        { sort: { blockNumber: -1 }, limit: 1 }
-      );
-
-      if (lastProcessed && lastProcessed.blockNumber > 1) {
-        startBlock = lastProcessed.blockNumber + 1;
-        console.log(`📍 Resuming backfill from block ${startBlock} to ${endBlock}...`);
-        console.log(`   (Previously processed up to block ${lastProcessed.blockNumber})`);
-      } else {
-        startBlock = 1;
-        console.log(`🔍 Backfilling all KPIs from genesis (block 1) to current block ${endBlock}...`);
-      }
-    } else {
-      // Scan last N blocks (always fresh scan, no resume)
-      endBlock = await provider.getBlockNumber();
-      startBlock = Math.max(1, endBlock - blockCount + 1);
-      console.log(`🔍 Backfilling all KPIs for last ${blockCount} blocks (${startBlock} to ${endBlock})...`);
-    }
-
-    const totalBlocks = endBlock - startBlock + 1;
-
-    let addressesAdded = 0;
-    let depositsFound = 0;
-    let withdrawalsFound = 0;
-
-    // Scan blocks and collect ALL KPI data in a single pass
-    for (let i = startBlock; i <= endBlock; i++) {
-      try {
-        const block = await provider.getBlock(i);
-
-        if (block && block.transactions && block.transactions.length > 0) {
-          const blockTimestamp = block.timestamp ? new Date(block.timestamp * 1000) : new Date();
-
-          for (const txHash of block.transactions) {
-            try {
-              const tx = await provider.getTransaction(txHash);
-
-              if (!tx || !tx.from) continue;
-
-              // 1. Record address activity (for weekly active addresses)
-              try {
-                await AddressActivityCollection.insertAsync({
-                  address: tx.from.toLowerCase(),
-                  timestamp: blockTimestamp,
-                  blockNumber: i
-                });
-                addressesAdded++;
-              } catch (addressError) {
-                // Might already exist, continue
-              }
-
-              // 2. Detect bridge deposits (type 105)
-              if (tx.type === 105) {
-                try {
-                  const existing = await BridgeActivityCollection.findOneAsync({ txHash });
-                  if (!existing) {
-                    // Fetch deposit amount from internal transactions
-                    const depositAmount = await fetchDepositAmount(txHash);
-
-                    await BridgeActivityCollection.insertAsync({
-                      txHash: txHash,
-                      type: 'deposit',
-                      from: tx.from.toLowerCase(),
-                      to: tx.to ? tx.to.toLowerCase() : null,
-                      value: depositAmount, // Fetched from internal transactions
-                      timestamp: blockTimestamp,
-                      blockNumber: i,
-                      l2TxHash: txHash
-                    });
-                    depositsFound++;
-                  }
-                } catch (depositError) {
-                  // Continue on error
-                }
-              }
-
-              // 3. Detect withdrawals (to ArbSys)
-              if (tx.to && tx.to.toLowerCase() === ARBSYS_ADDRESS && tx.value && Number(tx.value) > 0) {
-                try {
-                  const existing = await BridgeActivityCollection.findOneAsync({ txHash });
-                  if (!existing) {
-                    await BridgeActivityCollection.insertAsync({
-                      txHash: txHash,
-                      type: 'withdrawal',
-                      from: tx.from.toLowerCase(),
-                      to: ARBSYS_ADDRESS,
-                      value: Number(tx.value) / 1e18,
-                      timestamp: blockTimestamp,
-                      blockNumber: i,
-                      l2TxHash: txHash
-                    });
-                    withdrawalsFound++;
-                  }
-                } catch (withdrawalError) {
-                  // Continue on error
-                }
-              }
-            } catch (txError) {
-              // Skip transactions that fail to fetch
-              continue;
-            }
-          }
-        }
-
-        // Progress update every 100 blocks
-        if ((i - startBlock + 1) % 100 === 0) {
-          console.log(`  Scanned ${i - startBlock + 1}/${totalBlocks} blocks... (${addressesAdded} addresses, ${depositsFound} deposits, ${withdrawalsFound} withdrawals)`);
-        }
-      } catch (blockError) {
-        // Skip blocks that fail to fetch
-        continue;
-      }
-    }
-
-    console.log(`✅ Backfill complete: ${addressesAdded} addresses, ${depositsFound} deposits, ${withdrawalsFound} withdrawals across ${totalBlocks} blocks`);
-    return { addressesAdded, depositsFound, withdrawalsFound, blocksScanned: totalBlocks };
+    console.log(`✅ [${network}] Backfill ${job.status}: ${addressesAdded} addresses, ${depositsFound} deposits, ${withdrawalsFound} withdrawals across ${blocksScanned} blocks (${blocksFailed} failed)`);
+    return { addressesAdded, depositsFound, withdrawalsFound, blocksScanned };
   } catch (error) {
     console.error('Error backfilling KPI data:', error.message);
     return { addressesAdded: 0, depositsFound: 0, withdrawalsFound: 0, blocksScanned: 0 };
   }
 }
 
+/**
+ * Queue the backfill job configured in settings.hpp.backfill.bridgeActivity without running it
+ * Returns: jobId, or null when the backfill is disabled or the network already has an unfinished job
+ */
+export async function createBridgeActivityBackfillJob(network = getActiveNetworkId()) {
+  // Check if backfill is enabled
+  const backfillConfig = Meteor.settings.hpp?.backfill?.bridgeActivity;
+  if (!backfillConfig?.enabled) {
+    console.log('⚠️  KPI backfill is disabled in settings');
+    return null;
+  }
+
+  const blockCount = backfillConfig.blockCount || 0;
+  if (blockCount === 0) {
+    console.log('⚠️  KPI backfill blockCount is 0 (skipping)');
+    return null;
+  }
+
+  const activeJob = await getActiveBackfillJob(network);
+  if (activeJob) {
+    console.log(`⚠️  [${network}] Backfill job ${activeJob._id} is already ${activeJob.status} (skipping)`);
+    return null;
+  }
+
+  return await createBackfillJob({ network, blockCount, source: 'settings' });
+}
+
 /**
  * Calculate historical bridge activity from actual bridge transactions
  * Returns daily bridge activity for the last N days
  */
-export async function getBridgeActivityHistory(days = 7) {
+export async function getBridgeActivityHistory(days = 7, network = getActiveNetworkId()) {
   try {
     const now = new Date();
     const startDate = new Date(now);
@@ -1149,6 +1045,7 @@ export async function getBridgeActivityHistory(days = 7) {
     const depositsPipeline = [
       {
         $match: {
+          network,
           type: 'deposit',
           timestamp: { $gte: startDate }
         }
@@ -1167,6 +1064,7 @@ export async function getBridgeActivityHistory(days = 7) {
     const withdrawalsPipeline = [
       {
         $match: {
+          network,
           type: 'withdrawal',
           timestamp: { $gte: startDate }
         }
@@ -1219,20 +1117,147 @@ export async function getBridgeActivityHistory(days = 7) {
   }
 }
 
+/**
+ * Break bridge activity and volume down by asset over the last N days
+ * ETH rows (no token) are measured by value, gateway token rows by their token amount
+ * Returns: [{ asset, symbol, depositCount, withdrawalCount, deposits, withdrawals, volume, priceUSD, volumeUSD }]
+ * (volumeUSD null for tokens without a price), highest USD volume first
+ */
+export async function getBridgeActivityByAsset(days = 7, network = getActiveNetworkId()) {
+  try {
+    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const rows = await BridgeActivityCollection.rawCollection().aggregate([
+      { $match: { network, timestamp: { $gte: startDate } } },
+      {
+        $group: {
+          _id: { asset: { $ifNull: ['$token', 'ETH'] }, type: '$type' },
+          count: { $sum: 1 },
+          amount: { $sum: { $ifNull: [{ $cond: [{ $ifNull: ['$token', false] }, '$amount', '$value'] }, 0] } }
+        }
+      }
+    ]).toArray();
+
+    const assets = new Map();
+    for (const row of rows) {
+      const { asset, type } = row._id;
+      if (!assets.has(asset)) {
+        assets.set(asset, { asset, depositCount: 0, withdrawalCount: 0, deposits: 0, withdrawals: 0 });
+      }
+      const entry = assets.get(asset);
+      entry[type === 'deposit' ? 'depositCount' : 'withdrawalCount'] += row.count;
+      entry[type === 'deposit' ? 'deposits' : 'withdrawals'] += row.amount;
+    }
+
+    const breakdown = [];
+    for (const entry of assets.values()) {
+      const symbol = entry.asset === 'ETH' ? 'ETH' : (await getTokenMetadata(entry.asset, network)).symbol;
+      const priceUSD = entry.asset === 'ETH' ? await getEthPrice() : await getTokenPrice(symbol);
+      const volume = entry.deposits + entry.withdrawals;
+
+      breakdown.push({
+        ...entry,
+        symbol,
+        volume,
+        priceUSD,
+        volumeUSD: priceUSD === null ? null : volume * priceUSD
+      });
+    }
+
+    return breakdown.sort((a, b) => (b.volumeUSD ?? -1) - (a.volumeUSD ?? -1) ||
+      (b.depositCount + b.withdrawalCount) - (a.depositCount + a.withdrawalCount));
+  } catch (error) {
+    console.error('Error calculating bridge activity by asset:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Rank bridge users by USD volume over the last N days, with each address's net flow (deposits minus withdrawals)
+ * ETH rows are priced at the current ETH price and gateway token rows through hpp.tokenPriceIds;
+ * tokens without a price only add to the counts
+ * concentration is the share of total volume moved by the top 10 addresses
+ * Returns: { days, totalVolumeUSD, addressCount, concentration (percent), depositors, withdrawers }, where both lists are
+ * [{ address, depositCount, withdrawalCount, depositsUSD, withdrawalsUSD, netFlowUSD, volumeUSD }] ranked by deposits/withdrawals
+ */
+export async function getTopBridgers(days = 7, limit = 10, network = getActiveNetworkId()) {
+  try {
+    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const rows = await BridgeActivityCollection.rawCollection().aggregate([
+      { $match: { network, timestamp: { $gte: startDate }, from: { $ne: null } } },
+      {
+        $group: {
+          _id: { address: '$from', asset: { $ifNull: ['$token', 'ETH'] }, type: '$type' },
+          count: { $sum: 1 },
+          amount: { $sum: { $ifNull: [{ $cond: [{ $ifNull: ['$token', false] }, '$amount', '$value'] }, 0] } }
+        }
+      }
+    ], { allowDiskUse: true }).toArray();
+
+    // USD price per asset, looked up once per call
+    const prices = new Map([['ETH', await getEthPrice()]]);
+    const addresses = new Map();
+    for (const row of rows) {
+      const { address, asset, type } = row._id;
+      if (!prices.has(asset)) {
+        prices.set(asset, await getTokenPrice((await getTokenMetadata(asset, network)).symbol));
+      }
+      if (!addresses.has(address)) {
+        addresses.set(address, { address, depositCount: 0, withdrawalCount: 0, depositsUSD: 0, withdrawalsUSD: 0 });
+      }
+
+      const entry = addresses.get(address);
+      const valueUSD = prices.get(asset) === null ? 0 : row.amount * prices.get(asset);
+      entry[type === 'deposit' ? 'depositCount' : 'withdrawalCount'] += row.count;
+      entry[type === 'deposit' ? 'depositsUSD' : 'withdrawalsUSD'] += valueUSD;
+    }
+
+    const bridgers = [...addresses.values()].map(entry => ({
+      ...entry,
+      netFlowUSD: entry.depositsUSD - entry.withdrawalsUSD,
+      volumeUSD: entry.depositsUSD + entry.withdrawalsUSD
+    }));
+    const totalVolumeUSD = bridgers.reduce((sum, entry) => sum + entry.volumeUSD, 0);
+    const top10VolumeUSD = [...bridgers]
+      .sort((a, b) => b.volumeUSD - a.volumeUSD)
+      .slice(0, 10)
+      .reduce((sum, entry) => sum + entry.volumeUSD, 0);
+
+    return {
+      days,
+      totalVolumeUSD,
+      addressCount: bridgers.length,
+      concentration: totalVolumeUSD > 0 ? (top10VolumeUSD / totalVolumeUSD) * 100 : 0,
+      depositors: bridgers.filter(entry => entry.depositCount > 0)
+        .sort((a, b) => b.depositsUSD - a.depositsUSD || b.depositCount - a.depositCount)
+        .slice(0, limit),
+      withdrawers: bridgers.filter(entry => entry.withdrawalCount > 0)
+        .sort((a, b) => b.withdrawalsUSD - a.withdrawalsUSD || b.withdrawalCount - a.withdrawalCount)
+        .slice(0, limit)
+    };
+  } catch (error) {
+    console.error('Error calculating top bridgers:', error.message);
+    return { days, totalVolumeUSD: 0, addressCount: 0, concentration: 0, depositors: [], withdrawers: [] };
+  }
+}
+
 /**
  * Get historical TVL data for charts
  * Returns last N days (one snapshot per day)
  */
-export async function getTvlHistory(days = 7) {
+export async function getTvlHistory(days = 7, network = getActiveNetworkId()) {
   try {
     // TVL doesn't have a 'date' field, so group by day from timestamp
     const pipeline = [
+      { $match: { network } },
       { $sort: { timestamp: -1 } },
       {
         $group: {
           _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
           tvlInETH: { $first: '$tvlInETH' },
           tvlInUSD: { $first: '$tvlInUSD' },
+          assets: { $first: '$assets' },
           timestamp: { $first: '$timestamp' }
         }
       },
@@ -1244,6 +1269,7 @@ export async function getTvlHistory(days = 7) {
           _id: 0,
           tvlInETH: 1,
           tvlInUSD: 1,
+          assets: 1,
           timestamp: 1
         }
       }
@@ -1254,6 +1280,7 @@ export async function getTvlHistory(days = 7) {
     return records.map(r => ({
       tvlInETH: r.tvlInETH,
       tvlInUSD: r.tvlInUSD,
+      assets: r.assets || [],
       timestamp: r.timestamp
     }));
   } catch (error) {
@@ -1264,9 +1291,9 @@ export async function getTvlHistory(days = 7) {
 
 /**
  * Get historical bridge volume data (USD) for charts
- * Returns last N days of total bridge volume (deposits + withdrawals in USD)
+ * Returns last N days of total bridge volume (deposits + withdrawals in USD, ETH plus priced gateway tokens)
  */
-export async function getBridgeVolumeHistory(days = 7) {
+export async function getBridgeVolumeHistory(days = 7, network = getActiveNetworkId()) {
   try {
     const ethPrice = await getEthPrice();
     const now = new Date();
@@ -1282,12 +1309,14 @@ export async function getBridgeVolumeHistory(days = 7) {
 
       // Get deposits for this day
       const deposits = await BridgeActivityCollection.find({
+        network,
         type: 'deposit',
         timestamp: { $gte: date, $lt: nextDate }
       }).fetchAsync();
 
       // Get withdrawals for this day
       const withdrawals = await BridgeActivityCollection.find({
+        network,
         type: 'withdrawal',
         timestamp: { $gte: date, $lt: nextDate }
       }).fetchAsync();
@@ -1295,13 +1324,15 @@ export async function getBridgeVolumeHistory(days = 7) {
       const depositETH = deposits.reduce((sum, d) => sum + d.value, 0);
       const withdrawalETH = withdrawals.reduce((sum, w) => sum + w.value, 0);
       const totalVolumeETH = depositETH + withdrawalETH;
-      const volumeUSD = totalVolumeETH * ethPrice;
+      const tokenVolumeUSD = await sumTokenVolumeUSD([...deposits, ...withdrawals], network);
+      const volumeUSD = totalVolumeETH * ethPrice + tokenVolumeUSD;
 
       activityHistory.push({
         date: date.toISOString().split('T')[0],
         timestamp: date,
         volumeUSD,
         volumeETH: totalVolumeETH,
+        tokenVolumeUSD,
         depositCount: deposits.length,
         withdrawalCount: withdrawals.length
       });
@@ -1318,13 +1349,15 @@ export async function getBridgeVolumeHistory(days = 7) {
  * Backfill deposit amounts from internal transactions
  * Fetches actual ETH deposit amounts for all Type 105 deposits with value=0
  */
-export async function backfillDepositAmounts() {
+export async function backfillDepositAmounts(network = getActiveNetworkId()) {
   try {
     console.log('📊 Starting deposit amount backfill...');
 
-    // Find all deposits with value = 0 (need to fetch amounts)
+    // Find all deposits with value = 0 (need to fetch amounts); gateway token deposits are per log and carry no ETH
     const depositsToUpdate = await BridgeActivityCollection.find({
+      network,
       type: 'deposit',
+      logIndex: null,
       value: 0
     }).fetchAsync();
 
@@ -1341,7 +1374,7 @@ export async function backfillDepositAmounts() {
     for (const deposit of depositsToUpdate) {
       try {
         // Fetch deposit amount from internal transactions
-        const amount = await fetchDepositAmount(deposit.txHash);
+        const amount = await fetchDepositAmount(deposit.txHash, network);
 
         if (amount > 0) {
           // Update the deposit record with the actual amount
@@ -1364,7 +1397,7 @@ export async function backfillDepositAmounts() {
       }
     }
 
-    console.log(`✅ Deposit backfill complete: ${updated} updated, ${errors} errors`);
+    console.log(`✅ [${network}] Deposit backfill complete: ${updated} updated, ${errors} errors`);
     return { updated, errors, total: depositsToUpdate.length };
   } catch (error) {
     console.error('Error in backfillDepositAmounts:', error.message);
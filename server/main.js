@@ -1,65 +1,112 @@
 import { Meteor } from 'meteor/meteor';
-import { getNetworkInfo } from './blockchain.js';
+import { getNetworkInfo, getTrackedNetworkIds } from './blockchain.js';
 import {
   updateDailyTransactionCount,
   updateWeeklyActiveAddresses,
   updateTVL,
   backfillDailyTransactionHistory,
   backfillWeeklyActiveAddressHistory,
-  backfillBridgeActivity,
-  getDailyTransactionsHistory
+  backfillActiveAddressHistory,
+  createBridgeActivityBackfillJob,
+  getDailyTransactionsHistory,
+  getActiveAddressesHistory
 } from './kpis.js';
 import { startScheduledJobs } from './scheduler.js';
+import { ensureIndexes } from './indexes.js';
+import { startHeadFollower } from './headFollower.js';
+import { resumeInterruptedBackfillJobs, runBackfillJob } from './backfillJobs.js';
+import { ensureAddressRegistry } from './addressRegistry.js';
 import './publications.js';
 import '../imports/api/methods.js';
 
 Meteor.startup(async () => {
   console.log('🎉 PartyHouse Analytics starting...');
 
+  // Make sure ingestion and KPI queries are backed by indexes
+  try {
+    await ensureIndexes();
+  } catch (error) {
+    console.error('❌ Index creation failed:', error.message);
+  }
+
+  // Each tracked network gets its own indexer, backfill, scheduler and head follower
+  const networks = getTrackedNetworkIds();
+  console.log(`🌐 Tracking networks: ${networks.join(', ')}`);
+  await Promise.all(networks.map(network => startNetwork(network)));
+});
+
+/**
+ * Bring up one network: connection test, head follower, initial KPIs, backfill and scheduled jobs
+ * Failures are logged and contained so one unreachable network doesn't hold up the others
+ */
+async function startNetwork(network) {
   // Test blockchain connection
   try {
-    const networkInfo = await getNetworkInfo();
-    console.log('✅ Blockchain connection successful!');
+    const networkInfo = await getNetworkInfo(network);
+    console.log(`✅ [${network}] Blockchain connection successful!`);
     console.log(`   Network: ${networkInfo.name}`);
     console.log(`   Chain ID: ${networkInfo.chainId}`);
     console.log(`   Current Block: ${networkInfo.blockNumber}`);
     console.log(`   Explorer: ${networkInfo.explorer}`);
   } catch (error) {
-    console.error('❌ Blockchain connection failed:', error.message);
+    console.error(`❌ [${network}] Blockchain connection failed:`, error.message);
   }
 
-  // Fetch initial KPI data
-  console.log('🔄 Fetching initial KPI data...');
-  try {
-    await updateDailyTransactionCount();
-    await updateWeeklyActiveAddresses();
-    await updateTVL();
-  } catch (error) {
-    console.error('❌ Initial KPI fetch failed:', error.message);
+  // First-seen registry for new vs returning addresses and cohorts
+  // Built before anything ingests blocks, since it is only rebuilt while empty
+  await ensureAddressRegistry(network);
+
+  // Ingest new blocks as soon as they arrive, independently of the backfills below
+  startHeadFollower(network);
+
+  // Fetch initial KPI data (each one independently, so one failure doesn't skip the rest)
+  console.log(`🔄 [${network}] Fetching initial KPI data...`);
+  for (const update of [updateDailyTransactionCount, updateWeeklyActiveAddresses, updateTVL]) {
+    try {
+      await update(network);
+    } catch (error) {
+      console.error(`❌ [${network}] Initial KPI fetch failed:`, error.message);
+    }
   }
 
   // Check if we have enough historical data, if not, backfill
   try {
-    const existingData = await getDailyTransactionsHistory(7);
+    const existingData = await getDailyTransactionsHistory(7, network);
     if (existingData.length < 7) {
-      console.log(`📈 Backfilling historical data (found ${existingData.length}/7 days)...`);
-      await backfillDailyTransactionHistory(7);
-      await backfillWeeklyActiveAddressHistory(7);
+      console.log(`📈 [${network}] Backfilling historical data (found ${existingData.length}/7 days)...`);
+      await backfillDailyTransactionHistory(7, network);
+      await backfillWeeklyActiveAddressHistory(7, network);
     } else {
-      console.log('✅ Historical data already available');
+      console.log(`✅ [${network}] Historical data already available`);
     }
   } catch (error) {
-    console.error('❌ Backfill check failed:', error.message);
+    console.error(`❌ [${network}] Backfill check failed:`, error.message);
   }
 
-  // Backfill all KPI data (respects settings configuration)
+  // DAU/WAU/MAU snapshots were added later, so backfill them separately
   try {
-    console.log('📊 Starting comprehensive KPI backfill (addresses, bridge activity, etc.)...');
-    await backfillBridgeActivity();
+    const activeHistory = await getActiveAddressesHistory(30, network);
+    if (activeHistory.length < 30) {
+      console.log(`📈 [${network}] Backfilling active address snapshots (found ${activeHistory.length}/30 days)...`);
+      await backfillActiveAddressHistory(30, network);
+    }
   } catch (error) {
-    console.error('❌ KPI backfill failed:', error.message);
+    console.error(`❌ [${network}] Active address backfill failed:`, error.message);
+  }
+
+  // Finish backfill jobs cut short by a restart, then backfill all KPI data (respects settings configuration)
+  // Both run in the background; a full backfill can take hours and must not hold up the jobs below
+  resumeInterruptedBackfillJobs(network).catch(error => console.error(`❌ [${network}] Resuming backfill jobs failed:`, error.message));
+  try {
+    const jobId = await createBridgeActivityBackfillJob(network);
+    if (jobId) {
+      console.log(`📊 [${network}] Starting comprehensive KPI backfill (addresses, bridge activity, etc.) as job ${jobId}...`);
+      runBackfillJob(jobId).catch(error => console.error(`❌ Backfill job ${jobId} crashed:`, error.message));
+    }
+  } catch (error) {
+    console.error(`❌ [${network}] KPI backfill failed:`, error.message);
   }
 
   // Start scheduled jobs for periodic KPI updates
-  await startScheduledJobs();
-});
+  await startScheduledJobs(network);
+}
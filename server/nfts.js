@@ -0,0 +1,226 @@
+import { ethers } from 'ethers';
+import { getActiveNetworkId } from './blockchain.js';
+import { TRANSFER_TOPIC, ZERO_ADDRESS, topicToAddress, getTokenMetadata } from './tokens.js';
+import { NftTransfersCollection, NftBalancesCollection } from '../imports/api/collections.js';
+
+// keccak256('TransferSingle(address,address,address,uint256,uint256)')
+const TRANSFER_SINGLE_TOPIC = '0xc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62';
+
+// keccak256('TransferBatch(address,address,address,uint256[],uint256[])')
+const TRANSFER_BATCH_TOPIC = '0x4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Decode an NFT transfer log into one movement per token id
+ * ERC-721 Transfer indexes the token id as a fourth topic (ERC-20 has three topics and is handled in tokens.js);
+ * ERC-1155 TransferSingle/TransferBatch carry ids and amounts in the data
+ * Returns: [{ standard, operator, from, to, tokenId, amount }], empty for any other log
+ */
+function decodeNftLog(log) {
+  const topic = log.topics[0];
+
+  if (topic === TRANSFER_TOPIC && log.topics.length === 4) {
+    return [{
+      standard: 'erc721',
+      operator: null,
+      from: topicToAddress(log.topics[1]),
+      to: topicToAddress(log.topics[2]),
+      tokenId: ethers.BigNumber.from(log.topics[3]).toString(),
+      amount: 1
+    }];
+  }
+
+  if ((topic === TRANSFER_SINGLE_TOPIC || topic === TRANSFER_BATCH_TOPIC) && log.topics.length === 4) {
+    const [ids, amounts] = topic === TRANSFER_SINGLE_TOPIC
+      ? ethers.utils.defaultAbiCoder.decode(['uint256', 'uint256'], log.data).map(value => [value])
+      : ethers.utils.defaultAbiCoder.decode(['uint256[]', 'uint256[]'], log.data);
+
+    return ids.map((id, i) => ({
+      standard: 'erc1155',
+      operator: topicToAddress(log.topics[1]),
+      from: topicToAddress(log.topics[2]),
+      to: topicToAddress(log.topics[3]),
+      tokenId: id.toString(),
+      amount: Number(amounts[i].toString())
+    }));
+  }
+
+  return [];
+}
+
+/**
+ * Move an NFT between holders' balances (sign -1 reverts it)
+ * Mints and burns only move the non-zero side
+ */
+async function applyToBalances(network, transfer, sign) {
+  if (transfer.from !== ZERO_ADDRESS) {
+    await NftBalancesCollection.upsertAsync(
+      { network, collection: transfer.collection, tokenId: transfer.tokenId, holder: transfer.from },
+      { $inc: { balance: -sign * transfer.amount } }
+    );
+  }
+  if (transfer.to !== ZERO_ADDRESS) {
+    await NftBalancesCollection.upsertAsync(
+      { network, collection: transfer.collection, tokenId: transfer.tokenId, holder: transfer.to },
+      { $inc: { balance: sign * transfer.amount } }
+    );
+  }
+}
+
+/**
+ * Index the ERC-721 and ERC-1155 transfer events in a transaction receipt
+ * A batch transfer is stored as one row per token id (batchIndex); balances only move on first insert
+ * Returns: number of newly indexed NFT movements
+ */
+export async function indexNftTransfers(receipt, block, blockTimestamp, network) {
+  let added = 0;
+
+  for (const log of receipt.logs) {
+    let movements;
+    try {
+      movements = decodeNftLog(log);
+    } catch (error) {
+      // Malformed data from a contract reusing the event signature
+      continue;
+    }
+    if (movements.length === 0) continue;
+
+    await getTokenMetadata(log.address, network, movements[0].standard);
+
+    for (const [batchIndex, movement] of movements.entries()) {
+      const transfer = {
+        ...movement,
+        collection: log.address,
+        isMint: movement.from === ZERO_ADDRESS,
+        isBurn: movement.to === ZERO_ADDRESS,
+        blockNumber: block.number,
+        timestamp: blockTimestamp
+      };
+
+      const result = await NftTransfersCollection.upsertAsync(
+        { network, txHash: receipt.transactionHash, logIndex: log.logIndex, batchIndex },
+        { $set: transfer }
+      );
+      if (result.insertedId) {
+        await applyToBalances(network, transfer, 1);
+        added++;
+      }
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Remove NFT transfers of a network's blocks in [fromBlock, toBlock], reverting their balance changes
+ * Returns: number of movements removed
+ */
+export async function rollbackNftTransfers(fromBlock, toBlock, network) {
+  const range = { network, blockNumber: { $gte: fromBlock, $lte: toBlock } };
+
+  const transfers = await NftTransfersCollection.find(range).fetchAsync();
+  for (const transfer of transfers) {
+    await applyToBalances(network, transfer, -1);
+  }
+
+  return await NftTransfersCollection.removeAsync(range);
+}
+
+/**
+ * Get NFT mints, transfers and active collections per day
+ * Transfers count every movement that isn't a mint
+ * Returns last N days: [{ date, timestamp, mints, transfers, activeCollections }]
+ */
+export async function getNftActivityHistory(days = 7, network = getActiveNetworkId()) {
+  try {
+    const startDate = new Date();
+    startDate.setUTCHours(0, 0, 0, 0);
+    startDate.setUTCDate(startDate.getUTCDate() - (days - 1));
+
+    const pipeline = [
+      { $match: { network, timestamp: { $gte: startDate } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          mints: { $sum: { $cond: ['$isMint', 1, 0] } },
+          transfers: { $sum: { $cond: ['$isMint', 0, 1] } },
+          collections: { $addToSet: '$collection' }
+        }
+      }
+    ];
+
+    const rows = await NftTransfersCollection.rawCollection().aggregate(pipeline).toArray();
+    const byDate = new Map(rows.map(row => [row._id, row]));
+
+    const history = [];
+    for (let i = 0; i < days; i++) {
+      const dateStr = new Date(startDate.getTime() + i * DAY_MS).toISOString().split('T')[0];
+      const day = byDate.get(dateStr);
+
+      history.push({
+        date: dateStr,
+        timestamp: new Date(dateStr + 'T12:00:00Z'), // Noon UTC
+        mints: day ? day.mints : 0,
+        transfers: day ? day.transfers : 0,
+        activeCollections: day ? day.collections.length : 0
+      });
+    }
+
+    return history;
+  } catch (error) {
+    console.error('Error calculating NFT activity history:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the most active NFT collections over the last N days
+ * Returns: [{ address, standard, name, symbol, mints, transfers, holders }]
+ */
+export async function getNftCollections(days = 7, limit = 25, network = getActiveNetworkId()) {
+  try {
+    const startDate = new Date(Date.now() - days * DAY_MS);
+
+    const pipeline = [
+      { $match: { network, timestamp: { $gte: startDate } } },
+      {
+        $group: {
+          _id: '$collection',
+          mints: { $sum: { $cond: ['$isMint', 1, 0] } },
+          transfers: { $sum: { $cond: ['$isMint', 0, 1] } }
+        }
+      },
+      { $addFields: { activity: { $add: ['$mints', '$transfers'] } } },
+      { $sort: { activity: -1 } },
+      { $limit: limit }
+    ];
+
+    const rows = await NftTransfersCollection.rawCollection().aggregate(pipeline, { allowDiskUse: true }).toArray();
+
+    const collections = [];
+    for (const row of rows) {
+      const metadata = await getTokenMetadata(row._id, network);
+      const holders = await NftBalancesCollection.rawCollection().aggregate([
+        { $match: { network, collection: row._id, balance: { $gt: 0 } } },
+        { $group: { _id: '$holder' } },
+        { $count: 'holders' }
+      ]).toArray();
+
+      collections.push({
+        address: row._id,
+        standard: metadata.standard,
+        name: metadata.name,
+        symbol: metadata.symbol,
+        mints: row.mints,
+        transfers: row.transfers,
+        holders: holders.length > 0 ? holders[0].holders : 0
+      });
+    }
+
+    return collections;
+  } catch (error) {
+    console.error('Error getting NFT collections:', error.message);
+    return [];
+  }
+}
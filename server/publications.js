@@ -2,15 +2,22 @@ import { Meteor } from 'meteor/meteor';
 import {
   DailyTransactionsCollection,
   WeeklyActiveAddressesCollection,
+  ActiveAddressesCollection,
   TvlCollection,
-  BridgeActivityCollection
+  BridgeActivityCollection,
+  BackfillJobsCollection,
+  JobRunsCollection,
+  ContractDeploymentsCollection,
+  TopContractsCollection,
+  WhaleEventsCollection
 } from '../imports/api/collections.js';
+import { resolveNetworkId } from './blockchain.js';
 
 /**
  * Publish the latest daily transaction record (for current day)
  */
-Meteor.publish('dailyTransactions.latest', function() {
-  return DailyTransactionsCollection.find({}, {
+Meteor.publish('dailyTransactions.latest', function(network) {
+  return DailyTransactionsCollection.find({ network: resolveNetworkId(network) }, {
     sort: { updatedAt: -1 },
     limit: 1
   });
@@ -19,12 +26,12 @@ Meteor.publish('dailyTransactions.latest', function() {
 /**
  * Publish daily transactions history for last N days
  */
-Meteor.publish('dailyTransactions.history', function(days = 7) {
+Meteor.publish('dailyTransactions.history', function(days = 7, network) {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
 
   return DailyTransactionsCollection.find(
-    { date: { $gte: startDate } },
+    { network: resolveNetworkId(network), date: { $gte: startDate } },
     { sort: { date: 1 } }
   );
 });
@@ -32,8 +39,8 @@ Meteor.publish('dailyTransactions.history', function(days = 7) {
 /**
  * Publish the latest weekly active addresses record
  */
-Meteor.publish('weeklyActiveAddresses.latest', function() {
-  return WeeklyActiveAddressesCollection.find({}, {
+Meteor.publish('weeklyActiveAddresses.latest', function(network) {
+  return WeeklyActiveAddressesCollection.find({ network: resolveNetworkId(network) }, {
     sort: { updatedAt: -1 },
     limit: 1
   });
@@ -42,18 +49,28 @@ Meteor.publish('weeklyActiveAddresses.latest', function() {
 /**
  * Publish weekly active addresses history for last N entries
  */
-Meteor.publish('weeklyActiveAddresses.history', function(days = 7) {
-  return WeeklyActiveAddressesCollection.find({}, {
+Meteor.publish('weeklyActiveAddresses.history', function(days = 7, network) {
+  return WeeklyActiveAddressesCollection.find({ network: resolveNetworkId(network) }, {
     sort: { updatedAt: -1 },
     limit: days
   });
 });
 
+/**
+ * Publish DAU/WAU/MAU snapshots for the last N days
+ */
+Meteor.publish('activeAddresses.history', function(days = 7, network) {
+  return ActiveAddressesCollection.find({ network: resolveNetworkId(network) }, {
+    sort: { date: -1 },
+    limit: days
+  });
+});
+
 /**
  * Publish the latest TVL record
  */
-Meteor.publish('tvl.latest', function() {
-  return TvlCollection.find({}, {
+Meteor.publish('tvl.latest', function(network) {
+  return TvlCollection.find({ network: resolveNetworkId(network) }, {
     sort: { timestamp: -1 },
     limit: 1
   });
@@ -62,8 +79,8 @@ Meteor.publish('tvl.latest', function() {
 /**
  * Publish TVL history for last N records
  */
-Meteor.publish('tvl.history', function(days = 7) {
-  return TvlCollection.find({}, {
+Meteor.publish('tvl.history', function(days = 7, network) {
+  return TvlCollection.find({ network: resolveNetworkId(network) }, {
     sort: { timestamp: -1 },
     limit: days
   });
@@ -72,11 +89,63 @@ Meteor.publish('tvl.history', function(days = 7) {
 /**
  * Publish bridge activity for last 24 hours
  */
-Meteor.publish('bridgeActivity.recent', function() {
+Meteor.publish('bridgeActivity.recent', function(network) {
   const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
 
   return BridgeActivityCollection.find(
-    { timestamp: { $gte: twentyFourHoursAgo } },
+    { network: resolveNetworkId(network), timestamp: { $gte: twentyFourHoursAgo } },
     { sort: { timestamp: -1 } }
   );
 });
+
+/**
+ * Publish the most recent contract deployments
+ */
+Meteor.publish('contractDeployments.recent', function(limit = 20, network) {
+  return ContractDeploymentsCollection.find(
+    { network: resolveNetworkId(network) },
+    { sort: { blockNumber: -1 }, limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, 100) : 20 }
+  );
+});
+
+/**
+ * Publish the most recent whale events (large bridge movements and transfers)
+ */
+Meteor.publish('whaleEvents.recent', function(limit = 20, network) {
+  return WhaleEventsCollection.find(
+    { network: resolveNetworkId(network) },
+    { sort: { timestamp: -1 }, limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, 100) : 20 }
+  );
+});
+
+/**
+ * Publish the latest top contracts ranking for a period (days)
+ */
+Meteor.publish('topContracts.latest', function(days = 7, network) {
+  return TopContractsCollection.find({ network: resolveNetworkId(network), days });
+});
+
+/**
+ * Publish the most recent backfill jobs with live progress
+ */
+Meteor.publish('backfillJobs.recent', function(limit = 10, network) {
+  return BackfillJobsCollection.find(
+    { network: resolveNetworkId(network) },
+    { sort: { createdAt: -1 }, limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, 50) : 10 }
+  );
+});
+
+/**
+ * Publish the most recent scheduled job runs, optionally for a single job
+ */
+Meteor.publish('jobRuns.recent', function(job = null, limit = 50, network) {
+  const selector = { network: resolveNetworkId(network) };
+  if (typeof job === 'string') {
+    selector.job = job;
+  }
+
+  return JobRunsCollection.find(selector, {
+    sort: { startedAt: -1 },
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, 200) : 50
+  });
+});
@@ -0,0 +1,359 @@
+import { ethers } from 'ethers';
+import { getActiveNetworkId, getNetworkConfig, getProvider, getL1Provider } from './blockchain.js';
+import { redactErrorMessage } from './rpcPool.js';
+import { percentile } from './gasKpis.js';
+import { RetryablesCollection, IndexerCheckpointsCollection } from '../imports/api/collections.js';
+
+// Emitted by the L1 Bridge for every message queued for L2
+const BRIDGE_INTERFACE = new ethers.utils.Interface([
+  'event MessageDelivered(uint256 indexed messageIndex, bytes32 indexed beforeInboxAcc, address inbox, uint8 kind, address sender, bytes32 messageDataHash, uint256 baseFeeL1, uint64 timestamp)'
+]);
+const MESSAGE_DELIVERED_TOPIC = BRIDGE_INTERFACE.getEventTopic('MessageDelivered');
+
+// Emitted by the L1 Inbox with the message payload
+const INBOX_MESSAGE_DELIVERED_TOPIC = ethers.utils.id('InboxMessageDelivered(uint256,bytes)');
+
+// Message kind of createRetryableTicket / unsafeCreateRetryableTicket (deposits)
+const L1_MESSAGE_TYPE_SUBMIT_RETRYABLE = 9;
+
+// ArbRetryableTx precompile: schedules auto-redeems and reports live tickets
+const ARB_RETRYABLE_TX_ADDRESS = '0x000000000000000000000000000000000000006e';
+const REDEEM_SCHEDULED_TOPIC = ethers.utils.id('RedeemScheduled(bytes32,bytes32,uint64,uint64,address,uint256,uint256)');
+const ARB_RETRYABLE_TX_ABI = ['function getTimeout(bytes32 ticketId) view returns (uint256)'];
+
+// A ticket that is never redeemed expires after this long on L2
+const RETRYABLE_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+
+// L1 blocks scanned when a network has no cursor yet (~7 days at 12s blocks), per getLogs request and per run
+const INITIAL_LOOKBACK_BLOCKS = 50400;
+const LOG_CHUNK_BLOCKS = 2000;
+const MAX_BLOCKS_PER_RUN = 20000;
+
+// Blocks to stay behind the L1 head, so reorged messages aren't indexed
+const L1_CONFIRMATIONS = 6;
+
+// Retryables whose status is still open, checked against L2 per run
+const STATUS_BATCH_SIZE = 100;
+
+// Statuses that can still change
+const OPEN_STATUSES = ['pending', 'needs-redeem'];
+
+// Latency histogram buckets (upper bound in minutes)
+const LATENCY_BUCKETS = [5, 10, 15, 30, 60];
+
+/**
+ * Strip leading zeros from a number for RLP encoding
+ */
+function formatNumber(value) {
+  return ethers.utils.stripZeros(ethers.BigNumber.from(value).toHexString());
+}
+
+/**
+ * Decode a submitRetryable message payload (abi.encodePacked of 32-byte words followed by the call data)
+ * Returns: { to, l2CallValue, deposit, maxSubmissionFee, excessFeeRefundAddress, callValueRefundAddress, gasLimit, maxFeePerGas, data }
+ */
+function decodeRetryableData(data) {
+  const word = i => ethers.utils.hexDataSlice(data, i * 32, (i + 1) * 32);
+  const address = i => ethers.utils.getAddress(ethers.utils.hexDataSlice(word(i), 12));
+  const dataLength = ethers.BigNumber.from(word(8)).toNumber();
+
+  return {
+    to: address(0),
+    l2CallValue: ethers.BigNumber.from(word(1)),
+    deposit: ethers.BigNumber.from(word(2)),
+    maxSubmissionFee: ethers.BigNumber.from(word(3)),
+    excessFeeRefundAddress: address(4),
+    callValueRefundAddress: address(5),
+    gasLimit: ethers.BigNumber.from(word(6)),
+    maxFeePerGas: ethers.BigNumber.from(word(7)),
+    data: dataLength > 0 ? ethers.utils.hexDataSlice(data, 9 * 32, 9 * 32 + dataLength) : '0x'
+  };
+}
+
+/**
+ * Calculate the L2 ticket id of a retryable, which is also the hash of its type-105 submission transaction on L2
+ * Mirrors the SubmitRetryable transaction encoding used by Arbitrum nodes
+ */
+export function calculateTicketId(l2ChainId, messageIndex, sender, baseFeeL1, retryable) {
+  const fields = [
+    formatNumber(l2ChainId),
+    ethers.utils.zeroPad(formatNumber(messageIndex), 32),
+    sender,
+    formatNumber(baseFeeL1),
+    formatNumber(retryable.deposit),
+    formatNumber(retryable.maxFeePerGas),
+    formatNumber(retryable.gasLimit),
+    retryable.to === ethers.constants.AddressZero ? '0x' : retryable.to,
+    formatNumber(retryable.l2CallValue),
+    retryable.callValueRefundAddress,
+    formatNumber(retryable.maxSubmissionFee),
+    retryable.excessFeeRefundAddress,
+    retryable.data
+  ];
+
+  return ethers.utils.keccak256(ethers.utils.concat(['0x69', ethers.utils.RLP.encode(fields)]));
+}
+
+/**
+ * Fetch the retryable messages delivered to the L1 Bridge in [fromBlock, toBlock]
+ * Joins the Bridge's MessageDelivered events with the Inbox's payloads by message index
+ * Returns: retryable documents ready to store
+ */
+async function fetchRetryableMessages(fromBlock, toBlock, network) {
+  const config = getNetworkConfig(network);
+  const l1Provider = getL1Provider(network);
+
+  const [deliveredLogs, inboxLogs] = await Promise.all([
+    l1Provider.getLogs({ address: config.l1.bridgeContract, topics: [MESSAGE_DELIVERED_TOPIC], fromBlock, toBlock }),
+    l1Provider.getLogs({ address: config.l1.inboxContract, topics: [INBOX_MESSAGE_DELIVERED_TOPIC], fromBlock, toBlock })
+  ]);
+
+  const payloads = new Map(inboxLogs.map(log => [
+    ethers.BigNumber.from(log.topics[1]).toString(),
+    ethers.utils.defaultAbiCoder.decode(['bytes'], log.data)[0]
+  ]));
+
+  const messages = [];
+  for (const log of deliveredLogs) {
+    const { args } = BRIDGE_INTERFACE.parseLog(log);
+    const messageIndex = args.messageIndex.toString();
+    if (args.kind !== L1_MESSAGE_TYPE_SUBMIT_RETRYABLE || !payloads.has(messageIndex)) continue;
+
+    const retryable = decodeRetryableData(payloads.get(messageIndex));
+    messages.push({
+      messageIndex: Number(messageIndex),
+      ticketId: calculateTicketId(config.chainId, args.messageIndex, args.sender, args.baseFeeL1, retryable),
+      l1TxHash: log.transactionHash,
+      l1BlockNumber: log.blockNumber,
+      l1Timestamp: new Date(args.timestamp.toNumber() * 1000),
+      sender: args.sender.toLowerCase(),
+      to: retryable.to.toLowerCase(),
+      deposit: Number(ethers.utils.formatEther(retryable.deposit)),
+      l2CallValue: Number(ethers.utils.formatEther(retryable.l2CallValue)),
+      gasLimit: retryable.gasLimit.toNumber()
+    });
+  }
+
+  return messages;
+}
+
+/**
+ * Index retryable tickets created on L1 since the last run
+ * Scans the Bridge and Inbox through the L1 provider, a confirmation margin behind the head,
+ * and keeps its cursor (lastL1MessageBlock) on the network's indexer checkpoint
+ * Called by the scheduler
+ * Returns: { fromBlock, toBlock, found } (newly inserted retryables)
+ */
+export async function indexRetryables(network = getActiveNetworkId()) {
+  const l1Config = getNetworkConfig(network).l1;
+  if (!l1Config || !ethers.utils.isAddress(l1Config.bridgeContract || '') || !ethers.utils.isAddress(l1Config.inboxContract || '')) {
+    console.error(`[${network}] L1 bridge/inbox contracts missing in settings, skipping retryable indexing`);
+    return { fromBlock: null, toBlock: null, found: 0 };
+  }
+
+  const checkpoint = await IndexerCheckpointsCollection.findOneAsync({ _id: network });
+  if (!checkpoint) {
+    console.log(`⏳ [${network}] Waiting for the indexer checkpoint before indexing retryables`);
+    return { fromBlock: null, toBlock: null, found: 0 };
+  }
+
+  const head = await getL1Provider(network).getBlockNumber() - L1_CONFIRMATIONS;
+  const fromBlock = checkpoint.lastL1MessageBlock != null
+    ? checkpoint.lastL1MessageBlock + 1
+    : Math.max(0, head - INITIAL_LOOKBACK_BLOCKS);
+  const toBlock = Math.min(head, fromBlock + MAX_BLOCKS_PER_RUN - 1);
+  if (fromBlock > toBlock) {
+    return { fromBlock, toBlock, found: 0 };
+  }
+
+  let found = 0;
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_BLOCKS) {
+    const end = Math.min(toBlock, start + LOG_CHUNK_BLOCKS - 1);
+
+    for (const message of await fetchRetryableMessages(start, end, network)) {
+      const result = await RetryablesCollection.upsertAsync(
+        { network, messageIndex: message.messageIndex },
+        {
+          $set: message,
+          // Advanced by updateRetryableStatuses, so rescanning doesn't reset it
+          $setOnInsert: { status: 'pending', createdAt: new Date() }
+        }
+      );
+      if (result.insertedId) {
+        found++;
+      }
+    }
+
+    // Move the cursor after every chunk so a failure resumes from there
+    await IndexerCheckpointsCollection.updateAsync({ _id: network }, { $set: { lastL1MessageBlock: end } });
+  }
+
+  console.log(`✅ [${network}] Retryables: ${found} new from L1 blocks ${fromBlock}-${toBlock}`);
+  return { fromBlock, toBlock, found };
+}
+
+/**
+ * Work out what happened to a retryable on L2
+ * pending: not created on L2 yet • failed: the submission reverted • auto-redeemed: the scheduled redeem succeeded
+ * needs-redeem: the ticket is alive but its auto-redeem failed or wasn't scheduled
+ * redeemed: it was later redeemed manually (or cancelled) • expired: it was never redeemed within its lifetime
+ * Returns: fields to update
+ */
+async function checkRetryable(retryable, network) {
+  const provider = getProvider(network);
+
+  const receipt = await provider.getTransactionReceipt(retryable.ticketId);
+  if (!receipt) {
+    return { status: 'pending' };
+  }
+
+  const block = await provider.getBlock(receipt.blockNumber);
+  const l2Timestamp = new Date(block.timestamp * 1000);
+  const update = {
+    l2BlockNumber: receipt.blockNumber,
+    l2Timestamp,
+    latencySeconds: Math.max(0, (l2Timestamp - retryable.l1Timestamp) / 1000)
+  };
+
+  if (receipt.status === 0) {
+    return { ...update, status: 'failed' };
+  }
+
+  const scheduled = receipt.logs.find(log =>
+    log.address.toLowerCase() === ARB_RETRYABLE_TX_ADDRESS &&
+    log.topics[0] === REDEEM_SCHEDULED_TOPIC &&
+    log.topics[1] === retryable.ticketId
+  );
+  if (scheduled) {
+    update.autoRedeemTxHash = scheduled.topics[2];
+    const redeemReceipt = await provider.getTransactionReceipt(scheduled.topics[2]);
+    if (!redeemReceipt) {
+      return { ...update, status: 'pending' };
+    }
+    if (redeemReceipt.status === 1) {
+      return { ...update, status: 'auto-redeemed' };
+    }
+  }
+
+  // The ticket is alive until it's redeemed, cancelled or expires
+  const arbRetryableTx = new ethers.Contract(ARB_RETRYABLE_TX_ADDRESS, ARB_RETRYABLE_TX_ABI, provider);
+  try {
+    const timeout = await arbRetryableTx.getTimeout(retryable.ticketId);
+    return { ...update, status: 'needs-redeem', expiresAt: new Date(timeout.toNumber() * 1000) };
+  } catch (error) {
+    if (error.code !== 'CALL_EXCEPTION') {
+      throw error;
+    }
+    const expiresAt = retryable.expiresAt || new Date(l2Timestamp.getTime() + RETRYABLE_LIFETIME_MS);
+    return { ...update, status: new Date() < expiresAt ? 'redeemed' : 'expired' };
+  }
+}
+
+/**
+ * Match open retryables to their L2 execution and update their status
+ * A ticket that fails to check keeps its error in lastError and doesn't stop the others
+ * Called by the scheduler; throws when every ticket in the batch failed
+ * Returns: { checked, changed, failed }
+ */
+export async function updateRetryableStatuses(network = getActiveNetworkId()) {
+  const result = { checked: 0, changed: 0, failed: 0 };
+
+  try {
+    const open = await RetryablesCollection.find(
+      { network, status: { $in: OPEN_STATUSES } },
+      { sort: { lastCheckedAt: 1 }, limit: STATUS_BATCH_SIZE }
+    ).fetchAsync();
+
+    let lastError = null;
+    for (const retryable of open) {
+      try {
+        const update = await checkRetryable(retryable, network);
+        await RetryablesCollection.updateAsync(
+          { _id: retryable._id },
+          { $set: { ...update, lastCheckedAt: new Date(), lastError: null } }
+        );
+
+        result.checked++;
+        if (update.status !== retryable.status) {
+          result.changed++;
+        }
+      } catch (error) {
+        lastError = error;
+        result.failed++;
+        console.error(`[${network}] Error checking retryable ${retryable.ticketId}:`, error.message);
+        await RetryablesCollection.updateAsync(
+          { _id: retryable._id },
+          { $set: { lastCheckedAt: new Date(), lastError: redactErrorMessage(error.message) } }
+        );
+      }
+    }
+
+    console.log(`✅ [${network}] Retryable statuses: ${result.checked} checked, ${result.changed} changed, ${result.failed} failed`);
+    if (result.failed > 0 && result.failed === open.length) {
+      throw new Error(`All ${result.failed} retryable checks failed: ${lastError.message}`);
+    }
+    return result;
+  } catch (error) {
+    console.error(`[${network}] Error updating retryable statuses:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Summarize retryable deposits by status with the L1-to-L2 latency distribution over the last N days
+ * Returns: { statuses: { [status]: { count, deposit } }, latency: { count, p50, p90, p99, max, buckets: [{ label, count }] } (seconds),
+ *   attention: [{ ticketId, l1TxHash, status, sender, deposit, l1Timestamp, expiresAt }] (failed or needing a manual redeem, newest first) }
+ */
+export async function getRetryableSummary(days = 7, network = getActiveNetworkId()) {
+  const emptyLatency = { count: 0, p50: null, p90: null, p99: null, max: null, buckets: [] };
+
+  try {
+    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const match = { network, l1Timestamp: { $gte: startDate } };
+
+    const rows = await RetryablesCollection.rawCollection().aggregate([
+      { $match: match },
+      { $group: { _id: '$status', count: { $sum: 1 }, deposit: { $sum: '$deposit' } } }
+    ]).toArray();
+    const statuses = Object.fromEntries(rows.map(row => [row._id, { count: row.count, deposit: row.deposit }]));
+
+    const latencies = (await RetryablesCollection.find(
+      { ...match, latencySeconds: { $ne: null } },
+      { sort: { latencySeconds: 1 }, fields: { latencySeconds: 1 } }
+    ).fetchAsync()).map(row => row.latencySeconds);
+
+    const buckets = LATENCY_BUCKETS.map((minutes, i) => ({
+      label: i === 0 ? `<${minutes}m` : `${LATENCY_BUCKETS[i - 1]}-${minutes}m`,
+      count: latencies.filter(s => s < minutes * 60 && (i === 0 || s >= LATENCY_BUCKETS[i - 1] * 60)).length
+    }));
+    buckets.push({
+      label: `>${LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1]}m`,
+      count: latencies.filter(s => s >= LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1] * 60).length
+    });
+
+    const attention = await RetryablesCollection.find(
+      { network, status: { $in: ['failed', 'needs-redeem', 'expired'] } },
+      {
+        sort: { l1Timestamp: -1 },
+        limit: 20,
+        fields: { ticketId: 1, l1TxHash: 1, status: 1, sender: 1, deposit: 1, l1Timestamp: 1, expiresAt: 1 }
+      }
+    ).fetchAsync();
+
+    return {
+      statuses,
+      latency: latencies.length === 0 ? emptyLatency : {
+        count: latencies.length,
+        p50: percentile(latencies, 50),
+        p90: percentile(latencies, 90),
+        p99: percentile(latencies, 99),
+        max: latencies[latencies.length - 1],
+        buckets
+      },
+      attention: attention.map(({ _id, ...retryable }) => retryable)
+    };
+  } catch (error) {
+    console.error('Error summarizing retryables:', error.message);
+    return { statuses: {}, latency: emptyLatency, attention: [] };
+  }
+}
@@ -0,0 +1,245 @@
+import { ethers } from 'ethers';
+
+// Consecutive failures before an endpoint is taken out of rotation (until a health check passes)
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+// Endpoints this many blocks behind the best endpoint are considered stale
+const MAX_BLOCK_LAG = 20;
+
+// Number of recent requests used for the error rate
+const STATS_WINDOW = 100;
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.2;
+
+// JSON-RPC error codes that point at the node rather than the request (limit exceeded, internal error)
+const NODE_ERROR_CODES = [-32005, -32603];
+
+/**
+ * Read the endpoint list from a network (or l1) config
+ * Accepts rpcEndpoints: [{ url, weight }] or the legacy single rpcEndpoint string
+ */
+export function getEndpointConfigs(config) {
+  if (Array.isArray(config?.rpcEndpoints) && config.rpcEndpoints.length > 0) {
+    return config.rpcEndpoints.map(endpoint =>
+      typeof endpoint === 'string' ? { url: endpoint, weight: 1 } : endpoint
+    );
+  }
+
+  return config?.rpcEndpoint ? [{ url: config.rpcEndpoint, weight: 1 }] : [];
+}
+
+/**
+ * Strip path and query from an RPC URL, which often carry API keys
+ */
+export function redactRpcUrl(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}`;
+  } catch (error) {
+    return 'invalid url';
+  }
+}
+
+/**
+ * Redact every URL in an error message; ethers includes the full request URL in its errors
+ */
+export function redactErrorMessage(message) {
+  return String(message ?? '').replace(/\b(?:https?|wss?):\/\/[^\s"'`<>]+/g, url => redactRpcUrl(url));
+}
+
+/**
+ * Create a pool of RPC endpoints for one chain
+ * Each endpoint gets a plain provider and a batching provider, plus health and latency stats
+ */
+export function createRpcPool(name, endpointConfigs, network) {
+  if (endpointConfigs.length === 0) {
+    throw new Error(`No RPC endpoints configured for ${name}`);
+  }
+
+  const endpoints = endpointConfigs.map(({ url, weight = 1 }) => ({
+    url,
+    weight,
+    provider: new ethers.providers.StaticJsonRpcProvider(url, network),
+    batchProvider: new ethers.providers.JsonRpcBatchProvider(url, network),
+    healthy: true,
+    consecutiveFailures: 0,
+    latencyMs: null,
+    outcomes: [],
+    requests: 0,
+    errors: 0,
+    lastError: null,
+    blockNumber: null,
+    lastCheckedAt: null
+  }));
+
+  console.log(`Configured ${name} RPC pool: ${endpoints.map(e => `${redactRpcUrl(e.url)} (weight ${e.weight})`).join(', ')}`);
+
+  return { name, endpoints, activeUrl: null };
+}
+
+/**
+ * Whether an error means the endpoint is unhealthy (as opposed to a bad request like a revert)
+ */
+function isEndpointFailure(error) {
+  const rpcError = error?.error || error;
+  if (typeof rpcError?.code === 'number') {
+    return NODE_ERROR_CODES.includes(rpcError.code);
+  }
+  return true;
+}
+
+/**
+ * Update an endpoint's latency, error rate and health after a request
+ */
+function recordOutcome(pool, endpoint, ok, latencyMs, error) {
+  endpoint.requests++;
+  endpoint.outcomes.push(ok);
+  if (endpoint.outcomes.length > STATS_WINDOW) {
+    endpoint.outcomes.shift();
+  }
+
+  endpoint.latencyMs = endpoint.latencyMs === null
+    ? latencyMs
+    : endpoint.latencyMs + LATENCY_SMOOTHING * (latencyMs - endpoint.latencyMs);
+
+  if (ok) {
+    endpoint.consecutiveFailures = 0;
+    return;
+  }
+
+  endpoint.errors++;
+  endpoint.consecutiveFailures++;
+  endpoint.lastError = redactErrorMessage(error.message);
+
+  if (endpoint.healthy && endpoint.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+    endpoint.healthy = false;
+    console.error(`❌ ${pool.name} RPC ${redactRpcUrl(endpoint.url)} marked unhealthy after ${endpoint.consecutiveFailures} failures: ${endpoint.lastError}`);
+  }
+}
+
+/**
+ * Pick an endpoint by weight among the healthy endpoints not tried yet
+ * Falls back to unhealthy endpoints once every healthy one has been tried
+ */
+function pickEndpoint(pool, tried) {
+  const untried = pool.endpoints.filter(endpoint => !tried.has(endpoint));
+  const healthy = untried.filter(endpoint => endpoint.healthy);
+  const candidates = healthy.length > 0 ? healthy : untried;
+
+  const totalWeight = candidates.reduce((sum, endpoint) => sum + endpoint.weight, 0);
+  let roll = Math.random() * totalWeight;
+  for (const endpoint of candidates) {
+    roll -= endpoint.weight;
+    if (roll < 0) {
+      return endpoint;
+    }
+  }
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Run fn(endpoint) against the pool, failing over to another endpoint when one fails
+ * Throws the last error once every endpoint has been tried
+ */
+export async function withFailover(pool, fn) {
+  const tried = new Set();
+  let lastError;
+
+  while (tried.size < pool.endpoints.length) {
+    const endpoint = pickEndpoint(pool, tried);
+    tried.add(endpoint);
+
+    const startedAt = Date.now();
+    try {
+      const result = await fn(endpoint);
+      recordOutcome(pool, endpoint, true, Date.now() - startedAt);
+      pool.activeUrl = endpoint.url;
+      return result;
+    } catch (error) {
+      if (!isEndpointFailure(error)) {
+        recordOutcome(pool, endpoint, true, Date.now() - startedAt);
+        throw error;
+      }
+      recordOutcome(pool, endpoint, false, Date.now() - startedAt, error);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Create an ethers provider that sends every request through the pool
+ * Drop-in replacement for JsonRpcProvider, so getBlock/getTransaction/etc. all fail over
+ */
+export function createFailoverProvider(pool, network) {
+  class FailoverJsonRpcProvider extends ethers.providers.StaticJsonRpcProvider {
+    send(method, params) {
+      return withFailover(pool, endpoint => endpoint.provider.send(method, params));
+    }
+  }
+
+  return new FailoverJsonRpcProvider(pool.endpoints[0].url, network);
+}
+
+/**
+ * Probe every endpoint with eth_blockNumber
+ * Endpoints that fail or lag more than MAX_BLOCK_LAG blocks behind the best one leave rotation,
+ * endpoints that pass rejoin it
+ */
+export async function checkPoolHealth(pool) {
+  await Promise.all(pool.endpoints.map(async (endpoint) => {
+    const startedAt = Date.now();
+    try {
+      const blockNumber = await endpoint.provider.send('eth_blockNumber', []);
+      endpoint.blockNumber = Number(blockNumber);
+      recordOutcome(pool, endpoint, true, Date.now() - startedAt);
+    } catch (error) {
+      endpoint.blockNumber = null;
+      recordOutcome(pool, endpoint, false, Date.now() - startedAt, error);
+    }
+    endpoint.lastCheckedAt = new Date();
+  }));
+
+  const bestBlock = Math.max(...pool.endpoints.map(endpoint => endpoint.blockNumber ?? -1));
+
+  for (const endpoint of pool.endpoints) {
+    const reachable = endpoint.blockNumber !== null;
+    const inSync = reachable && bestBlock - endpoint.blockNumber <= MAX_BLOCK_LAG;
+    const healthy = reachable && inSync;
+
+    if (healthy !== endpoint.healthy) {
+      const reason = !reachable ? endpoint.lastError : `${bestBlock - endpoint.blockNumber} blocks behind`;
+      console.log(healthy
+        ? `✅ ${pool.name} RPC ${redactRpcUrl(endpoint.url)} back in rotation`
+        : `❌ ${pool.name} RPC ${redactRpcUrl(endpoint.url)} out of rotation (${reason})`);
+    }
+    endpoint.healthy = healthy;
+  }
+}
+
+/**
+ * Get pool state for display: active endpoint plus latency/error stats per endpoint
+ * URLs are redacted since they often embed API keys
+ */
+export function getPoolStatus(pool) {
+  return {
+    activeEndpoint: pool.activeUrl ? redactRpcUrl(pool.activeUrl) : null,
+    endpoints: pool.endpoints.map(endpoint => {
+      const failures = endpoint.outcomes.filter(ok => !ok).length;
+      return {
+        url: redactRpcUrl(endpoint.url),
+        weight: endpoint.weight,
+        healthy: endpoint.healthy,
+        latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+        errorRate: endpoint.outcomes.length > 0 ? failures / endpoint.outcomes.length : 0,
+        requests: endpoint.requests,
+        errors: endpoint.errors,
+        lastError: endpoint.lastError,
+        blockNumber: endpoint.blockNumber,
+        lastCheckedAt: endpoint.lastCheckedAt
+      };
+    })
+  };
+}
@@ -1,93 +1,340 @@
 import { Meteor } from 'meteor/meteor';
+import os from 'os';
+import crypto from 'crypto';
 import {
   updateDailyTransactionCount,
   calculate24hTransactions,
-  calculateTVL,
+  updateTVL,
   calculateBridgeActivityFromTransactions,
   calculateBridgeVolume,
-  updateWeeklyActiveAddresses
+  updateWeeklyActiveAddresses,
+  updateActiveAddresses
 } from './kpis.js';
+import { updateTopContracts } from './topContracts.js';
+import { updateWithdrawalStatuses } from './withdrawals.js';
+import { indexRetryables, updateRetryableStatuses } from './retryables.js';
+import { checkBlockProduction } from './blockKpis.js';
+import { detectWhaleEvents } from './whales.js';
+import { resumeInterruptedBackfillJobs } from './backfillJobs.js';
+import { getActiveNetworkId, checkRpcHealth } from './blockchain.js';
+import { redactErrorMessage } from './rpcPool.js';
+import { JobLocksCollection, JobRunsCollection } from '../imports/api/collections.js';
+
+// How often the scheduler checks which jobs are due
+const TICK_INTERVAL = 5 * 1000; // 5 seconds
+
+// A running job holds its lock this long and renews it while it runs;
+// an instance that dies mid-run frees the job once the lease runs out
+const LOCK_LEASE = 2 * 60 * 1000; // 2 minutes
+const LOCK_RENEW_INTERVAL = 30 * 1000; // 30 seconds
+
+// Identifies this process in locks and run history
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Job registry
+ * - intervalSeconds: default schedule, overridable via settings.hpp.scheduler.jobs.<name>.intervalSeconds
+ * - shared: false for jobs that act on this instance's own state (no lock, every instance runs them)
+ * - recordRuns: false for high-frequency jobs that would flood the run history
+ */
+const JOBS = {
+  tvl: {
+    description: 'Update TVL from the L1 bridge balance',
+    intervalSeconds: 5 * 60,
+    run: network => updateTVL(network)
+  },
+  bridgeActivity: {
+    description: 'Update 24h bridge activity',
+    intervalSeconds: 5 * 60,
+    run: network => calculateBridgeActivityFromTransactions(network)
+  },
+  bridgeVolume: {
+    description: 'Update 24h bridge volume',
+    intervalSeconds: 5 * 60,
+    run: network => calculateBridgeVolume(network)
+  },
+  transactions24h: {
+    description: 'Update 24h transaction count',
+    intervalSeconds: 5 * 60,
+    run: network => calculate24hTransactions(network)
+  },
+  dailyTransactions: {
+    description: 'Update daily transaction snapshot',
+    intervalSeconds: 10 * 60,
+    run: network => updateDailyTransactionCount(network)
+  },
+  weeklyActiveAddresses: {
+    description: 'Ingest new blocks and update weekly active addresses',
+    intervalSeconds: 15 * 60,
+    run: network => updateWeeklyActiveAddresses(network)
+  },
+  activeAddresses: {
+    description: 'Update DAU/WAU/MAU snapshots',
+    intervalSeconds: 15 * 60,
+    run: network => updateActiveAddresses(network)
+  },
+  withdrawalStatus: {
+    description: 'Advance withdrawals through the L1 challenge period and Outbox execution',
+    intervalSeconds: 10 * 60,
+    run: network => updateWithdrawalStatuses(network)
+  },
+  retryables: {
+    description: 'Index retryable tickets from the L1 Bridge and Inbox',
+    intervalSeconds: 5 * 60,
+    run: network => indexRetryables(network)
+  },
+  retryableStatus: {
+    description: 'Match retryable tickets to their L2 execution',
+    intervalSeconds: 5 * 60,
+    run: network => updateRetryableStatuses(network)
+  },
+  whaleEvents: {
+    description: 'Flag bridge movements and transfers above the whale thresholds',
+    intervalSeconds: 5 * 60,
+    run: network => detectWhaleEvents(network)
+  },
+  topContracts: {
+    description: 'Update top contract rankings',
+    intervalSeconds: 10 * 60,
+    run: network => updateTopContracts(network)
+  },
+  backfillJobs: {
+    description: 'Resume backfill jobs left queued or running by a stopped instance',
+    intervalSeconds: 5 * 60,
+    run: network => resumeInterruptedBackfillJobs(network)
+  },
+  blockProduction: {
+    description: 'Alert when block production stalls',
+    intervalSeconds: 60,
+    recordRuns: false,
+    run: network => checkBlockProduction(network)
+  },
+  rpcHealth: {
+    description: 'Check RPC endpoint health',
+    intervalSeconds: 30,
+    shared: false,
+    recordRuns: false,
+    run: network => checkRpcHealth(network)
+  }
+};
+
+// Networks the scheduler runs jobs for
+const scheduledNetworks = new Set();
+
+// Per job and network state in this process: key -> { running, nextRunAt }
+const localState = new Map();
+
+let tickTimer = null;
+
+/**
+ * Get a job's schedule, applying overrides from settings.hpp.scheduler.jobs
+ * Returns: { enabled, intervalMs }
+ */
+function getSchedule(name) {
+  const override = Meteor.settings.hpp?.scheduler?.jobs?.[name] || {};
+  return {
+    enabled: override.enabled !== false,
+    intervalMs: (override.intervalSeconds || JOBS[name].intervalSeconds) * 1000
+  };
+}
+
+function getLocalState(key) {
+  if (!localState.has(key)) {
+    localState.set(key, { running: false, nextRunAt: 0 });
+  }
+  return localState.get(key);
+}
 
 /**
- * Setup server-side scheduled jobs for periodic KPI updates
- * Called from Meteor.startup in main.js
+ * Claim a due job for this instance
+ * Succeeds only when the job's next run time has passed and no other instance holds an unexpired lock,
+ * and moves the next run time forward in the same write
+ * Returns: true if this instance should run the job
  */
-export async function startScheduledJobs() {
-  console.log('🕐 Starting scheduled jobs...');
+export async function acquireLock(key, intervalMs) {
+  const now = new Date();
 
-  // Run all updates immediately on startup
-  console.log('🚀 Running initial KPI updates...');
   try {
-    await Promise.all([
-      calculate24hTransactions(),
-      calculateTVL(),
-      calculateBridgeActivityFromTransactions(),
-      calculateBridgeVolume()
-    ]);
-    console.log('✅ Initial KPI updates complete');
+    const updated = await JobLocksCollection.updateAsync(
+      {
+        _id: key,
+        nextRunAt: { $lte: now },
+        $or: [{ owner: null }, { lockedUntil: { $lt: now } }]
+      },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + LOCK_LEASE),
+          lastStartedAt: now,
+          nextRunAt: new Date(now.getTime() + intervalMs)
+        }
+      },
+      { upsert: true }
+    );
+    return updated > 0;
   } catch (error) {
-    console.error('❌ Error in initial KPI updates:', error.message);
+    // Duplicate key: the lock document exists but isn't due or is held elsewhere
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
   }
+}
 
-  // Update TVL every 5 minutes
-  setInterval(async () => {
-    try {
-      console.log('⏰ Running scheduled TVL update...');
-      await calculateTVL();
-    } catch (error) {
-      console.error('❌ Error in scheduled TVL update:', error.message);
-    }
-  }, 5 * 60 * 1000); // 5 minutes
-
-  // Update bridge activity every 5 minutes
-  setInterval(async () => {
-    try {
-      console.log('⏰ Running scheduled bridge activity update...');
-      await calculateBridgeActivityFromTransactions();
-    } catch (error) {
-      console.error('❌ Error in scheduled bridge activity update:', error.message);
-    }
-  }, 5 * 60 * 1000); // 5 minutes
-
-  // Update bridge volume every 5 minutes
-  setInterval(async () => {
-    try {
-      console.log('⏰ Running scheduled bridge volume update...');
-      await calculateBridgeVolume();
-    } catch (error) {
-      console.error('❌ Error in scheduled bridge volume update:', error.message);
-    }
-  }, 5 * 60 * 1000); // 5 minutes
-
-  // Update 24h transaction count every 5 minutes
-  setInterval(async () => {
-    try {
-      console.log('⏰ Running scheduled 24h transaction update...');
-      await calculate24hTransactions();
-    } catch (error) {
-      console.error('❌ Error in scheduled 24h transaction update:', error.message);
+async function renewLock(key) {
+  await JobLocksCollection.updateAsync(
+    { _id: key, owner: INSTANCE_ID },
+    { $set: { lockedUntil: new Date(Date.now() + LOCK_LEASE) } }
+  );
+}
+
+async function releaseLock(key) {
+  await JobLocksCollection.updateAsync(
+    { _id: key, owner: INSTANCE_ID },
+    { $set: { owner: null, lockedUntil: null, lastFinishedAt: new Date() } }
+  );
+}
+
+/**
+ * Run one job for one network and record the outcome
+ */
+async function runJob(name, network, key, intervalMs) {
+  const job = JOBS[name];
+  const state = getLocalState(key);
+  const shared = job.shared !== false;
+  const recordRuns = job.recordRuns !== false;
+
+  if (shared) {
+    if (!(await acquireLock(key, intervalMs))) {
+      // Not due yet or running elsewhere: check back when the stored schedule says it's due
+      const lock = await JobLocksCollection.findOneAsync({ _id: key });
+      state.nextRunAt = lock?.nextRunAt ? lock.nextRunAt.getTime() : Date.now() + intervalMs;
+      return;
     }
-  }, 5 * 60 * 1000); // 5 minutes
-
-  // Update daily transaction count every 10 minutes
-  setInterval(async () => {
-    try {
-      console.log('⏰ Running scheduled daily transaction update...');
-      await updateDailyTransactionCount();
-    } catch (error) {
-      console.error('❌ Error in scheduled daily transaction update:', error.message);
+  }
+
+  const startedAt = new Date();
+  state.running = true;
+  state.nextRunAt = startedAt.getTime() + intervalMs;
+
+  const runId = recordRuns
+    ? await JobRunsCollection.insertAsync({ job: name, network, instanceId: INSTANCE_ID, status: 'running', startedAt })
+    : null;
+  const renewTimer = shared ? setInterval(() => renewLock(key).catch(() => {}), LOCK_RENEW_INTERVAL) : null;
+
+  let status = 'success';
+  let errorMessage = null;
+  try {
+    if (recordRuns) {
+      console.log(`⏰ [${network}] Running scheduled job ${name}...`);
     }
-  }, 10 * 60 * 1000); // 10 minutes
-
-  // Update weekly active addresses every 15 minutes
-  setInterval(async () => {
-    try {
-      console.log('⏰ Running scheduled weekly active addresses update...');
-      await updateWeeklyActiveAddresses();
-    } catch (error) {
-      console.error('❌ Error in scheduled weekly active addresses update:', error.message);
+    await job.run(network);
+  } catch (error) {
+    status = 'failed';
+    errorMessage = redactErrorMessage(error.message);
+    console.error(`❌ [${network}] Error in scheduled job ${name}:`, error.message);
+  } finally {
+    clearInterval(renewTimer);
+    state.running = false;
+  }
+
+  const finishedAt = new Date();
+  if (runId) {
+    await JobRunsCollection.updateAsync(
+      { _id: runId },
+      { $set: { status, error: errorMessage, finishedAt, durationMs: finishedAt - startedAt } }
+    );
+  }
+  if (shared) {
+    await releaseLock(key);
+  }
+}
+
+/**
+ * Record a run that was skipped because the previous one is still going
+ */
+async function recordSkippedRun(name, network) {
+  const now = new Date();
+  console.warn(`⚠️  [${network}] Skipping scheduled job ${name}: previous run still in progress`);
+  await JobRunsCollection.insertAsync({
+    job: name,
+    network,
+    instanceId: INSTANCE_ID,
+    status: 'skipped',
+    error: 'Previous run still in progress',
+    startedAt: now,
+    finishedAt: now,
+    durationMs: 0
+  });
+}
+
+/**
+ * Start every due job on every scheduled network
+ */
+function tick() {
+  const now = Date.now();
+
+  for (const network of scheduledNetworks) {
+    for (const name of Object.keys(JOBS)) {
+      const { enabled, intervalMs } = getSchedule(name);
+      if (!enabled) continue;
+
+      const key = `${network}:${name}`;
+      const state = getLocalState(key);
+      if (now < state.nextRunAt) continue;
+
+      if (state.running) {
+        state.nextRunAt = now + intervalMs;
+        if (JOBS[name].recordRuns !== false) {
+          recordSkippedRun(name, network).catch(error => console.error('❌ Error recording skipped run:', error.message));
+        }
+        continue;
+      }
+
+      runJob(name, network, key, intervalMs).catch((error) => {
+        state.running = false;
+        console.error(`❌ [${network}] Scheduler error for job ${name}:`, error.message);
+      });
     }
-  }, 15 * 60 * 1000); // 15 minutes
+  }
+}
+
+/**
+ * Schedule periodic KPI jobs for a network
+ * Jobs due on startup run on the first tick; every instance ticks, but the Mongo lock lets only one run each job
+ * Called from Meteor.startup in main.js, once per tracked network
+ */
+export async function startScheduledJobs(network = getActiveNetworkId()) {
+  scheduledNetworks.add(network);
+
+  const enabledJobs = Object.keys(JOBS).filter(name => getSchedule(name).enabled);
+  console.log(`🕐 [${network}] Scheduled jobs: ${enabledJobs.map(name => `${name} (${getSchedule(name).intervalMs / 1000}s)`).join(', ')}`);
+
+  if (!tickTimer) {
+    console.log(`✅ Scheduler started on instance ${INSTANCE_ID}`);
+    tickTimer = setInterval(tick, TICK_INTERVAL);
+    tick();
+  }
+}
+
+/**
+ * Get recorded job runs, newest first
+ * Filters: { network, job, status, limit }
+ */
+export async function getJobRunHistory({ network = getActiveNetworkId(), job, status, limit = 50 } = {}) {
+  const selector = { network };
+  if (job) selector.job = job;
+  if (status) selector.status = status;
 
-  console.log('✅ Scheduled jobs started');
+  return await JobRunsCollection.find(selector, {
+    sort: { startedAt: -1 },
+    limit: Math.min(limit, 500)
+  }).fetchAsync();
+}
+
+/**
+ * Names of the registered jobs (for argument validation)
+ */
+export function getJobNames() {
+  return Object.keys(JOBS);
 }
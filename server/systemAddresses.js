@@ -0,0 +1,22 @@
+// System addresses to exclude from KPI calculations (ArbOS, null address, etc.)
+// Note: We record all addresses in the database, but filter them out during aggregation queries
+export const SYSTEM_ADDRESSES = [
+  '0x0000000000000000000000000000000000000000', // Null address
+  '0x0000000000000000000000000000000000000001', // ArbOS precompile
+  '0x0000000000000000000000000000000000000002', // ArbRetryableTx precompile (old)
+  '0x0000000000000000000000000000000000000064', // ArbRetryableTx precompile
+  '0x0000000000000000000000000000000000000065', // ArbGasInfo precompile
+  '0x0000000000000000000000000000000000000066', // ArbAddressTable precompile
+  '0x0000000000000000000000000000000000000067', // ArbStatistics precompile
+  '0x0000000000000000000000000000000000000068', // ArbOwner precompile
+  '0x000000000000000000000000000000000000006b', // ArbAggregator precompile
+  '0x000000000000000000000000000000000000006c', // ArbFunctionTable precompile
+  '0x000000000000000000000000000000000000006d', // ArbosTest precompile
+  '0x000000000000000000000000000000000000006e', // ArbSys precompile
+  '0x000000000000000000000000000000000000006f', // ArbInfo precompile
+  '0x0000000000000000000000000000000000000070', // ArbOwnerPublic precompile
+  '0x0000000000000000000000000000000000000071', // ArbDebug precompile
+  '0x0000000000000000000000000000000000000072', // ArbWasm precompile
+  '0x0000000000000000000000000000000000000073', // ArbWasmCache precompile
+  '0x00000000000000000000000000000000000a4b05', // NodeInterface precompile
+];
@@ -0,0 +1,289 @@
+import { ethers } from 'ethers';
+import { getActiveNetworkId, getProvider } from './blockchain.js';
+import {
+  TokensCollection,
+  TokenTransfersCollection,
+  TokenBalancesCollection
+} from '../imports/api/collections.js';
+
+// keccak256('Transfer(address,address,uint256)'), shared by ERC-20 and ERC-721
+export const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+const ERC20_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Balances below this (in token units) are float residue, not holdings
+const HOLDER_DUST = 1e-9;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Token metadata per network:address, so each block doesn't hit Mongo for every log
+const metadataCache = new Map();
+
+/**
+ * Convert an indexed address topic to a lowercase address
+ */
+export function topicToAddress(topic) {
+  return `0x${topic.slice(26)}`.toLowerCase();
+}
+
+/**
+ * Read an optional contract field, returning null when the call reverts or isn't implemented
+ * RPC failures are rethrown so the block is retried instead of caching incomplete metadata
+ */
+async function readField(contract, field) {
+  try {
+    return await contract[field]();
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a token's name, symbol and decimals, fetching them from the contract the first time
+ * decimals is null for contracts that don't implement it (NFT collections), whose amounts can't be scaled
+ * standard ('erc20', 'erc721' or 'erc1155') is recorded from the event the contract was first seen in
+ * Returns: { address, standard, name, symbol, decimals }
+ */
+export async function getTokenMetadata(address, network = getActiveNetworkId(), standard = 'erc20') {
+  const key = `${network}:${address}`;
+  if (metadataCache.has(key)) {
+    return metadataCache.get(key);
+  }
+
+  let token = await TokensCollection.findOneAsync({ network, address });
+  if (!token) {
+    const contract = new ethers.Contract(address, ERC20_ABI, getProvider(network));
+    const [name, symbol, decimals] = await Promise.all([
+      readField(contract, 'name'),
+      readField(contract, 'symbol'),
+      readField(contract, 'decimals')
+    ]);
+
+    token = {
+      address,
+      standard,
+      name,
+      symbol,
+      decimals: decimals === null ? null : Number(decimals),
+      fetchedAt: new Date()
+    };
+    await TokensCollection.upsertAsync({ network, address }, { $set: token });
+  }
+
+  const metadata = { address, standard: token.standard, name: token.name, symbol: token.symbol, decimals: token.decimals };
+  metadataCache.set(key, metadata);
+  return metadata;
+}
+
+/**
+ * Apply a transfer to the sender's and receiver's balances (sign -1 reverts it)
+ * Mints and burns only move the non-zero side
+ */
+async function applyToBalances(network, transfer, sign) {
+  if (transfer.amount === null) {
+    return;
+  }
+
+  if (transfer.from !== ZERO_ADDRESS) {
+    await TokenBalancesCollection.upsertAsync(
+      { network, token: transfer.token, holder: transfer.from },
+      { $inc: { balance: -sign * transfer.amount } }
+    );
+  }
+  if (transfer.to !== ZERO_ADDRESS) {
+    await TokenBalancesCollection.upsertAsync(
+      { network, token: transfer.token, holder: transfer.to },
+      { $inc: { balance: sign * transfer.amount } }
+    );
+  }
+}
+
+/**
+ * Index the ERC-20 Transfer events in a transaction receipt
+ * ERC-20 transfers have three topics (ERC-721 indexes the token id as a fourth)
+ * Balances only move when a transfer is first inserted, so re-ingesting a block is a no-op
+ * Returns: number of newly indexed transfers
+ */
+export async function indexTokenTransfers(receipt, block, blockTimestamp, network) {
+  let added = 0;
+
+  for (const log of receipt.logs) {
+    if (log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) continue;
+
+    const token = await getTokenMetadata(log.address, network);
+    const value = ethers.BigNumber.from(log.data === '0x' ? 0 : log.data).toString();
+    const transfer = {
+      token: log.address,
+      from: topicToAddress(log.topics[1]),
+      to: topicToAddress(log.topics[2]),
+      value, // Raw amount, as a string since it can exceed Number precision
+      amount: token.decimals === null ? null : Number(ethers.utils.formatUnits(value, token.decimals)),
+      blockNumber: block.number,
+      timestamp: blockTimestamp
+    };
+
+    const result = await TokenTransfersCollection.upsertAsync(
+      { network, txHash: receipt.transactionHash, logIndex: log.logIndex },
+      { $set: transfer }
+    );
+    if (result.insertedId) {
+      await applyToBalances(network, transfer, 1);
+      added++;
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Remove token transfers of a network's blocks in [fromBlock, toBlock], reverting their balance changes
+ * Returns: number of transfers removed
+ */
+export async function rollbackTokenTransfers(fromBlock, toBlock, network) {
+  const range = { network, blockNumber: { $gte: fromBlock, $lte: toBlock } };
+
+  const transfers = await TokenTransfersCollection.find(range).fetchAsync();
+  for (const transfer of transfers) {
+    await applyToBalances(network, transfer, -1);
+  }
+
+  return await TokenTransfersCollection.removeAsync(range);
+}
+
+/**
+ * Count addresses holding a token
+ */
+async function countHolders(token, network) {
+  return await TokenBalancesCollection.find({ network, token, balance: { $gt: HOLDER_DUST } }).countAsync();
+}
+
+/**
+ * Get tokens with transfers in the last N days, most active first
+ * Returns: [{ address, name, symbol, decimals, transfers, volume, senders, receivers, holders }]
+ */
+export async function getTokenList(days = 7, limit = 25, network = getActiveNetworkId()) {
+  try {
+    const startDate = new Date(Date.now() - days * DAY_MS);
+
+    const pipeline = [
+      { $match: { network, timestamp: { $gte: startDate } } },
+      {
+        $group: {
+          _id: '$token',
+          transfers: { $sum: 1 },
+          volume: { $sum: { $ifNull: ['$amount', 0] } },
+          senders: { $addToSet: '$from' },
+          receivers: { $addToSet: '$to' }
+        }
+      },
+      { $sort: { transfers: -1 } },
+      { $limit: limit }
+    ];
+
+    const rows = await TokenTransfersCollection.rawCollection().aggregate(pipeline, { allowDiskUse: true }).toArray();
+
+    const tokens = [];
+    for (const row of rows) {
+      const metadata = await getTokenMetadata(row._id, network);
+      tokens.push({
+        ...metadata,
+        transfers: row.transfers,
+        volume: row.volume,
+        senders: row.senders.filter(address => address !== ZERO_ADDRESS).length,
+        receivers: row.receivers.filter(address => address !== ZERO_ADDRESS).length,
+        holders: await countHolders(row._id, network)
+      });
+    }
+
+    return tokens;
+  } catch (error) {
+    console.error('Error getting token list:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get one token's KPIs with daily history (null on error)
+ * Returns: { token, holders, totals: { transfers, volume, senders, receivers }, history: [{ date, timestamp, transfers, volume, senders, receivers }], topHolders: [{ holder, balance }] }
+ */
+export async function getTokenDetails(address, days = 7, network = getActiveNetworkId()) {
+  try {
+    const startDate = new Date();
+    startDate.setUTCHours(0, 0, 0, 0);
+    startDate.setUTCDate(startDate.getUTCDate() - (days - 1));
+
+    const match = { $match: { network, token: address, timestamp: { $gte: startDate } } };
+    const senders = { $filter: { input: '$senders', cond: { $ne: ['$$this', ZERO_ADDRESS] } } };
+    const receivers = { $filter: { input: '$receivers', cond: { $ne: ['$$this', ZERO_ADDRESS] } } };
+
+    const dailyRows = await TokenTransfersCollection.rawCollection().aggregate([
+      match,
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          transfers: { $sum: 1 },
+          volume: { $sum: { $ifNull: ['$amount', 0] } },
+          senders: { $addToSet: '$from' },
+          receivers: { $addToSet: '$to' }
+        }
+      },
+      { $project: { transfers: 1, volume: 1, senders: { $size: senders }, receivers: { $size: receivers } } }
+    ]).toArray();
+    const byDate = new Map(dailyRows.map(row => [row._id, row]));
+
+    const [totals] = await TokenTransfersCollection.rawCollection().aggregate([
+      match,
+      {
+        $group: {
+          _id: null,
+          transfers: { $sum: 1 },
+          volume: { $sum: { $ifNull: ['$amount', 0] } },
+          senders: { $addToSet: '$from' },
+          receivers: { $addToSet: '$to' }
+        }
+      },
+      { $project: { transfers: 1, volume: 1, senders: { $size: senders }, receivers: { $size: receivers } } }
+    ], { allowDiskUse: true }).toArray();
+
+    const history = [];
+    for (let i = 0; i < days; i++) {
+      const dateStr = new Date(startDate.getTime() + i * DAY_MS).toISOString().split('T')[0];
+      const day = byDate.get(dateStr) || { transfers: 0, volume: 0, senders: 0, receivers: 0 };
+      history.push({
+        date: dateStr,
+        timestamp: new Date(dateStr + 'T12:00:00Z'), // Noon UTC
+        transfers: day.transfers,
+        volume: day.volume,
+        senders: day.senders,
+        receivers: day.receivers
+      });
+    }
+
+    const topHolders = await TokenBalancesCollection.find(
+      { network, token: address, balance: { $gt: HOLDER_DUST } },
+      { sort: { balance: -1 }, limit: 10, fields: { holder: 1, balance: 1 } }
+    ).fetchAsync();
+
+    return {
+      token: await getTokenMetadata(address, network),
+      holders: await countHolders(address, network),
+      totals: totals
+        ? { transfers: totals.transfers, volume: totals.volume, senders: totals.senders, receivers: totals.receivers }
+        : { transfers: 0, volume: 0, senders: 0, receivers: 0 },
+      history,
+      topHolders: topHolders.map(({ holder, balance }) => ({ holder, balance }))
+    };
+  } catch (error) {
+    console.error('Error getting token details:', error.message);
+    return null;
+  }
+}
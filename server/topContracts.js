@@ -0,0 +1,145 @@
+import { getActiveNetworkId, getCode } from './blockchain.js';
+import { SYSTEM_ADDRESSES } from './systemAddresses.js';
+import { AddressActivityCollection, TopContractsCollection } from '../imports/api/collections.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Periods (days) kept as snapshots for the dashboard
+export const TOP_CONTRACT_PERIODS = [1, 7, 30];
+
+// Destinations stored per snapshot
+const SNAPSHOT_LIMIT = 25;
+
+// Whether an address has code, per network (only re-checked for addresses that had none)
+const contractCache = new Map();
+
+/**
+ * Check whether a destination is a contract, caching positive answers
+ */
+async function isContract(address, network) {
+  const key = `${network}:${address}`;
+  if (contractCache.get(key)) {
+    return true;
+  }
+
+  try {
+    const code = await getCode(address, 'latest', network);
+    const hasCode = Boolean(code && code !== '0x');
+    contractCache.set(key, hasCode);
+    return hasCode;
+  } catch (error) {
+    console.error(`[${network}] Error checking code of ${address}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Rank transaction destinations by number of calls over the last N days
+ * Trend buckets are hourly for a 1-day period and daily otherwise; change compares with the preceding period
+ * Activity indexed before destinations were recorded has no `to` and is left out
+ * Throws when the ranking can't be calculated
+ * Returns: { days, totalTransactions, contracts: [{ address, calls, uniqueCallers, share, previousCalls, change, isContract, trend: [{ bucket, calls }] }] }
+ */
+async function calculateTopContracts(days, limit, network) {
+  const now = new Date();
+  const startDate = new Date(now.getTime() - days * DAY_MS);
+  const previousStart = new Date(startDate.getTime() - days * DAY_MS);
+
+  const totalTransactions = await AddressActivityCollection.find({
+    network,
+    timestamp: { $gte: startDate }
+  }).countAsync();
+
+  const rankingPipeline = [
+    { $match: { network, timestamp: { $gte: startDate }, to: { $ne: null, $nin: SYSTEM_ADDRESSES } } },
+    { $group: { _id: { to: '$to', caller: '$address' }, calls: { $sum: 1 } } },
+    { $group: { _id: '$_id.to', calls: { $sum: '$calls' }, uniqueCallers: { $sum: 1 } } },
+    { $sort: { calls: -1 } },
+    { $limit: limit }
+  ];
+  const ranking = await AddressActivityCollection.rawCollection().aggregate(rankingPipeline, { allowDiskUse: true }).toArray();
+  const addresses = ranking.map(row => row._id);
+
+  // Calls per bucket for the ranked destinations
+  const bucketFormat = days <= 1 ? '%Y-%m-%dT%H:00' : '%Y-%m-%d';
+  const trendRows = await AddressActivityCollection.rawCollection().aggregate([
+    { $match: { network, timestamp: { $gte: startDate }, to: { $in: addresses } } },
+    {
+      $group: {
+        _id: { to: '$to', bucket: { $dateToString: { format: bucketFormat, date: '$timestamp' } } },
+        calls: { $sum: 1 }
+      }
+    }
+  ]).toArray();
+  const trendCalls = new Map(trendRows.map(row => [`${row._id.to}|${row._id.bucket}`, row.calls]));
+
+  const previousRows = await AddressActivityCollection.rawCollection().aggregate([
+    { $match: { network, timestamp: { $gte: previousStart, $lt: startDate }, to: { $in: addresses } } },
+    { $group: { _id: '$to', calls: { $sum: 1 } } }
+  ]).toArray();
+  const previousCalls = new Map(previousRows.map(row => [row._id, row.calls]));
+
+  // Every bucket in the period, oldest first
+  const bucketCount = days <= 1 ? 24 : days;
+  const bucketMs = days <= 1 ? HOUR_MS : DAY_MS;
+  const buckets = [];
+  for (let i = bucketCount - 1; i >= 0; i--) {
+    const iso = new Date(now.getTime() - i * bucketMs).toISOString();
+    buckets.push(days <= 1 ? `${iso.slice(0, 13)}:00` : iso.slice(0, 10));
+  }
+
+  const contracts = [];
+  for (const row of ranking) {
+    const previous = previousCalls.get(row._id) || 0;
+    contracts.push({
+      address: row._id,
+      calls: row.calls,
+      uniqueCallers: row.uniqueCallers,
+      share: totalTransactions > 0 ? (row.calls / totalTransactions) * 100 : 0,
+      previousCalls: previous,
+      change: previous > 0 ? ((row.calls - previous) / previous) * 100 : null,
+      isContract: await isContract(row._id, network),
+      trend: buckets.map(bucket => ({ bucket, calls: trendCalls.get(`${row._id}|${bucket}`) || 0 }))
+    });
+  }
+
+  return { days, totalTransactions, contracts };
+}
+
+/**
+ * Rank transaction destinations by number of calls over the last N days (see calculateTopContracts)
+ * Returns an empty ranking when it can't be calculated
+ */
+export async function getTopContracts(days = 7, limit = 10, network = getActiveNetworkId()) {
+  try {
+    return await calculateTopContracts(days, limit, network);
+  } catch (error) {
+    console.error('Error calculating top contracts:', error.message);
+    return { days, totalTransactions: 0, contracts: [] };
+  }
+}
+
+/**
+ * Store top contract snapshots for every dashboard period
+ * A failed ranking throws and leaves the previous snapshot in place
+ * Called by the scheduler
+ */
+export async function updateTopContracts(network = getActiveNetworkId()) {
+  for (const days of TOP_CONTRACT_PERIODS) {
+    const result = await calculateTopContracts(days, SNAPSHOT_LIMIT, network);
+
+    await TopContractsCollection.upsertAsync(
+      { network, days },
+      {
+        $set: {
+          totalTransactions: result.totalTransactions,
+          contracts: result.contracts,
+          updatedAt: new Date()
+        }
+      }
+    );
+  }
+
+  console.log(`✅ [${network}] Top contracts updated (${TOP_CONTRACT_PERIODS.map(days => `${days}d`).join(', ')})`);
+}
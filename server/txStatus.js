@@ -0,0 +1,105 @@
+import { getActiveNetworkId } from './blockchain.js';
+import { SYSTEM_ADDRESSES } from './systemAddresses.js';
+import { TransactionsCollection } from '../imports/api/collections.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Failure rate in percent of the transactions with a known outcome
+ */
+const failureRate = (successful, failed) => (successful + failed > 0 ? (failed / (successful + failed)) * 100 : 0);
+
+/**
+ * Count successful and failed transactions since a date
+ * Transactions ingested before receipts were stored have no status and are left out
+ * Returns: { successful, failed, failureRate (percent) }
+ */
+export async function getTransactionOutcomes(startDate, network = getActiveNetworkId()) {
+  const [successful, failed] = await Promise.all([
+    TransactionsCollection.find({ network, status: 1, timestamp: { $gte: startDate } }).countAsync(),
+    TransactionsCollection.find({ network, status: 0, timestamp: { $gte: startDate } }).countAsync()
+  ]);
+
+  return { successful, failed, failureRate: failureRate(successful, failed) };
+}
+
+/**
+ * Get successful versus failed (reverted) transactions per day
+ * Returns last N days: [{ date, timestamp, total, successful, failed, successRate, failureRate (percent) }]
+ */
+export async function getTransactionStatusHistory(days = 7, network = getActiveNetworkId()) {
+  try {
+    const startDate = new Date();
+    startDate.setUTCHours(0, 0, 0, 0);
+    startDate.setUTCDate(startDate.getUTCDate() - (days - 1));
+
+    const rows = await TransactionsCollection.rawCollection().aggregate([
+      { $match: { network, timestamp: { $gte: startDate }, status: { $in: [0, 1] } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          successful: { $sum: { $cond: [{ $eq: ['$status', 1] }, 1, 0] } },
+          failed: { $sum: { $cond: [{ $eq: ['$status', 0] }, 1, 0] } }
+        }
+      }
+    ]).toArray();
+    const byDate = new Map(rows.map(row => [row._id, row]));
+
+    const history = [];
+    for (let i = 0; i < days; i++) {
+      const date = new Date(startDate.getTime() + i * DAY_MS).toISOString().split('T')[0];
+      const { successful, failed } = byDate.get(date) || { successful: 0, failed: 0 };
+      const total = successful + failed;
+
+      history.push({
+        date,
+        timestamp: new Date(date + 'T12:00:00Z'), // Noon UTC
+        total,
+        successful,
+        failed,
+        successRate: total > 0 ? 100 - failureRate(successful, failed) : 0,
+        failureRate: failureRate(successful, failed)
+      });
+    }
+
+    return history;
+  } catch (error) {
+    console.error(`[${network}] Error calculating transaction status history:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Rank transaction destinations by number of reverted calls over the last N days
+ * Returns: [{ address, failed, calls, failureRate (percent), lastFailureAt }]
+ */
+export async function getTopRevertingContracts(days = 7, limit = 10, network = getActiveNetworkId()) {
+  try {
+    const startDate = new Date(Date.now() - days * DAY_MS);
+
+    const ranking = await TransactionsCollection.rawCollection().aggregate([
+      { $match: { network, status: 0, timestamp: { $gte: startDate }, to: { $ne: null, $nin: SYSTEM_ADDRESSES } } },
+      { $group: { _id: '$to', failed: { $sum: 1 }, lastFailureAt: { $max: '$timestamp' } } },
+      { $sort: { failed: -1 } },
+      { $limit: limit }
+    ]).toArray();
+
+    // All calls with a known outcome to the ranked destinations, for their failure rate
+    const callRows = await TransactionsCollection.rawCollection().aggregate([
+      { $match: { network, timestamp: { $gte: startDate }, to: { $in: ranking.map(row => row._id) }, status: { $in: [0, 1] } } },
+      { $group: { _id: '$to', calls: { $sum: 1 } } }
+    ]).toArray();
+    const calls = new Map(callRows.map(row => [row._id, row.calls]));
+
+    return ranking.map(row => ({
+      address: row._id,
+      failed: row.failed,
+      calls: calls.get(row._id) || row.failed,
+      failureRate: (row.failed / (calls.get(row._id) || row.failed)) * 100,
+      lastFailureAt: row.lastFailureAt
+    }));
+  } catch (error) {
+    console.error(`[${network}] Error ranking reverting contracts:`, error.message);
+    return [];
+  }
+}
@@ -0,0 +1,145 @@
+import { Meteor } from 'meteor/meteor';
+import { getActiveNetworkId, getNetworkConfig } from './blockchain.js';
+import { getEthPrice } from './kpis.js';
+import { getTokenPrice } from './gateways.js';
+import { getTokenMetadata } from './tokens.js';
+import { SYSTEM_ADDRESSES } from './systemAddresses.js';
+import {
+  BridgeActivityCollection,
+  TransactionsCollection,
+  WhaleEventsCollection
+} from '../imports/api/collections.js';
+
+// Each run re-checks the last 24 hours, so deposits whose amount is filled in later are still caught
+const LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Arbitrum deposit transaction types (ETH deposit mint, retryable submission); the bridge rows cover these
+const DEPOSIT_TX_TYPES = [100, 105];
+
+/**
+ * Get the whale thresholds from settings hpp.whaleThresholds ({ eth, usd })
+ * Either one may be left out; an amount is a whale event when it reaches any configured threshold
+ * Returns null when neither is configured
+ */
+function getThresholds() {
+  const { eth = null, usd = null } = Meteor.settings.hpp?.whaleThresholds || {};
+  if (eth === null && usd === null) {
+    return null;
+  }
+  return { eth, usd };
+}
+
+/**
+ * Check an amount against the thresholds (ETH amounts only count against the ETH threshold)
+ */
+function isWhale(asset, amount, amountUSD, thresholds) {
+  return (asset === 'ETH' && thresholds.eth !== null && amount >= thresholds.eth) ||
+    (thresholds.usd !== null && amountUSD !== null && amountUSD >= thresholds.usd);
+}
+
+/**
+ * Store a whale event, logging it the first time it is seen
+ * Returns: 1 if the event is new, 0 otherwise
+ */
+async function recordWhaleEvent(event, network) {
+  const { txHash, logIndex, ...fields } = event;
+  const result = await WhaleEventsCollection.upsertAsync(
+    { network, txHash, logIndex },
+    {
+      $set: { ...fields, explorerUrl: `${getNetworkConfig(network).blockExplorer}/tx/${txHash}` },
+      $setOnInsert: { detectedAt: new Date() }
+    }
+  );
+
+  if (!result.insertedId) {
+    return 0;
+  }
+
+  const usd = event.amountUSD === null ? '' : ` ($${Math.round(event.amountUSD).toLocaleString()})`;
+  console.log(`🐋 [${network}] Whale ${event.kind}: ${event.amount.toLocaleString()} ${event.asset}${usd} from ${event.address}`);
+  return 1;
+}
+
+/**
+ * Flag bridge deposits/withdrawals and native ETH transfers above the whale thresholds
+ * Token bridge amounts are priced through hpp.tokenPriceIds and only count against the USD threshold,
+ * so tokens without a price are never flagged. Reverted transfers moved nothing and are skipped
+ * Called by the scheduler
+ * Returns: { eventsFound } (new events only)
+ */
+export async function detectWhaleEvents(network = getActiveNetworkId()) {
+  const result = { eventsFound: 0 };
+
+  const thresholds = getThresholds();
+  if (!thresholds) {
+    throw new Error('Whale thresholds missing in settings');
+  }
+
+  try {
+    const since = new Date(Date.now() - LOOKBACK_MS);
+    const ethPrice = await getEthPrice();
+
+    // Smallest ETH amount that can reach either threshold
+    const minEth = Math.min(thresholds.eth ?? Infinity, thresholds.usd !== null ? thresholds.usd / ethPrice : Infinity);
+
+    const ethBridgeRows = await BridgeActivityCollection.find({
+      network,
+      timestamp: { $gte: since },
+      token: null,
+      value: { $gte: minEth }
+    }).fetchAsync();
+
+    const tokenBridgeRows = await BridgeActivityCollection.find({
+      network,
+      timestamp: { $gte: since },
+      token: { $ne: null },
+      amount: { $ne: null }
+    }).fetchAsync();
+
+    const transfers = await TransactionsCollection.find({
+      network,
+      timestamp: { $gte: since },
+      value: { $gte: minEth },
+      to: { $ne: null, $nin: SYSTEM_ADDRESSES }, // Withdrawals through ArbSys are bridge rows
+      type: { $nin: DEPOSIT_TX_TYPES },
+      status: { $ne: 0 }
+    }).fetchAsync();
+
+    const candidates = [];
+    for (const row of ethBridgeRows) {
+      candidates.push({ row, kind: row.type, asset: 'ETH', token: null, amount: row.value, amountUSD: row.value * ethPrice });
+    }
+    for (const row of tokenBridgeRows) {
+      const { symbol } = await getTokenMetadata(row.token, network);
+      const price = await getTokenPrice(symbol);
+      candidates.push({ row, kind: row.type, asset: symbol || row.token, token: row.token, amount: row.amount, amountUSD: price === null ? null : row.amount * price });
+    }
+    for (const tx of transfers) {
+      candidates.push({ row: { ...tx, txHash: tx.hash, logIndex: null }, kind: 'transfer', asset: 'ETH', token: null, amount: tx.value, amountUSD: tx.value * ethPrice });
+    }
+
+    for (const { row, kind, asset, token, amount, amountUSD } of candidates) {
+      if (!isWhale(asset, amount, amountUSD, thresholds)) continue;
+
+      result.eventsFound += await recordWhaleEvent({
+        txHash: row.txHash,
+        logIndex: row.logIndex ?? null,
+        kind,
+        address: row.from,
+        to: row.to,
+        asset,
+        token,
+        amount,
+        amountUSD,
+        blockNumber: row.blockNumber,
+        timestamp: row.timestamp
+      }, network);
+    }
+
+    console.log(`✅ [${network}] Whale detection: ${candidates.length} candidates, ${result.eventsFound} new events`);
+    return result;
+  } catch (error) {
+    console.error(`[${network}] Error detecting whale events:`, error.message);
+    throw error;
+  }
+}
@@ -0,0 +1,261 @@
+import { ethers } from 'ethers';
+import { getActiveNetworkId, getNetworkConfig, getProvider, getL1Provider } from './blockchain.js';
+import { redactErrorMessage } from './rpcPool.js';
+import { BridgeActivityCollection } from '../imports/api/collections.js';
+
+// Emitted by the ArbSys precompile for every L2→L1 message
+// L2ToL1Tx(address caller, address indexed destination, uint256 indexed hash, uint256 indexed position,
+//          uint256 arbBlockNum, uint256 ethBlockNum, uint256 timestamp, uint256 callvalue, bytes data)
+const L2_TO_L1_TX_TOPIC = ethers.utils.id('L2ToL1Tx(address,address,uint256,uint256,uint256,uint256,uint256,uint256,bytes)');
+
+// Emitted by the L1 Outbox when a withdrawal is claimed
+const OUTBOX_EXECUTED_TOPIC = ethers.utils.id('OutBoxTransactionExecuted(address,address,uint256,uint256)');
+
+const OUTBOX_ABI = ['function isSpent(uint256 index) view returns (bool)'];
+
+// The L1 Bridge keeps the list of Outboxes allowed to execute messages; the first one is the rollup's Outbox
+const BRIDGE_ABI = ['function allowedOutboxList(uint256 index) view returns (address)'];
+
+// Arbitrum's default challenge period, used when l1.challengePeriodSeconds isn't configured
+const DEFAULT_CHALLENGE_PERIOD_SECONDS = 7 * 24 * 60 * 60;
+
+// Withdrawals checked against L1 per scheduler run, least recently checked first
+const BATCH_SIZE = 100;
+
+// Outbox addresses read from the L1 Bridge: network -> address
+const resolvedOutboxes = new Map();
+
+/**
+ * Find the L2ToL1Tx event in a withdrawal's receipt
+ * Returns: { position, destination, l1BlockNumber } or null when the receipt has none
+ */
+export function parseWithdrawalLog(receipt) {
+  const log = (receipt?.logs || []).find(entry => entry.topics[0] === L2_TO_L1_TX_TOPIC && entry.topics.length === 4);
+  if (!log) {
+    return null;
+  }
+
+  const [, , ethBlockNum] = ethers.utils.defaultAbiCoder.decode(
+    ['address', 'uint256', 'uint256', 'uint256', 'uint256', 'bytes'],
+    log.data
+  );
+
+  return {
+    position: ethers.BigNumber.from(log.topics[3]).toString(), // Leaf index in the outbox tree, as a string
+    destination: `0x${log.topics[1].slice(26)}`.toLowerCase(),
+    l1BlockNumber: ethBlockNum.toNumber()
+  };
+}
+
+/**
+ * Get the L1 Outbox address and challenge period for a network
+ * l1.outboxContract overrides the address; otherwise it is read once from l1.bridgeContract
+ * Returns null when neither is a usable address
+ */
+async function getOutboxConfig(network) {
+  const l1Config = getNetworkConfig(network).l1;
+  if (!l1Config) {
+    return null;
+  }
+
+  let address = ethers.utils.isAddress(l1Config.outboxContract || '') ? l1Config.outboxContract : resolvedOutboxes.get(network);
+  if (!address) {
+    if (!ethers.utils.isAddress(l1Config.bridgeContract || '')) {
+      return null;
+    }
+    const bridge = new ethers.Contract(l1Config.bridgeContract, BRIDGE_ABI, getL1Provider(network));
+    address = await bridge.allowedOutboxList(0);
+    resolvedOutboxes.set(network, address);
+    console.log(`📮 [${network}] L1 Outbox ${address} (from Bridge ${l1Config.bridgeContract})`);
+  }
+
+  return {
+    address,
+    challengePeriodMs: (l1Config.challengePeriodSeconds ?? DEFAULT_CHALLENGE_PERIOD_SECONDS) * 1000
+  };
+}
+
+/**
+ * Find when a withdrawal was executed on L1 from the Outbox's OutBoxTransactionExecuted event
+ * Searches from the L1 block the withdrawal was initiated at
+ * Returns: { l1ExecutionTxHash, executedAt } or null when the event can't be found (e.g. range too large for the endpoint)
+ */
+async function findExecution(withdrawal, outbox, l1Provider, network) {
+  try {
+    const logs = await l1Provider.getLogs({
+      address: outbox.address,
+      topics: [OUTBOX_EXECUTED_TOPIC, ethers.utils.hexZeroPad(withdrawal.destination, 32)],
+      fromBlock: withdrawal.l1BlockNumber,
+      toBlock: 'latest'
+    });
+
+    const log = logs.find(entry => ethers.BigNumber.from(entry.data).toString() === withdrawal.position);
+    if (!log) {
+      return null;
+    }
+
+    const block = await l1Provider.getBlock(log.blockNumber);
+    return { l1ExecutionTxHash: log.transactionHash, executedAt: new Date(block.timestamp * 1000) };
+  } catch (error) {
+    console.error(`[${network}] Error finding L1 execution of withdrawal ${withdrawal.txHash}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Work out a withdrawal's current lifecycle stage
+ * Withdrawals indexed before positions were recorded get theirs from the L2 receipt first
+ * Returns: the fields to store (position null when the withdrawal has nothing to claim)
+ */
+async function checkWithdrawal(withdrawal, outbox, contract, l1Provider, network) {
+  const update = {};
+
+  if (withdrawal.position === undefined) {
+    const receipt = await getProvider(network).getTransactionReceipt(withdrawal.txHash);
+    Object.assign(update, parseWithdrawalLog(receipt) || { position: null });
+    if (update.position === null) {
+      return update;
+    }
+  }
+  const details = { ...withdrawal, ...update };
+
+  const claimableAt = new Date(details.timestamp.getTime() + outbox.challengePeriodMs);
+  update.claimableAt = claimableAt;
+  update.status = claimableAt <= new Date() ? 'claimable' : 'initiated';
+
+  if (await contract.isSpent(details.position)) {
+    const execution = await findExecution(details, outbox, l1Provider, network);
+    // Without the L1 event, the first run that saw it spent is the best estimate of when it was claimed
+    const executedAt = execution?.executedAt || new Date();
+
+    Object.assign(update, {
+      status: 'executed',
+      executedAt,
+      l1ExecutionTxHash: execution?.l1ExecutionTxHash || null,
+      claimSeconds: Math.max(0, (executedAt - details.timestamp) / 1000)
+    });
+  }
+
+  return update;
+}
+
+/**
+ * Advance withdrawals through their lifecycle: initiated → claimable → executed
+ * A withdrawal becomes claimable once the challenge period has passed since it was initiated on L2,
+ * and executed once the L1 Outbox reports its position as spent
+ * Each run takes the withdrawals checked longest ago, so a batch of unclaimed ones can't hold up newer ones;
+ * a withdrawal that fails to check keeps its error in lastError and doesn't stop the others
+ * Called by the scheduler; throws when every withdrawal in the batch failed
+ * Returns: { checked, claimable, executed, failed }
+ */
+export async function updateWithdrawalStatuses(network = getActiveNetworkId()) {
+  const result = { checked: 0, claimable: 0, executed: 0, failed: 0 };
+
+  try {
+    const outbox = await getOutboxConfig(network);
+    if (!outbox) {
+      throw new Error('L1 bridge or outbox contract missing in settings');
+    }
+
+    const l1Provider = getL1Provider(network);
+    const contract = new ethers.Contract(outbox.address, OUTBOX_ABI, l1Provider);
+
+    // Withdrawals without an L2ToL1Tx event (position null, e.g. reverted transactions) have nothing to claim
+    const pending = await BridgeActivityCollection.find(
+      { network, type: 'withdrawal', status: { $ne: 'executed' }, position: { $not: { $type: 'null' } } },
+      { sort: { lastCheckedAt: 1 }, limit: BATCH_SIZE }
+    ).fetchAsync();
+
+    let lastError = null;
+    for (const withdrawal of pending) {
+      try {
+        const update = await checkWithdrawal(withdrawal, outbox, contract, l1Provider, network);
+        await BridgeActivityCollection.updateAsync(
+          { _id: withdrawal._id },
+          { $set: { ...update, lastCheckedAt: new Date(), lastError: null } }
+        );
+
+        if (update.position === null) continue;
+        result.checked++;
+        if (update.status === 'executed') {
+          result.executed++;
+        } else if (update.status === 'claimable') {
+          result.claimable++;
+        }
+      } catch (error) {
+        lastError = error;
+        result.failed++;
+        console.error(`[${network}] Error checking withdrawal ${withdrawal.txHash}:`, error.message);
+        await BridgeActivityCollection.updateAsync(
+          { _id: withdrawal._id },
+          { $set: { lastCheckedAt: new Date(), lastError: redactErrorMessage(error.message) } }
+        );
+      }
+    }
+
+    console.log(`✅ [${network}] Withdrawal statuses: ${result.checked} checked, ${result.claimable} claimable, ${result.executed} newly executed, ${result.failed} failed`);
+    if (result.failed > 0 && result.failed === pending.length) {
+      throw new Error(`All ${result.failed} withdrawal checks failed: ${lastError.message}`);
+    }
+    return result;
+  } catch (error) {
+    console.error(`[${network}] Error updating withdrawal statuses:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Median of an ascending array (the mean of the two middle values for an even length)
+ * Returns null for an empty array
+ */
+export function median(sortedValues) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+
+  const middle = Math.floor(sortedValues.length / 2);
+  return sortedValues.length % 2
+    ? sortedValues[middle]
+    : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+}
+
+/**
+ * Summarize withdrawals by lifecycle stage
+ * Pending covers initiated (in challenge period) and claimable withdrawals; claimed ones were executed on L1
+ * Withdrawals whose status hasn't been checked yet count as initiated; those without an L2ToL1Tx event are left out
+ * Amounts are ETH, so gateway token withdrawals only add to the counts
+ * Returns: { initiated, claimable, pending, claimed: { count, amount }, medianClaimHours }
+ */
+export async function getWithdrawalSummary(network = getActiveNetworkId()) {
+  const empty = { count: 0, amount: 0 };
+
+  try {
+    const rows = await BridgeActivityCollection.rawCollection().aggregate([
+      { $match: { network, type: 'withdrawal', position: { $not: { $type: 'null' } } } },
+      { $group: { _id: { $ifNull: ['$status', 'initiated'] }, count: { $sum: 1 }, amount: { $sum: '$value' } } }
+    ]).toArray();
+    const byStatus = new Map(rows.map(row => [row._id, { count: row.count, amount: row.amount }]));
+
+    const initiated = byStatus.get('initiated') || empty;
+    const claimable = byStatus.get('claimable') || empty;
+
+    const claimTimes = await BridgeActivityCollection.find(
+      { network, type: 'withdrawal', status: 'executed', claimSeconds: { $ne: null } },
+      { sort: { claimSeconds: 1 }, fields: { claimSeconds: 1 } }
+    ).fetchAsync();
+
+    const medianSeconds = median(claimTimes.map(row => row.claimSeconds));
+    const medianClaimHours = medianSeconds === null ? null : medianSeconds / 3600;
+
+    return {
+      initiated,
+      claimable,
+      pending: { count: initiated.count + claimable.count, amount: initiated.amount + claimable.amount },
+      claimed: byStatus.get('executed') || empty,
+      medianClaimHours
+    };
+  } catch (error) {
+    console.error('Error summarizing withdrawals:', error.message);
+    return { initiated: empty, claimable: empty, pending: empty, claimed: empty, medianClaimHours: null };
+  }
+}
@@ -0,0 +1,215 @@
+import assert from "assert";
+import {
+  AddressActivityCollection,
+  BackfillJobsCollection,
+  BlocksCollection,
+  IndexerCheckpointsCollection
+} from "../../imports/api/collections.js";
+import {
+  createBackfillJob,
+  runBackfillJob,
+  pauseBackfillJob,
+  resumeBackfillJob,
+  cancelBackfillJob,
+  getActiveBackfillJob,
+  resumeInterruptedBackfillJobs
+} from "../../server/backfillJobs.js";
+import { startRpcStub, registerStubNetwork } from "./rpcStub.js";
+
+const ALICE = "0x00000000000000000000000000000000000a11ce";
+const BOB = "0x0000000000000000000000000000000000000b0b";
+
+const BLOCK_COUNT = 40;
+
+// Mark a job as running on another instance, with a lease that runs out at lockedUntil
+function runningElsewhere(jobId, lockedUntil) {
+  return BackfillJobsCollection.updateAsync(
+    { _id: jobId },
+    { $set: { status: "running", owner: "other-instance", lockedUntil } }
+  );
+}
+
+describe("backfill jobs", function () {
+  const network = "backfill-test";
+  let stub;
+  let unregister;
+
+  before(async function () {
+    stub = await startRpcStub();
+    for (let i = 0; i < BLOCK_COUNT; i++) {
+      stub.addBlock({ transactions: [{ from: ALICE, to: BOB, value: 1 }] });
+    }
+    unregister = registerStubNetwork(network, stub);
+  });
+
+  after(async function () {
+    unregister();
+    await stub.close();
+  });
+
+  beforeEach(async function () {
+    await BackfillJobsCollection.removeAsync({ network });
+    await IndexerCheckpointsCollection.removeAsync({ _id: network });
+    await AddressActivityCollection.removeAsync({ network });
+    await BlocksCollection.removeAsync({ network });
+  });
+
+  it("scans every range and completes", async function () {
+    const jobId = await createBackfillJob({ network, fromBlock: 1, toBlock: BLOCK_COUNT });
+
+    const job = await runBackfillJob(jobId);
+
+    assert.strictEqual(job.status, "completed");
+    assert.strictEqual(job.stats.blocksScanned, BLOCK_COUNT);
+    assert.strictEqual(job.stats.blocksFailed, 0);
+    assert.ok(job.finishedAt);
+    assert.strictEqual(await AddressActivityCollection.find({ network }).countAsync(), BLOCK_COUNT);
+    assert.strictEqual(await getActiveBackfillJob(network), undefined);
+  });
+
+  it("pauses a running job and resumes it from its cursor", async function () {
+    const jobId = await createBackfillJob({ network, fromBlock: 1, toBlock: BLOCK_COUNT });
+
+    // Hold block 10 until the pause has been requested
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    stub.handlers.eth_getBlockByNumber = async (params) => {
+      if (Number(params[0]) === 10) {
+        await gate;
+      }
+      return stub.methods.eth_getBlockByNumber(params);
+    };
+
+    try {
+      const run = runBackfillJob(jobId);
+      assert.deepStrictEqual(await pauseBackfillJob(jobId), { jobId, status: "pausing" });
+      release();
+
+      const paused = await run;
+      assert.strictEqual(paused.status, "paused");
+      assert.ok(paused.cursor <= 11);
+      assert.ok(paused.stats.blocksScanned < BLOCK_COUNT);
+      assert.strictEqual((await getActiveBackfillJob(network))._id, jobId);
+    } finally {
+      delete stub.handlers.eth_getBlockByNumber;
+    }
+
+    assert.deepStrictEqual(await resumeBackfillJob(jobId), { jobId, status: "running" });
+    const completed = await runBackfillJob(jobId);
+
+    assert.strictEqual(completed.status, "completed");
+    assert.strictEqual(completed.stats.blocksScanned, BLOCK_COUNT);
+  });
+
+  it("cancels a queued job and refuses to resume it", async function () {
+    const jobId = await createBackfillJob({ network, fromBlock: 1, toBlock: BLOCK_COUNT });
+
+    assert.deepStrictEqual(await cancelBackfillJob(jobId), { jobId, status: "cancelled" });
+    assert.strictEqual((await BackfillJobsCollection.findOneAsync({ _id: jobId })).status, "cancelled");
+    assert.strictEqual(await getActiveBackfillJob(network), undefined);
+
+    await assert.rejects(() => resumeBackfillJob(jobId), /Cannot resume a cancelled backfill job/);
+  });
+
+  it("picks up a job left running once its owner's lease runs out", async function () {
+    const jobId = await createBackfillJob({ network, fromBlock: 1, toBlock: BLOCK_COUNT });
+    await runningElsewhere(jobId, new Date(Date.now() + 60000));
+
+    assert.strictEqual(await resumeInterruptedBackfillJobs(network), 0);
+    await assert.rejects(() => resumeBackfillJob(jobId), /Cannot resume a running backfill job/);
+
+    await runningElsewhere(jobId, new Date(Date.now() - 1000));
+    assert.strictEqual(await resumeInterruptedBackfillJobs(network), 1);
+
+    const job = await BackfillJobsCollection.findOneAsync({ _id: jobId });
+    assert.strictEqual(job.status, "completed");
+    assert.strictEqual(job.stats.blocksScanned, BLOCK_COUNT);
+    assert.strictEqual(job.owner, null);
+  });
+
+  it("resumes an orphaned running job on request", async function () {
+    const jobId = await createBackfillJob({ network, fromBlock: 1, toBlock: BLOCK_COUNT });
+    await runningElsewhere(jobId, new Date(Date.now() - 1000));
+
+    assert.deepStrictEqual(await resumeBackfillJob(jobId), { jobId, status: "running" });
+    assert.strictEqual((await runBackfillJob(jobId)).status, "completed");
+  });
+
+  it("asks the instance running a job to stop it through the job record", async function () {
+    const jobId = await createBackfillJob({ network, fromBlock: 1, toBlock: BLOCK_COUNT });
+    await runningElsewhere(jobId, new Date(Date.now() + 60000));
+
+    assert.deepStrictEqual(await pauseBackfillJob(jobId), { jobId, status: "pausing" });
+    let job = await BackfillJobsCollection.findOneAsync({ _id: jobId });
+    assert.strictEqual(job.status, "running");
+    assert.strictEqual(job.stopRequest, "paused");
+
+    // The request outlives its owner: whoever picks the job up next stops it before scanning
+    await runningElsewhere(jobId, new Date(Date.now() - 1000));
+    job = await runBackfillJob(jobId);
+    assert.strictEqual(job.status, "paused");
+    assert.strictEqual(job.stopRequest, null);
+    assert.strictEqual(job.stats.blocksScanned, 0);
+  });
+
+  it("stops a run when a cancel arrives through the job record", async function () {
+    const jobId = await createBackfillJob({ network, fromBlock: 1, toBlock: BLOCK_COUNT });
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    stub.handlers.eth_getBlockByNumber = async (params) => {
+      if (Number(params[0]) === 30) {
+        await gate;
+      }
+      return stub.methods.eth_getBlockByNumber(params);
+    };
+
+    try {
+      const run = runBackfillJob(jobId);
+      // Wait until the run has claimed the job, then cancel it the way another instance would
+      while ((await BackfillJobsCollection.findOneAsync({ _id: jobId })).status !== "running") {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      await BackfillJobsCollection.updateAsync({ _id: jobId }, { $set: { stopRequest: "cancelled" } });
+      release();
+
+      const job = await run;
+      assert.strictEqual(job.status, "cancelled");
+      assert.ok(job.stats.blocksScanned < BLOCK_COUNT);
+    } finally {
+      delete stub.handlers.eth_getBlockByNumber;
+    }
+  });
+
+  it("doesn't overwrite a job that was stopped after its lease ran out", async function () {
+    const jobId = await createBackfillJob({ network, fromBlock: 1, toBlock: BLOCK_COUNT });
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    stub.handlers.eth_getBlockByNumber = async (params) => {
+      if (Number(params[0]) === 10) {
+        await gate;
+      }
+      return stub.methods.eth_getBlockByNumber(params);
+    };
+
+    try {
+      const run = runBackfillJob(jobId);
+      while ((await BackfillJobsCollection.findOneAsync({ _id: jobId })).status !== "running") {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      // Another instance found the lease expired and cancelled the job directly
+      await BackfillJobsCollection.updateAsync(
+        { _id: jobId },
+        { $set: { status: "cancelled", owner: null, lockedUntil: null, finishedAt: new Date() } }
+      );
+      release();
+
+      const job = await run;
+      assert.strictEqual(job.status, "cancelled");
+      assert.ok(job.stats.blocksScanned < BLOCK_COUNT);
+    } finally {
+      delete stub.handlers.eth_getBlockByNumber;
+    }
+  });
+});
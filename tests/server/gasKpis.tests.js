@@ -0,0 +1,91 @@
+import assert from "assert";
+import { BlocksCollection, IndexerCheckpointsCollection, TransactionsCollection } from "../../imports/api/collections.js";
+import { indexNewBlocks } from "../../server/indexer.js";
+import {
+  percentile,
+  getGasUsedHistory,
+  getFeeHistory,
+  getL1FeeShareHistory,
+  getGasPerBlockHistory
+} from "../../server/gasKpis.js";
+import { startRpcStub, registerStubNetwork } from "./rpcStub.js";
+
+const ALICE = "0x00000000000000000000000000000000000a11ce";
+const BOB = "0x0000000000000000000000000000000000000b0b";
+
+const GWEI = 1000000000;
+
+describe("gas KPI percentiles", function () {
+  const values = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+  it("uses the nearest rank", function () {
+    assert.strictEqual(percentile(values, 50), 50);
+    assert.strictEqual(percentile(values, 90), 90);
+    assert.strictEqual(percentile(values, 95), 100);
+    assert.strictEqual(percentile(values, 100), 100);
+  });
+
+  it("returns the smallest value for low percentiles", function () {
+    assert.strictEqual(percentile(values, 0), 10);
+    assert.strictEqual(percentile(values, 1), 10);
+  });
+
+  it("returns the only value of a single-element list", function () {
+    assert.strictEqual(percentile([42], 50), 42);
+    assert.strictEqual(percentile([42], 99), 42);
+  });
+
+  it("returns 0 for an empty list", function () {
+    assert.strictEqual(percentile([], 50), 0);
+  });
+});
+
+describe("gas KPI history", function () {
+  const network = "gas-test";
+  let stub;
+  let unregister;
+
+  before(async function () {
+    stub = await startRpcStub();
+    unregister = registerStubNetwork(network, stub);
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    stub.addBlock({
+      timestamp: today.getTime() / 1000 + 60,
+      transactions: [
+        { from: ALICE, to: BOB, gasUsed: 21000, gasUsedForL1: 1000, gasPrice: GWEI },
+        { from: BOB, to: ALICE, gasUsed: 50000, gasPrice: 2 * GWEI }
+      ]
+    });
+    await indexNewBlocks(network);
+  });
+
+  after(async function () {
+    unregister();
+    await stub.close();
+    await IndexerCheckpointsCollection.removeAsync({ _id: network });
+    await TransactionsCollection.removeAsync({ network });
+    await BlocksCollection.removeAsync({ network });
+  });
+
+  it("sums the gas of ingested transactions per day", async function () {
+    const [day] = await getGasUsedHistory(1, network);
+    assert.strictEqual(day.totalGas, 71000);
+    assert.strictEqual(day.txCount, 2);
+
+    const [blockDay] = await getGasPerBlockHistory(1, network);
+    assert.strictEqual(blockDay.blockCount, 1);
+    assert.strictEqual(blockDay.gasPerBlock, 71000);
+  });
+
+  it("reports fee percentiles and the L1 share of fees", async function () {
+    const [day] = await getFeeHistory(1, network);
+    assert.strictEqual(day.txCount, 2);
+    assert.strictEqual(Math.round(day.p50FeeGwei), 21000);
+    assert.strictEqual(Math.round(day.p99FeeGwei), 100000);
+
+    const [share] = await getL1FeeShareHistory(1, network);
+    assert.ok(Math.abs(share.l1FeeShare - (1000 / 121000) * 100) < 1e-9);
+  });
+});
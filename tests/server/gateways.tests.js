@@ -0,0 +1,154 @@
+import assert from "assert";
+import { ethers } from "ethers";
+import { BridgeActivityCollection, BlocksCollection, IndexerCheckpointsCollection } from "../../imports/api/collections.js";
+import { indexNewBlocks, indexBlockRange } from "../../server/indexer.js";
+import { decodeGatewayLog } from "../../server/gateways.js";
+import { startRpcStub, registerStubNetwork } from "./rpcStub.js";
+
+const DEPOSIT_FINALIZED_TOPIC = ethers.utils.id("DepositFinalized(address,address,address,uint256)");
+const WITHDRAWAL_INITIATED_TOPIC = ethers.utils.id("WithdrawalInitiated(address,address,address,uint256,uint256,uint256)");
+
+const L1_TOKEN = "0x" + "ab".repeat(20);
+const FROM = "0x" + "11".repeat(20);
+const TO = "0x" + "22".repeat(20);
+const GATEWAY = "0x" + "6a".repeat(20);
+const L2_TOKEN = "0x" + "cd".repeat(20);
+const ARBSYS = "0x0000000000000000000000000000000000000064";
+const L2_TO_L1_TX_TOPIC = ethers.utils.id("L2ToL1Tx(address,address,uint256,uint256,uint256,uint256,uint256,uint256,bytes)");
+const topic = address => ethers.utils.hexZeroPad(address, 32);
+
+const tokenInterface = new ethers.utils.Interface([
+  "function calculateL2TokenAddress(address l1ERC20) view returns (address)",
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)"
+]);
+const tokenResults = {
+  calculateL2TokenAddress: [L2_TOKEN],
+  name: ["Test Token"],
+  symbol: ["TST"],
+  decimals: [6]
+};
+
+describe("gateway event decoding", function () {
+  it("decodes a DepositFinalized event", function () {
+    const log = {
+      topics: [DEPOSIT_FINALIZED_TOPIC, topic(L1_TOKEN), topic(FROM), topic(TO)],
+      data: ethers.utils.defaultAbiCoder.encode(["uint256"], ["1000000000000000000000"])
+    };
+
+    assert.deepStrictEqual(decodeGatewayLog(log), {
+      type: "deposit",
+      l1Token: L1_TOKEN,
+      from: FROM,
+      to: TO,
+      amountRaw: "1000000000000000000000"
+    });
+  });
+
+  it("decodes a WithdrawalInitiated event", function () {
+    const log = {
+      topics: [WITHDRAWAL_INITIATED_TOPIC, topic(FROM), topic(TO), topic("0x05")],
+      data: ethers.utils.defaultAbiCoder.encode(["address", "uint256", "uint256"], [L1_TOKEN, 3, 250])
+    };
+
+    assert.deepStrictEqual(decodeGatewayLog(log), {
+      type: "withdrawal",
+      l1Token: L1_TOKEN,
+      from: FROM,
+      to: TO,
+      amountRaw: "250"
+    });
+  });
+
+  it("ignores events with the wrong number of indexed topics", function () {
+    const log = {
+      topics: [DEPOSIT_FINALIZED_TOPIC, topic(L1_TOKEN), topic(FROM)],
+      data: ethers.utils.defaultAbiCoder.encode(["uint256"], [1])
+    };
+    assert.strictEqual(decodeGatewayLog(log), null);
+  });
+
+  it("ignores other events", function () {
+    const log = { topics: [ethers.utils.id("Transfer(address,address,uint256)"), topic(FROM), topic(TO)], data: "0x" };
+    assert.strictEqual(decodeGatewayLog(log), null);
+  });
+});
+
+describe("gateway transfer indexing", function () {
+  const network = "gateway-test";
+  let stub;
+  let unregister;
+
+  before(async function () {
+    stub = await startRpcStub();
+    stub.handlers.eth_call = ([{ data }]) => {
+      const { name } = tokenInterface.parseTransaction({ data });
+      return tokenInterface.encodeFunctionResult(name, tokenResults[name]);
+    };
+    unregister = registerStubNetwork(network, stub, { tokenGateways: [GATEWAY] });
+
+    stub.addBlock({
+      transactions: [{
+        from: FROM,
+        to: GATEWAY,
+        logs: [{
+          address: GATEWAY,
+          topics: [DEPOSIT_FINALIZED_TOPIC, topic(L1_TOKEN), topic(FROM), topic(TO)],
+          data: ethers.utils.defaultAbiCoder.encode(["uint256"], [1500000])
+        }]
+      }]
+    });
+    stub.addBlock({
+      transactions: [{
+        from: FROM,
+        to: GATEWAY,
+        logs: [
+          {
+            address: GATEWAY,
+            topics: [WITHDRAWAL_INITIATED_TOPIC, topic(FROM), topic(TO), topic("0x05")],
+            data: ethers.utils.defaultAbiCoder.encode(["address", "uint256", "uint256"], [L1_TOKEN, 3, 250000])
+          },
+          {
+            address: ARBSYS,
+            topics: [L2_TO_L1_TX_TOPIC, topic(TO), topic("0x99"), topic("0x05")],
+            data: ethers.utils.defaultAbiCoder.encode(
+              ["address", "uint256", "uint256", "uint256", "uint256", "bytes"],
+              [GATEWAY, 2, 4000, 1700000000, 0, "0x"]
+            )
+          }
+        ]
+      }]
+    });
+  });
+
+  after(async function () {
+    unregister();
+    await stub.close();
+    await IndexerCheckpointsCollection.removeAsync({ _id: network });
+    await BridgeActivityCollection.removeAsync({ network });
+    await BlocksCollection.removeAsync({ network });
+  });
+
+  it("records gateway deposits and withdrawals with the L2 token and its amount", async function () {
+    await indexNewBlocks(network);
+
+    const deposit = await BridgeActivityCollection.findOneAsync({ network, gateway: GATEWAY, type: "deposit" });
+    assert.strictEqual(deposit.token, L2_TOKEN);
+    assert.strictEqual(deposit.l1Token, L1_TOKEN);
+    assert.strictEqual(deposit.amount, 1.5);
+    assert.strictEqual(deposit.value, 0);
+
+    const withdrawal = await BridgeActivityCollection.findOneAsync({ network, gateway: GATEWAY, type: "withdrawal" });
+    assert.strictEqual(withdrawal.amount, 0.25);
+    assert.strictEqual(withdrawal.position, "5");
+    assert.strictEqual(withdrawal.l1BlockNumber, 4000);
+    assert.strictEqual(withdrawal.status, "initiated");
+  });
+
+  it("doesn't duplicate rows when blocks are re-ingested", async function () {
+    await indexBlockRange(network, 1, stub.head);
+    assert.strictEqual(await BridgeActivityCollection.find({ network, gateway: GATEWAY }).countAsync(), 2);
+  });
+});
+
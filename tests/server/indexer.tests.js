@@ -0,0 +1,185 @@
+import assert from "assert";
+import { ethers } from "ethers";
+import {
+  AddressActivityCollection,
+  BlocksCollection,
+  IndexerCheckpointsCollection
+} from "../../imports/api/collections.js";
+import { getCheckpoint, indexNewBlocks, indexBlockRange, subtractFromGaps } from "../../server/indexer.js";
+import { startRpcStub, registerStubNetwork } from "./rpcStub.js";
+
+const ALICE = "0x00000000000000000000000000000000000a11ce";
+const BOB = "0x0000000000000000000000000000000000000b0b";
+const CAROL = "0x00000000000000000000000000000000000ca201";
+
+describe("indexer gaps", function () {
+  const gaps = [{ from: 10, to: 20 }, { from: 40, to: 50 }];
+
+  it("keeps gaps the range doesn't touch", function () {
+    const remaining = subtractFromGaps(gaps, 21, 39);
+    assert.deepStrictEqual(remaining, gaps);
+    assert.strictEqual(remaining[0], gaps[0]);
+  });
+
+  it("removes a gap the range covers", function () {
+    assert.deepStrictEqual(subtractFromGaps(gaps, 5, 25), [{ from: 40, to: 50 }]);
+    assert.deepStrictEqual(subtractFromGaps(gaps, 10, 20), [{ from: 40, to: 50 }]);
+  });
+
+  it("trims gaps that overlap either end of the range", function () {
+    assert.deepStrictEqual(subtractFromGaps(gaps, 15, 45), [{ from: 10, to: 14 }, { from: 46, to: 50 }]);
+  });
+
+  it("splits a gap around a range inside it", function () {
+    assert.deepStrictEqual(subtractFromGaps(gaps, 12, 18), [{ from: 10, to: 11 }, { from: 19, to: 20 }, { from: 40, to: 50 }]);
+  });
+
+  it("treats gap bounds as inclusive", function () {
+    assert.deepStrictEqual(subtractFromGaps(gaps, 20, 20), [{ from: 10, to: 19 }, { from: 40, to: 50 }]);
+    assert.deepStrictEqual(subtractFromGaps(gaps, 10, 10), [{ from: 11, to: 20 }, { from: 40, to: 50 }]);
+  });
+
+  it("returns no gaps when there are none", function () {
+    assert.deepStrictEqual(subtractFromGaps([], 1, 100), []);
+  });
+});
+
+describe("indexer", function () {
+  const network = "indexer-test";
+  let stub;
+  let unregister;
+
+  before(async function () {
+    stub = await startRpcStub();
+    unregister = registerStubNetwork(network, stub);
+  });
+
+  after(async function () {
+    unregister();
+    await stub.close();
+  });
+
+  beforeEach(async function () {
+    await IndexerCheckpointsCollection.removeAsync({ _id: network });
+    await AddressActivityCollection.removeAsync({ network });
+    await BlocksCollection.removeAsync({ network });
+  });
+
+  it("ingests every new block and advances the checkpoint", async function () {
+    stub.addBlock({ transactions: [{ from: ALICE, to: BOB, value: 1 }] });
+    stub.addBlock({ transactions: [{ from: BOB, to: ALICE, value: 1 }, { from: ALICE, to: BOB, value: 2 }] });
+
+    const totals = await indexNewBlocks(network);
+
+    assert.strictEqual(totals.blocksFailed, 0);
+    assert.strictEqual(totals.addressesAdded, 3);
+    assert.strictEqual((await getCheckpoint(network)).lastProcessedBlock, stub.head);
+    assert.strictEqual(await AddressActivityCollection.find({ blockNumber: stub.head }).countAsync(), 2);
+
+    assert.strictEqual((await indexNewBlocks(network)).blocksScanned, 0);
+  });
+
+  it("records a block that fails to ingest and clears it once a retry succeeds", async function () {
+    this.timeout(10000);
+    await indexNewBlocks(network);
+    const block = stub.addBlock({ transactions: [{ from: ALICE, to: BOB, value: 1 }] });
+
+    stub.handlers.eth_getBlockByNumber = (params) => {
+      if (Number(params[0]) === block.number) {
+        throw new Error("header not found");
+      }
+      return stub.methods.eth_getBlockByNumber(params);
+    };
+    try {
+      assert.strictEqual((await indexNewBlocks(network)).blocksFailed, 1);
+    } finally {
+      delete stub.handlers.eth_getBlockByNumber;
+    }
+
+    let checkpoint = await getCheckpoint(network);
+    assert.strictEqual(checkpoint.lastProcessedBlock, block.number);
+    assert.deepStrictEqual(checkpoint.failedBlocks.map(failed => failed.blockNumber), [block.number]);
+
+    await indexBlockRange(network, block.number, block.number);
+
+    checkpoint = await getCheckpoint(network);
+    assert.deepStrictEqual(checkpoint.failedBlocks, []);
+    assert.strictEqual(await AddressActivityCollection.find({ blockNumber: block.number }).countAsync(), 1);
+  });
+
+  it("rolls back to the common ancestor when the chain reorganizes", async function () {
+    stub.addBlock({ transactions: [{ from: ALICE, to: BOB, value: 1 }] });
+    stub.addBlock({ transactions: [{ from: CAROL, to: BOB, value: 1 }] });
+    stub.addBlock({ transactions: [{ from: CAROL, to: BOB, value: 1 }] });
+    await indexNewBlocks(network);
+
+    // Replace the last two blocks and extend the chain by one
+    const ancestor = stub.head - 2;
+    stub.reorg(ancestor + 1);
+    stub.addBlock({ transactions: [{ from: BOB, to: ALICE, value: 1 }] });
+    stub.addBlock();
+    stub.addBlock({ transactions: [{ from: BOB, to: ALICE, value: 1 }] });
+
+    await indexNewBlocks(network);
+
+    const checkpoint = await getCheckpoint(network);
+    assert.strictEqual(checkpoint.reorgCount, 1);
+    assert.strictEqual(checkpoint.lastReorg.ancestor, ancestor);
+    assert.strictEqual(checkpoint.lastReorg.depth, 2);
+    assert.strictEqual(checkpoint.lastProcessedBlock, stub.head);
+
+    // Rows from the orphaned blocks are gone and the canonical blocks were ingested in their place
+    assert.strictEqual(await AddressActivityCollection.find({ address: CAROL }).countAsync(), 0);
+    assert.strictEqual(await AddressActivityCollection.find({ address: BOB, blockNumber: { $gt: ancestor } }).countAsync(), 2);
+    assert.strictEqual((await BlocksCollection.findOneAsync({ number: ancestor + 1 })).hash, stub.getBlock(ancestor + 1).hash);
+  });
+
+  describe("stale blocks", function () {
+    // Serve block `number` on a fork that doesn't build on our stored parent, `times` times
+    function serveStale(number, times) {
+      let served = 0;
+      stub.handlers.eth_getBlockByNumber = (params) => {
+        const block = stub.methods.eth_getBlockByNumber(params);
+        if (Number(params[0]) !== number || served >= times) {
+          return block;
+        }
+        served++;
+        return { ...block, hash: ethers.utils.id(`stale:${number}`), parentHash: ethers.utils.id(`stale-parent:${number}`) };
+      };
+    }
+
+    afterEach(function () {
+      delete stub.handlers.eth_getBlockByNumber;
+    });
+
+    it("fetches a stale block again instead of recording it as failed", async function () {
+      this.timeout(10000);
+      await indexNewBlocks(network);
+      const block = stub.addBlock();
+      stub.addBlock();
+      serveStale(block.number, 1);
+
+      const totals = await indexNewBlocks(network);
+
+      const checkpoint = await getCheckpoint(network);
+      assert.strictEqual(totals.blocksFailed, 0);
+      assert.strictEqual(checkpoint.lastProcessedBlock, stub.head);
+      assert.deepStrictEqual(checkpoint.failedBlocks, []);
+      assert.strictEqual(checkpoint.reorgCount ?? 0, 0);
+      assert.strictEqual((await BlocksCollection.findOneAsync({ network, number: block.number })).hash, block.hash);
+    });
+
+    it("fails the run and keeps the checkpoint behind a block that stays stale", async function () {
+      this.timeout(10000);
+      await indexNewBlocks(network);
+      const block = stub.addBlock();
+      serveStale(block.number, Infinity);
+
+      await assert.rejects(() => indexNewBlocks(network), new RegExp(`Block ${block.number} does not extend the canonical chain`));
+
+      const checkpoint = await getCheckpoint(network);
+      assert.strictEqual(checkpoint.lastProcessedBlock, block.number - 1);
+      assert.deepStrictEqual(checkpoint.failedBlocks, []);
+    });
+  });
+});
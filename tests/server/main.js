@@ -0,0 +1,11 @@
+// Server tests import modules under /server, which the client bundle can't load
+import "../main.js";
+import "./indexer.tests.js";
+import "./rpcPool.tests.js";
+import "./backfillJobs.tests.js";
+import "./scheduler.tests.js";
+import "./gasKpis.tests.js";
+import "./topContracts.tests.js";
+import "./withdrawals.tests.js";
+import "./gateways.tests.js";
+import "./retryables.tests.js";
@@ -0,0 +1,205 @@
+import assert from "assert";
+import { ethers } from "ethers";
+import { RetryablesCollection } from "../../imports/api/collections.js";
+import {
+  calculateTicketId,
+  updateRetryableStatuses,
+  getRetryableSummary
+} from "../../server/retryables.js";
+import { startRpcStub, registerStubNetwork } from "./rpcStub.js";
+
+const SENDER = "0x" + "11".repeat(20);
+const REFUND = "0x" + "22".repeat(20);
+const TARGET = "0x" + "33".repeat(20);
+
+const ARB_RETRYABLE_TX = "0x000000000000000000000000000000000000006e";
+const REDEEM_SCHEDULED_TOPIC = ethers.utils.id("RedeemScheduled(bytes32,bytes32,uint64,uint64,address,uint256,uint256)");
+const arbRetryableTxInterface = new ethers.utils.Interface(["function getTimeout(bytes32 ticketId) view returns (uint256)"]);
+
+function makeRetryable(overrides = {}) {
+  return {
+    to: TARGET,
+    l2CallValue: ethers.BigNumber.from(0),
+    deposit: ethers.utils.parseEther("1"),
+    maxSubmissionFee: ethers.BigNumber.from(1000),
+    excessFeeRefundAddress: REFUND,
+    callValueRefundAddress: REFUND,
+    gasLimit: ethers.BigNumber.from(100000),
+    maxFeePerGas: ethers.BigNumber.from(100000000),
+    data: "0x",
+    ...overrides
+  };
+}
+
+/**
+ * The SubmitRetryable transaction encoding, spelled out field by field
+ */
+function expectedTicketId(chainId, messageIndex, baseFeeL1, retryable, to) {
+  const number = value => ethers.utils.stripZeros(ethers.BigNumber.from(value).toHexString());
+  return ethers.utils.keccak256(ethers.utils.concat([
+    "0x69",
+    ethers.utils.RLP.encode([
+      number(chainId),
+      ethers.utils.hexZeroPad(ethers.BigNumber.from(messageIndex).toHexString(), 32),
+      SENDER,
+      number(baseFeeL1),
+      number(retryable.deposit),
+      number(retryable.maxFeePerGas),
+      number(retryable.gasLimit),
+      to,
+      number(retryable.l2CallValue),
+      REFUND,
+      number(retryable.maxSubmissionFee),
+      REFUND,
+      retryable.data
+    ])
+  ]));
+}
+
+describe("retryables", function () {
+  describe("calculateTicketId", function () {
+    it("hashes the type-105 SubmitRetryable encoding", function () {
+      const retryable = makeRetryable();
+      assert.strictEqual(
+        calculateTicketId(181228, 42, SENDER, 30000000000, retryable),
+        expectedTicketId(181228, 42, 30000000000, retryable, TARGET)
+      );
+    });
+
+    it("encodes a zero destination as an empty address", function () {
+      const retryable = makeRetryable({ to: ethers.constants.AddressZero });
+      assert.strictEqual(
+        calculateTicketId(181228, 42, SENDER, 30000000000, retryable),
+        expectedTicketId(181228, 42, 30000000000, retryable, "0x")
+      );
+    });
+
+    it("gives every message index its own ticket", function () {
+      const retryable = makeRetryable();
+      assert.notStrictEqual(
+        calculateTicketId(181228, 1, SENDER, 30000000000, retryable),
+        calculateTicketId(181228, 2, SENDER, 30000000000, retryable)
+      );
+    });
+  });
+
+  describe("status updates", function () {
+    const network = "retryable-test";
+    const ticket = name => ethers.utils.id(`ticket:${name}`);
+    const l1Timestamp = new Date((Math.floor(Date.now() / 1000) - 60 * 60) * 1000);
+    const liveTickets = new Map();
+    let stub;
+    let unregister;
+
+    function submission(name, { status = 1, redeemStatus = null } = {}) {
+      const redeemHash = ethers.utils.id(`redeem:${name}`);
+      const transactions = [{
+        hash: ticket(name),
+        from: SENDER,
+        to: TARGET,
+        type: 105,
+        status,
+        logs: redeemStatus === null ? [] : [{
+          address: ARB_RETRYABLE_TX,
+          topics: [REDEEM_SCHEDULED_TOPIC, ticket(name), redeemHash, ethers.constants.HashZero],
+          data: "0x"
+        }]
+      }];
+      if (redeemStatus !== null) {
+        transactions.push({ hash: redeemHash, from: SENDER, to: TARGET, status: redeemStatus });
+      }
+      stub.addBlock({ timestamp: Math.floor(l1Timestamp.getTime() / 1000) + 600, transactions });
+    }
+
+    function findStatus(name) {
+      return RetryablesCollection.findOneAsync({ network, ticketId: ticket(name) }).then(retryable => retryable.status);
+    }
+
+    before(async function () {
+      stub = await startRpcStub();
+      stub.handlers.eth_call = ([{ data }]) => {
+        const [ticketId] = arbRetryableTxInterface.decodeFunctionData("getTimeout", data);
+        if (!liveTickets.has(ticketId)) {
+          throw Object.assign(new Error("execution reverted"), { code: 3 });
+        }
+        return arbRetryableTxInterface.encodeFunctionResult("getTimeout", [liveTickets.get(ticketId)]);
+      };
+      unregister = registerStubNetwork(network, stub);
+
+      const names = ["auto", "failed", "stuck", "later"];
+      for (const [messageIndex, name] of names.entries()) {
+        await RetryablesCollection.insertAsync({ network, messageIndex, ticketId: ticket(name), l1Timestamp, deposit: 1, status: "pending" });
+      }
+
+      submission("auto", { redeemStatus: 1 });
+      submission("failed", { status: 0 });
+      submission("stuck", { redeemStatus: 0 });
+      liveTickets.set(ticket("stuck"), Math.floor(Date.now() / 1000) + 24 * 60 * 60);
+    });
+
+    after(async function () {
+      unregister();
+      await stub.close();
+      await RetryablesCollection.removeAsync({ network });
+    });
+
+    it("follows each ticket to its outcome on L2", async function () {
+      const result = await updateRetryableStatuses(network);
+      assert.strictEqual(result.checked, 4);
+      assert.strictEqual(result.changed, 3);
+
+      assert.strictEqual(await findStatus("auto"), "auto-redeemed");
+      assert.strictEqual(await findStatus("failed"), "failed");
+      assert.strictEqual(await findStatus("stuck"), "needs-redeem");
+      assert.strictEqual(await findStatus("later"), "pending");
+
+      const auto = await RetryablesCollection.findOneAsync({ network, ticketId: ticket("auto") });
+      assert.strictEqual(auto.latencySeconds, 600);
+    });
+
+    it("marks a ticket redeemed once it is no longer live and picks up late submissions", async function () {
+      liveTickets.delete(ticket("stuck"));
+      submission("later", { redeemStatus: 1 });
+
+      await updateRetryableStatuses(network);
+
+      assert.strictEqual(await findStatus("stuck"), "redeemed");
+      assert.strictEqual(await findStatus("later"), "auto-redeemed");
+
+      const summary = await getRetryableSummary(7, network);
+      assert.strictEqual(summary.statuses["auto-redeemed"].count, 2);
+      assert.strictEqual(summary.latency.count, 4);
+      assert.deepStrictEqual(summary.attention.map(retryable => retryable.status), ["failed"]);
+    });
+
+    it("reports no latency percentiles without redeemed tickets", async function () {
+      const summary = await getRetryableSummary(7, "retryable-empty");
+      assert.deepStrictEqual(summary.latency, { count: 0, p50: null, p90: null, p99: null, max: null, buckets: [] });
+    });
+
+    it("records a failed check on the ticket and keeps checking the others", async function () {
+      await RetryablesCollection.insertAsync({ network, messageIndex: 4, ticketId: ticket("broken"), l1Timestamp, deposit: 1, status: "pending" });
+      await RetryablesCollection.insertAsync({ network, messageIndex: 5, ticketId: ticket("waiting"), l1Timestamp, deposit: 1, status: "pending" });
+      stub.handlers.eth_getTransactionReceipt = (params) => {
+        if (params[0] === ticket("broken")) {
+          throw new Error("receipt lookup failed");
+        }
+        return stub.methods.eth_getTransactionReceipt(params);
+      };
+
+      try {
+        const result = await updateRetryableStatuses(network);
+        assert.strictEqual(result.failed, 1);
+        assert.strictEqual(result.checked, 1);
+      } finally {
+        delete stub.handlers.eth_getTransactionReceipt;
+      }
+
+      const broken = await RetryablesCollection.findOneAsync({ network, ticketId: ticket("broken") });
+      assert.strictEqual(broken.status, "pending");
+      assert.match(broken.lastError, /receipt lookup failed/);
+      assert.strictEqual(await findStatus("waiting"), "pending");
+    });
+  });
+});
+
@@ -0,0 +1,106 @@
+import assert from "assert";
+import { createRpcPool, withFailover, checkPoolHealth, getPoolStatus, redactErrorMessage } from "../../server/rpcPool.js";
+import { startRpcStub } from "./rpcStub.js";
+
+const NETWORK = { chainId: 31337, name: "test" };
+
+function blockNumber(pool) {
+  return withFailover(pool, endpoint => endpoint.provider.send("eth_blockNumber", []));
+}
+
+describe("RPC error redaction", function () {
+  it("strips the path and query from every URL in a message", function () {
+    const message = 'missing response (requestBody="{}", url="https://arb.example.com/v2/SECRETKEY?token=abc", code=SERVER_ERROR)';
+    assert.strictEqual(
+      redactErrorMessage(message),
+      'missing response (requestBody="{}", url="https://arb.example.com", code=SERVER_ERROR)'
+    );
+    assert.strictEqual(redactErrorMessage("wss://ws.example.com/KEY closed"), "wss://ws.example.com closed");
+  });
+
+  it("leaves messages without URLs unchanged", function () {
+    assert.strictEqual(redactErrorMessage("header not found"), "header not found");
+    assert.strictEqual(redactErrorMessage(undefined), "");
+  });
+});
+
+describe("RPC pool", function () {
+  let primary;
+  let backup;
+
+  beforeEach(async function () {
+    primary = await startRpcStub({ chainId: NETWORK.chainId });
+    backup = await startRpcStub({ chainId: NETWORK.chainId });
+  });
+
+  afterEach(async function () {
+    await primary.close();
+    await backup.close();
+  });
+
+  it("fails over to the next endpoint and takes a failing one out of rotation", async function () {
+    backup.addBlock();
+    primary.handlers.eth_blockNumber = () => {
+      throw Object.assign(new Error("internal error"), { code: -32603 });
+    };
+    const pool = createRpcPool("test", [{ url: primary.url, weight: 1000 }, { url: backup.url, weight: 1 }], NETWORK);
+
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual(Number(await blockNumber(pool)), backup.head);
+    }
+
+    const [primaryEndpoint, backupEndpoint] = pool.endpoints;
+    assert.strictEqual(primaryEndpoint.healthy, false);
+    assert.strictEqual(backupEndpoint.healthy, true);
+    assert.strictEqual(backupEndpoint.requests, 5);
+    assert.strictEqual(pool.activeUrl, backup.url);
+  });
+
+  it("keeps endpoint URLs and API keys out of the reported errors", async function () {
+    primary.handlers.eth_blockNumber = () => {
+      throw Object.assign(new Error(`upstream ${backup.url}/v2/SECRETKEY timed out`), { code: -32603 });
+    };
+    const pool = createRpcPool("test", [{ url: `${primary.url}/v2/SECRETKEY` }], NETWORK);
+
+    await checkPoolHealth(pool);
+
+    const [endpoint] = getPoolStatus(pool).endpoints;
+    assert.strictEqual(endpoint.healthy, false);
+    assert.strictEqual(endpoint.url, primary.url);
+    assert.ok(endpoint.lastError);
+    assert.ok(!endpoint.lastError.includes("SECRETKEY"), endpoint.lastError);
+  });
+
+  it("doesn't fail over or count a reverted call against the endpoint", async function () {
+    primary.handlers.eth_blockNumber = () => {
+      throw Object.assign(new Error("execution reverted"), { code: 3 });
+    };
+    const pool = createRpcPool("test", [{ url: primary.url }, { url: backup.url }], NETWORK);
+    pool.endpoints[1].healthy = false;
+
+    await assert.rejects(() => withFailover(pool, endpoint => {
+      if (endpoint.url === backup.url) {
+        throw new Error("backup should not be tried");
+      }
+      return endpoint.provider.send("eth_blockNumber", []);
+    }), /execution reverted/);
+    assert.strictEqual(pool.endpoints[0].errors, 0);
+    assert.strictEqual(pool.endpoints[0].healthy, true);
+  });
+
+  it("rotates endpoints out while they lag behind and back in once they catch up", async function () {
+    for (let i = 0; i < 30; i++) {
+      backup.addBlock();
+    }
+    const pool = createRpcPool("test", [{ url: primary.url }, { url: backup.url }], NETWORK);
+
+    await checkPoolHealth(pool);
+    assert.deepStrictEqual(getPoolStatus(pool).endpoints.map(endpoint => endpoint.healthy), [false, true]);
+
+    for (let i = 0; i < 30; i++) {
+      primary.addBlock();
+    }
+    await checkPoolHealth(pool);
+    assert.deepStrictEqual(getPoolStatus(pool).endpoints.map(endpoint => endpoint.healthy), [true, true]);
+  });
+});
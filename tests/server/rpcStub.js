@@ -0,0 +1,274 @@
+import http from "http";
+import { Meteor } from "meteor/meteor";
+import { ethers } from "ethers";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function toHex(value) {
+  return ethers.BigNumber.from(value).toHexString();
+}
+
+function toBlockNumber(tag, head) {
+  if (tag === undefined || tag === "latest" || tag === "pending" || tag === "safe" || tag === "finalized") {
+    return head;
+  }
+  return tag === "earliest" ? 0 : Number(tag);
+}
+
+function matchesTopics(log, topics = []) {
+  return topics.every((topic, i) => {
+    if (topic === null || topic === undefined) {
+      return true;
+    }
+    const wanted = Array.isArray(topic) ? topic : [topic];
+    return wanted.some(value => value.toLowerCase() === log.topics[i]?.toLowerCase());
+  });
+}
+
+/**
+ * Start an in-process JSON-RPC node for server tests
+ * Serves a chain built with addBlock() over HTTP, with enough of the eth_ namespace for ethers providers
+ * Set handlers[method] = (params) => result to override or add a method; throwing returns a JSON-RPC error
+ * The built-in methods stay available on stub.methods for overrides that only change some calls
+ */
+export async function startRpcStub({ chainId = 31337 } = {}) {
+  let fork = 0;
+  const blocks = [];
+  const transactions = new Map();
+
+  const stub = {
+    url: null,
+    chainId,
+    handlers: {},
+    methods: null,
+    requests: [],
+
+    get head() {
+      return blocks.length - 1;
+    },
+
+    getBlock(number) {
+      return blocks[number];
+    },
+
+    /**
+     * Append a block
+     * Each transaction: { hash, from, to, value, data, type, status, gasUsed, gasUsedForL1, gasPrice, logs: [{ address, topics, data }] }
+     */
+    addBlock({ transactions: txSpecs = [], timestamp } = {}) {
+      const number = blocks.length;
+      const hash = ethers.utils.id(`block:${fork}:${number}`);
+      const block = {
+        number,
+        hash,
+        parentHash: number === 0 ? ethers.constants.HashZero : blocks[number - 1].hash,
+        timestamp: timestamp ?? Math.floor(Date.now() / 1000) - 60 + number,
+        transactions: []
+      };
+
+      let logIndex = 0;
+      txSpecs.forEach((spec, index) => {
+        const tx = {
+          hash: spec.hash ?? ethers.utils.id(`tx:${fork}:${number}:${index}`),
+          blockHash: hash,
+          blockNumber: number,
+          index,
+          from: spec.from,
+          to: spec.to ?? null,
+          value: spec.value ?? 0,
+          data: spec.data ?? "0x",
+          type: spec.type ?? 0,
+          status: spec.status ?? 1,
+          gasUsed: spec.gasUsed ?? 21000,
+          gasUsedForL1: spec.gasUsedForL1 ?? null,
+          gasPrice: spec.gasPrice ?? 1000000000,
+          contractAddress: spec.contractAddress ?? null,
+          logs: (spec.logs || []).map(log => ({ ...log, logIndex: logIndex++ }))
+        };
+        block.transactions.push(tx);
+        transactions.set(tx.hash, tx);
+      });
+
+      blocks.push(block);
+      return block;
+    },
+
+    /**
+     * Drop every block from fromBlock on, so the blocks added next replace them with new hashes
+     */
+    reorg(fromBlock) {
+      for (const block of blocks.splice(fromBlock)) {
+        for (const tx of block.transactions) {
+          transactions.delete(tx.hash);
+        }
+      }
+      fork++;
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+
+  function formatTransaction(tx) {
+    return {
+      hash: tx.hash,
+      blockHash: tx.blockHash,
+      blockNumber: toHex(tx.blockNumber),
+      transactionIndex: toHex(tx.index),
+      from: tx.from,
+      to: tx.to,
+      gas: toHex(tx.gasUsed),
+      gasPrice: toHex(tx.gasPrice),
+      value: toHex(tx.value),
+      nonce: toHex(tx.index),
+      input: tx.data,
+      type: toHex(tx.type),
+      chainId: toHex(chainId),
+      v: "0x1b",
+      r: "0x1",
+      s: "0x1"
+    };
+  }
+
+  function formatLog(tx, log) {
+    return {
+      address: log.address,
+      topics: log.topics,
+      data: log.data ?? "0x",
+      blockNumber: toHex(tx.blockNumber),
+      blockHash: tx.blockHash,
+      transactionHash: tx.hash,
+      transactionIndex: toHex(tx.index),
+      logIndex: toHex(log.logIndex),
+      removed: false
+    };
+  }
+
+  function formatReceipt(tx) {
+    return {
+      transactionHash: tx.hash,
+      transactionIndex: toHex(tx.index),
+      blockHash: tx.blockHash,
+      blockNumber: toHex(tx.blockNumber),
+      from: tx.from,
+      to: tx.to,
+      contractAddress: tx.contractAddress,
+      cumulativeGasUsed: toHex(tx.gasUsed),
+      gasUsed: toHex(tx.gasUsed),
+      effectiveGasPrice: toHex(tx.gasPrice),
+      logs: tx.logs.map(log => formatLog(tx, log)),
+      logsBloom: `0x${"0".repeat(512)}`,
+      status: toHex(tx.status),
+      type: toHex(tx.type),
+      ...(tx.gasUsedForL1 === null ? {} : { gasUsedForL1: toHex(tx.gasUsedForL1) })
+    };
+  }
+
+  function formatBlock(block, includeTransactions) {
+    if (!block) {
+      return null;
+    }
+    const gasUsed = block.transactions.reduce((sum, tx) => sum + tx.gasUsed, 0);
+    return {
+      number: toHex(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: toHex(block.timestamp),
+      nonce: "0x0000000000000000",
+      difficulty: "0x0",
+      gasLimit: toHex(30000000),
+      gasUsed: toHex(gasUsed),
+      baseFeePerGas: toHex(100000000),
+      miner: ZERO_ADDRESS,
+      extraData: "0x",
+      transactions: block.transactions.map(tx => (includeTransactions ? formatTransaction(tx) : tx.hash))
+    };
+  }
+
+  const methods = {
+    eth_chainId: () => toHex(chainId),
+    net_version: () => String(chainId),
+    eth_blockNumber: () => toHex(stub.head),
+    eth_getBlockByNumber: ([tag, includeTransactions]) =>
+      formatBlock(blocks[toBlockNumber(tag, stub.head)], includeTransactions),
+    eth_getBlockByHash: ([hash, includeTransactions]) =>
+      formatBlock(blocks.find(block => block.hash === hash), includeTransactions),
+    eth_getTransactionByHash: ([hash]) => (transactions.has(hash) ? formatTransaction(transactions.get(hash)) : null),
+    eth_getTransactionReceipt: ([hash]) => (transactions.has(hash) ? formatReceipt(transactions.get(hash)) : null),
+    eth_getBlockReceipts: ([tag]) => {
+      const block = blocks[toBlockNumber(tag, stub.head)];
+      return block ? block.transactions.map(formatReceipt) : null;
+    },
+    eth_getCode: () => "0x",
+    eth_getBalance: () => "0x0",
+    eth_getLogs: ([filter]) => {
+      const fromBlock = toBlockNumber(filter.fromBlock, stub.head);
+      const toBlock = toBlockNumber(filter.toBlock, stub.head);
+      const addresses = filter.address ? [].concat(filter.address).map(address => address.toLowerCase()) : null;
+      const logs = [];
+      for (const block of blocks.slice(fromBlock, toBlock + 1)) {
+        for (const tx of block.transactions) {
+          for (const log of tx.logs) {
+            if ((!addresses || addresses.includes(log.address.toLowerCase())) && matchesTopics(log, filter.topics)) {
+              logs.push(formatLog(tx, log));
+            }
+          }
+        }
+      }
+      return logs;
+    }
+  };
+
+  stub.methods = methods;
+
+  async function handle({ id, method, params = [] }) {
+    stub.requests.push(method);
+    const handler = stub.handlers[method] || methods[method];
+    try {
+      if (!handler) {
+        throw Object.assign(new Error(`Method ${method} not supported`), { code: -32601 });
+      }
+      return { jsonrpc: "2.0", id, result: await handler(params) };
+    } catch (error) {
+      return { jsonrpc: "2.0", id, error: { code: error.code ?? -32603, message: error.message } };
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", async () => {
+      const payload = JSON.parse(body);
+      const response = Array.isArray(payload) ? await Promise.all(payload.map(handle)) : await handle(payload);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.addBlock();
+
+  return stub;
+}
+
+/**
+ * Add a network served by a stub to settings.hpp.networks, so server modules can resolve it by id
+ * Extra config (l1, tokenGateways, ...) is merged in; returns a function that removes the network again
+ */
+export function registerStubNetwork(network, stub, config = {}) {
+  const hppSettings = Meteor.settings.hpp || (Meteor.settings.hpp = {});
+  hppSettings.networks = hppSettings.networks || {};
+  hppSettings.networks[network] = {
+    networkName: `Test ${network}`,
+    chainId: stub.chainId,
+    rpcEndpoints: [{ url: stub.url, weight: 1 }],
+    ...config
+  };
+
+  return () => {
+    delete hppSettings.networks[network];
+  };
+}
@@ -0,0 +1,54 @@
+import assert from "assert";
+import { JobLocksCollection } from "../../imports/api/collections.js";
+import { acquireLock } from "../../server/scheduler.js";
+
+describe("scheduler locks", function () {
+  const intervalMs = 60 * 1000;
+  let key;
+
+  beforeEach(function () {
+    key = `test:${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  });
+
+  afterEach(async function () {
+    await JobLocksCollection.removeAsync({ _id: key });
+  });
+
+  it("claims a job that has never run", async function () {
+    assert.strictEqual(await acquireLock(key, intervalMs), true);
+
+    const lock = await JobLocksCollection.findOneAsync({ _id: key });
+    assert.ok(lock.owner);
+    assert.ok(lock.lockedUntil > new Date());
+    assert.ok(lock.nextRunAt > new Date());
+  });
+
+  it("refuses a job that isn't due yet (duplicate key on the upsert)", async function () {
+    assert.strictEqual(await acquireLock(key, intervalMs), true);
+    assert.strictEqual(await acquireLock(key, intervalMs), false);
+  });
+
+  it("refuses a due job another instance holds", async function () {
+    await JobLocksCollection.insertAsync({
+      _id: key,
+      owner: "other-instance",
+      lockedUntil: new Date(Date.now() + intervalMs),
+      nextRunAt: new Date(Date.now() - 1000)
+    });
+
+    assert.strictEqual(await acquireLock(key, intervalMs), false);
+    assert.strictEqual((await JobLocksCollection.findOneAsync({ _id: key })).owner, "other-instance");
+  });
+
+  it("takes over a due job whose lease has run out", async function () {
+    await JobLocksCollection.insertAsync({
+      _id: key,
+      owner: "other-instance",
+      lockedUntil: new Date(Date.now() - 1000),
+      nextRunAt: new Date(Date.now() - 1000)
+    });
+
+    assert.strictEqual(await acquireLock(key, intervalMs), true);
+    assert.notStrictEqual((await JobLocksCollection.findOneAsync({ _id: key })).owner, "other-instance");
+  });
+});
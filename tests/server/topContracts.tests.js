@@ -0,0 +1,69 @@
+import assert from "assert";
+import { AddressActivityCollection, TopContractsCollection } from "../../imports/api/collections.js";
+import { updateTopContracts, TOP_CONTRACT_PERIODS } from "../../server/topContracts.js";
+import { startRpcStub, registerStubNetwork } from "./rpcStub.js";
+
+const ALICE = "0x00000000000000000000000000000000000a11ce";
+const BOB = "0x0000000000000000000000000000000000000b0b";
+const ROUTER = "0x000000000000000000000000000000000000cafe";
+
+describe("top contract snapshots", function () {
+  const network = "top-contracts-test";
+  let stub;
+  let unregister;
+
+  before(async function () {
+    stub = await startRpcStub();
+    stub.handlers.eth_getCode = ([address]) => (address.toLowerCase() === ROUTER ? "0x6080" : "0x");
+    unregister = registerStubNetwork(network, stub);
+  });
+
+  after(async function () {
+    unregister();
+    await stub.close();
+  });
+
+  beforeEach(async function () {
+    await AddressActivityCollection.removeAsync({ network });
+    await TopContractsCollection.removeAsync({ network });
+
+    const timestamp = new Date(Date.now() - 60 * 60 * 1000);
+    const calls = [[ALICE, ROUTER], [BOB, ROUTER], [ALICE, ROUTER], [ALICE, BOB]];
+    for (const [index, [address, to]] of calls.entries()) {
+      await AddressActivityCollection.insertAsync({ network, address, to, blockNumber: index + 1, timestamp });
+    }
+  });
+
+  it("stores a ranking for every period", async function () {
+    await updateTopContracts(network);
+
+    const snapshots = await TopContractsCollection.find({ network }, { sort: { days: 1 } }).fetchAsync();
+    assert.deepStrictEqual(snapshots.map(snapshot => snapshot.days), TOP_CONTRACT_PERIODS);
+    const [router, bob] = snapshots[0].contracts;
+    assert.strictEqual(snapshots[0].totalTransactions, 4);
+    assert.strictEqual(router.address, ROUTER);
+    assert.strictEqual(router.calls, 3);
+    assert.strictEqual(router.uniqueCallers, 2);
+    assert.strictEqual(router.isContract, true);
+    assert.strictEqual(bob.isContract, false);
+  });
+
+  it("keeps the previous snapshot when the ranking fails", async function () {
+    await updateTopContracts(network);
+    const before = await TopContractsCollection.findOneAsync({ network, days: 7 });
+
+    const rawCollection = AddressActivityCollection.rawCollection;
+    AddressActivityCollection.rawCollection = () => {
+      throw new Error("aggregation failed");
+    };
+    try {
+      await assert.rejects(() => updateTopContracts(network), /aggregation failed/);
+    } finally {
+      AddressActivityCollection.rawCollection = rawCollection;
+    }
+
+    const after = await TopContractsCollection.findOneAsync({ network, days: 7 });
+    assert.strictEqual(after.contracts.length, 2);
+    assert.deepStrictEqual(after.updatedAt, before.updatedAt);
+  });
+});
@@ -0,0 +1,207 @@
+import assert from "assert";
+import { ethers } from "ethers";
+import { BridgeActivityCollection, BlocksCollection, IndexerCheckpointsCollection } from "../../imports/api/collections.js";
+import { indexNewBlocks } from "../../server/indexer.js";
+import {
+  parseWithdrawalLog,
+  median,
+  updateWithdrawalStatuses,
+  getWithdrawalSummary
+} from "../../server/withdrawals.js";
+import { startRpcStub, registerStubNetwork } from "./rpcStub.js";
+
+const L2_TO_L1_TX_TOPIC = ethers.utils.id("L2ToL1Tx(address,address,uint256,uint256,uint256,uint256,uint256,uint256,bytes)");
+const ARBSYS = "0x0000000000000000000000000000000000000064";
+const DESTINATION = "0x00000000000000000000000000000000000000D1";
+const OUTBOX = "0x0000000000000000000000000000000000000b0c";
+const BRIDGE = "0x0000000000000000000000000000000000000b1d";
+const ALICE = "0x00000000000000000000000000000000000a11ce";
+
+const OUTBOX_EXECUTED_TOPIC = ethers.utils.id("OutBoxTransactionExecuted(address,address,uint256,uint256)");
+const outboxInterface = new ethers.utils.Interface(["function isSpent(uint256 index) view returns (bool)"]);
+const bridgeInterface = new ethers.utils.Interface(["function allowedOutboxList(uint256 index) view returns (address)"]);
+
+function l2ToL1TxLog({ position = 7, ethBlockNum = 5001 } = {}) {
+  return {
+    address: ARBSYS,
+    topics: [
+      L2_TO_L1_TX_TOPIC,
+      ethers.utils.hexZeroPad(DESTINATION, 32),
+      ethers.utils.hexZeroPad("0x99", 32),
+      ethers.utils.hexZeroPad(ethers.utils.hexlify(position), 32)
+    ],
+    data: ethers.utils.defaultAbiCoder.encode(
+      ["address", "uint256", "uint256", "uint256", "uint256", "bytes"],
+      ["0x" + "aa".repeat(20), 100, ethBlockNum, 1700000000, ethers.utils.parseEther("1"), "0x"]
+    )
+  };
+}
+
+describe("withdrawals", function () {
+  describe("parseWithdrawalLog", function () {
+    it("reads the position, destination and L1 block from the L2ToL1Tx event", function () {
+      const receipt = { logs: [{ address: ARBSYS, topics: [ethers.utils.id("Other()")], data: "0x" }, l2ToL1TxLog()] };
+
+      assert.deepStrictEqual(parseWithdrawalLog(receipt), {
+        position: "7",
+        destination: DESTINATION.toLowerCase(),
+        l1BlockNumber: 5001
+      });
+    });
+
+    it("keeps positions beyond the safe integer range exact", function () {
+      const position = ethers.BigNumber.from(2).pow(64).add(1);
+      const parsed = parseWithdrawalLog({ logs: [l2ToL1TxLog({ position })] });
+      assert.strictEqual(parsed.position, position.toString());
+    });
+
+    it("returns null without an L2ToL1Tx event", function () {
+      assert.strictEqual(parseWithdrawalLog({ logs: [] }), null);
+      assert.strictEqual(parseWithdrawalLog(null), null);
+    });
+  });
+
+  describe("median", function () {
+    it("takes the middle value of an odd-length list", function () {
+      assert.strictEqual(median([1, 5, 9]), 5);
+    });
+
+    it("averages the two middle values of an even-length list", function () {
+      assert.strictEqual(median([1, 3, 5, 100]), 4);
+    });
+
+    it("returns null for an empty list", function () {
+      assert.strictEqual(median([]), null);
+    });
+  });
+
+  describe("status updates", function () {
+    const network = "withdrawal-test";
+    const challengePeriodSeconds = 3600;
+    const now = Math.floor(Date.now() / 1000);
+    const spent = new Set();
+    const reverting = new Set();
+    let l2;
+    let l1;
+    let unregister;
+
+    function withdrawal(position, timestamp) {
+      l2.addBlock({
+        timestamp,
+        transactions: [{ from: ALICE, to: ARBSYS, value: ethers.utils.parseEther("1"), logs: [l2ToL1TxLog({ position, ethBlockNum: 0 })] }]
+      });
+    }
+
+    function findWithdrawal(position) {
+      return BridgeActivityCollection.findOneAsync({ network, type: "withdrawal", position: String(position) });
+    }
+
+    before(async function () {
+      l2 = await startRpcStub();
+      l1 = await startRpcStub({ chainId: 31338 });
+      l1.handlers.eth_call = ([{ to, data }]) => {
+        if (to.toLowerCase() === BRIDGE) {
+          return bridgeInterface.encodeFunctionResult("allowedOutboxList", [OUTBOX]);
+        }
+        const [index] = outboxInterface.decodeFunctionData("isSpent", data);
+        if (reverting.has(index.toNumber())) {
+          throw Object.assign(new Error("execution reverted"), { code: 3 });
+        }
+        return outboxInterface.encodeFunctionResult("isSpent", [spent.has(index.toNumber())]);
+      };
+      unregister = registerStubNetwork(network, l2, {
+        l1: {
+          chainId: l1.chainId,
+          rpcEndpoints: [{ url: l1.url, weight: 1 }],
+          bridgeContract: BRIDGE,
+          challengePeriodSeconds
+        }
+      });
+
+      withdrawal(1, now - 3 * 3600);
+      withdrawal(2, now - 2 * 3600);
+      withdrawal(3, now - 600);
+      await indexNewBlocks(network);
+
+      // Position 1 was claimed on L1 an hour after it was initiated
+      spent.add(1);
+      l1.addBlock({
+        timestamp: now - 2 * 3600,
+        transactions: [{
+          from: ALICE,
+          to: OUTBOX,
+          logs: [{
+            address: OUTBOX,
+            topics: [
+              OUTBOX_EXECUTED_TOPIC,
+              ethers.utils.hexZeroPad(DESTINATION, 32),
+              ethers.utils.hexZeroPad(ALICE, 32),
+              ethers.constants.HashZero
+            ],
+            data: ethers.utils.hexZeroPad("0x01", 32)
+          }]
+        }]
+      });
+    });
+
+    after(async function () {
+      unregister();
+      await l2.close();
+      await l1.close();
+      await IndexerCheckpointsCollection.removeAsync({ _id: network });
+      await BridgeActivityCollection.removeAsync({ network });
+      await BlocksCollection.removeAsync({ network });
+    });
+
+    it("moves withdrawals to claimable after the challenge period and to executed once spent", async function () {
+      const result = await updateWithdrawalStatuses(network);
+      assert.strictEqual(result.checked, 3);
+      assert.strictEqual(result.claimable, 1);
+      assert.strictEqual(result.executed, 1);
+
+      const executed = await findWithdrawal(1);
+      assert.strictEqual(executed.status, "executed");
+      assert.strictEqual(executed.l1ExecutionTxHash, l1.getBlock(1).transactions[0].hash);
+      assert.strictEqual(executed.claimSeconds, 3600);
+
+      assert.strictEqual((await findWithdrawal(2)).status, "claimable");
+      assert.strictEqual((await findWithdrawal(3)).status, "initiated");
+    });
+
+    it("uses the first run that saw a withdrawal spent when the L1 event is missing", async function () {
+      spent.add(2);
+      const before = new Date();
+
+      await updateWithdrawalStatuses(network);
+
+      const executed = await findWithdrawal(2);
+      assert.strictEqual(executed.status, "executed");
+      assert.strictEqual(executed.l1ExecutionTxHash, null);
+      assert.ok(executed.executedAt >= before);
+
+      const summary = await getWithdrawalSummary(network);
+      assert.strictEqual(summary.initiated.count, 1);
+      assert.strictEqual(summary.claimed.count, 2);
+      assert.strictEqual(summary.pending.count, 1);
+    });
+
+    it("records a failed check on the withdrawal and keeps checking the others", async function () {
+      withdrawal(4, now - 600);
+      await indexNewBlocks(network);
+      reverting.add(3);
+
+      const result = await updateWithdrawalStatuses(network);
+      assert.strictEqual(result.failed, 1);
+      assert.strictEqual(result.checked, 1);
+      assert.ok((await findWithdrawal(3)).lastError);
+      assert.strictEqual((await findWithdrawal(4)).lastError, null);
+
+      reverting.add(4);
+      await assert.rejects(() => updateWithdrawalStatuses(network), /All 2 withdrawal checks failed/);
+
+      reverting.clear();
+      await updateWithdrawalStatuses(network);
+      assert.strictEqual((await findWithdrawal(3)).lastError, null);
+    });
+  });
+});